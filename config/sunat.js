@@ -0,0 +1,58 @@
+'use strict'
+
+const dotenv = require('dotenv');
+const logger = require('./logger');
+
+dotenv.config();
+
+// Endpoints oficiales de los servicios web de SUNAT
+const ENDPOINTS = {
+  beta: {
+    billService: 'https://e-beta.sunat.gob.pe/ol-ti-itcpfegem-beta/billService',
+    otherCpeService: 'https://e-beta.sunat.gob.pe/ol-ti-itemision-otroscpe-gem-beta/billService',
+    // SUNAT no ofrece el servicio de consulta en beta y producción no conoce lo enviado a beta
+    consultService: null
+  },
+  production: {
+    billService: 'https://e-factura.sunat.gob.pe/ol-ti-itcpfegem/billService',
+    otherCpeService: 'https://e-factura.sunat.gob.pe/ol-ti-itemision-otroscpe-gem/billService',
+    consultService: 'https://e-factura.sunat.gob.pe/ol-it-wsconscpegem/billConsultService'
+  }
+};
+
+// ICBPER (Ley 30884): monto por bolsa de plástico según el año de emisión.
+// ICBPER_RATES permite agregar o corregir años con un JSON, por ejemplo {"2027": 0.60}
+const DEFAULT_ICBPER_RATES = {
+  2019: 0.10,
+  2020: 0.20,
+  2021: 0.30,
+  2022: 0.40,
+  2023: 0.50
+};
+
+const parseIcbperRates = (value) => {
+  if (!value) return DEFAULT_ICBPER_RATES;
+
+  try {
+    return { ...DEFAULT_ICBPER_RATES, ...JSON.parse(value) };
+  } catch (error) {
+    logger.warn('ICBPER_RATES inválido, se usa la tabla por defecto:', error.message);
+    return DEFAULT_ICBPER_RATES;
+  }
+};
+
+const environment = process.env.SUNAT_ENV === 'production' ? 'production' : 'beta';
+
+// Permite apuntar a un servidor mock local con SUNAT_BILL_SERVICE_URL
+const sunatConfig = {
+  environment,
+  billServiceUrl: process.env.SUNAT_BILL_SERVICE_URL || ENDPOINTS[environment].billService,
+  // Retenciones y percepciones se envían a un servicio distinto
+  otherCpeServiceUrl: process.env.SUNAT_OTHER_CPE_SERVICE_URL || ENDPOINTS[environment].otherCpeService,
+  // Nulo en beta salvo que se configure un servidor mock: no se concilia con la consulta
+  consultServiceUrl: process.env.SUNAT_CONSULT_SERVICE_URL || ENDPOINTS[environment].consultService,
+  timeout: parseInt(process.env.SUNAT_TIMEOUT) || 30000,
+  icbperRates: parseIcbperRates(process.env.ICBPER_RATES)
+};
+
+module.exports = sunatConfig;
@@ -0,0 +1,145 @@
+'use strict'
+
+const { Customer, UserCompany } = require('../models/associations');
+const logger = require('../config/logger');
+const { round } = require('../util/invoiceTotals');
+const { getAdvanceBalances } = require('../util/advances');
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/customers/{customerId}/advances:
+ *   get:
+ *     tags: [Anticipos]
+ *     summary: Saldos de anticipos del cliente
+ *     description: Lista los comprobantes de anticipo del cliente con el importe ya deducido en comprobantes finales vigentes, las notas de crédito emitidas sobre el anticipo y el saldo disponible. Por defecto solo incluye los anticipos con saldo.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: include_applied
+ *         description: Incluir también los anticipos sin saldo
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Saldos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     advances:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     balances:
+ *                       type: object
+ *                       description: Saldo disponible por moneda
+ *                       example: { "PEN": 1180.00 }
+ *       403:
+ *         description: Sin permisos
+ *       404:
+ *         description: Cliente no encontrado
+ */
+const getCustomerAdvances = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, customerId } = req.params;
+    const includeApplied = req.query.include_applied === 'true';
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const customer = await Customer.findOne({
+      where: { id: customerId, company_id: companyId },
+      attributes: ['id', 'name', 'document_type', 'document_number']
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    const entries = (await getAdvanceBalances({ company_id: companyId, customer_id: customer.id }))
+      .filter(({ balance }) => includeApplied || balance > 0);
+
+    // Los saldos en distinta moneda no se suman entre sí
+    const balances = entries.reduce((acc, { advance, balance }) => ({
+      ...acc,
+      [advance.currency]: round((acc[advance.currency] || 0) + balance)
+    }), {});
+
+    res.json({
+      success: true,
+      data: {
+        customer,
+        advances: entries.map(({ advance, applied_amount, credited_amount, balance }) => ({
+          id: advance.id,
+          invoice_number: advance.invoice_number,
+          document_type: advance.document_type,
+          issue_date: advance.issue_date,
+          currency: advance.currency,
+          total_amount: advance.total_amount,
+          sunat_status: advance.sunat_status,
+          applied_amount,
+          credited_amount,
+          balance,
+          // Las notas de anulación de un comprobante final revierten su deducción
+          applications: advance.advanceApplications
+            .map(application => ({
+              invoice_id: application.invoice_id,
+              invoice_number: application.invoice.invoice_number,
+              document_type: application.invoice.document_type,
+              status: application.invoice.status,
+              amount: application.amount
+            })),
+          credit_notes: advance.adjustmentNotes
+            .map(note => ({
+              invoice_id: note.id,
+              invoice_number: note.invoice_number,
+              status: note.status,
+              amount: note.total_amount
+            }))
+        })),
+        balances
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo anticipos del cliente:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getCustomerAdvances
+};
@@ -0,0 +1,392 @@
+'use strict'
+
+const { Op } = require('sequelize');
+const { Company, CompanyCertificate, UserCompany, UserNotification } = require('../models/associations');
+const { parsePkcs12 } = require('../util/certificate');
+const { encrypt } = require('../util/encryption');
+const logger = require('../config/logger');
+
+// Días antes del vencimiento en que se avisa a los owner/admin de la empresa
+const EXPIRY_NOTICE_DAYS = [30, 15, 5];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatCertificate = (certificate) => {
+  const daysToExpire = Math.ceil((new Date(certificate.valid_to) - Date.now()) / DAY_MS);
+
+  return {
+    subject: certificate.subject,
+    ruc: certificate.ruc,
+    serial_number: certificate.serial_number,
+    valid_from: certificate.valid_from,
+    valid_to: certificate.valid_to,
+    days_to_expire: daysToExpire,
+    is_expired: daysToExpire <= 0,
+    updated_at: certificate.updated_at
+  };
+};
+
+/**
+ * @swagger
+ * /apisunat/user/companies/{id}/certificate:
+ *   get:
+ *     tags: [Empresas]
+ *     summary: Obtener certificado digital
+ *     description: Muestra los datos del certificado digital de la empresa (sin la clave privada)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa
+ *     responses:
+ *       200:
+ *         description: Certificado obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     subject:
+ *                       type: string
+ *                       example: "CN=MI EMPRESA SAC, serialNumber=20123456789"
+ *                     ruc:
+ *                       type: string
+ *                       example: "20123456789"
+ *                     serial_number:
+ *                       type: string
+ *                       example: "426AA8F2838BE42B"
+ *                     valid_from:
+ *                       type: string
+ *                       format: date-time
+ *                     valid_to:
+ *                       type: string
+ *                       format: date-time
+ *                     days_to_expire:
+ *                       type: integer
+ *                       example: 120
+ *       403:
+ *         description: Sin permisos para gestionar el certificado
+ *       404:
+ *         description: La empresa no tiene certificado
+ */
+const getCertificate = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.id;
+
+    // Solo owner y admin gestionan el certificado
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para gestionar el certificado de esta empresa'
+      });
+    }
+
+    const certificate = await CompanyCertificate.findOne({
+      where: { company_id: companyId }
+    });
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'La empresa no tiene un certificado digital registrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatCertificate(certificate)
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo certificado:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/user/companies/{id}/certificate:
+ *   post:
+ *     tags: [Empresas]
+ *     summary: Subir certificado digital
+ *     description: Registra o reemplaza el certificado digital PKCS#12 (.pfx/.p12) usado para firmar los comprobantes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - certificate
+ *               - password
+ *             properties:
+ *               certificate:
+ *                 type: string
+ *                 format: byte
+ *                 description: Archivo .pfx/.p12 en base64
+ *               password:
+ *                 type: string
+ *                 example: "clavecertificado"
+ *     responses:
+ *       201:
+ *         description: Certificado registrado exitosamente
+ *       400:
+ *         description: Certificado inválido, vencido o de otro RUC
+ *       403:
+ *         description: Sin permisos para gestionar el certificado
+ */
+const uploadCertificate = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.id;
+    const { certificate, password } = req.body;
+
+    // Solo owner y admin gestionan el certificado
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para gestionar el certificado de esta empresa'
+      });
+    }
+
+    if (!certificate || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'El certificado (base64) y su contraseña son requeridos'
+      });
+    }
+
+    const company = await Company.findByPk(companyId);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Empresa no encontrada'
+      });
+    }
+
+    const pfx = Buffer.from(certificate, 'base64');
+
+    let info;
+    try {
+      info = parsePkcs12(pfx, password);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (info.validTo <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'El certificado digital está vencido'
+      });
+    }
+
+    if (info.ruc && info.ruc !== company.ruc) {
+      return res.status(400).json({
+        success: false,
+        message: `El certificado pertenece al RUC ${info.ruc}, no al de la empresa`
+      });
+    }
+
+    const data = {
+      pfx_content: encrypt(pfx),
+      pfx_password: encrypt(password),
+      subject: info.subject,
+      ruc: info.ruc,
+      serial_number: info.serialNumber,
+      valid_from: info.validFrom,
+      valid_to: info.validTo,
+      last_expiry_notice: null,
+      uploaded_by: userId
+    };
+
+    let companyCertificate = await CompanyCertificate.findOne({
+      where: { company_id: companyId }
+    });
+
+    if (companyCertificate) {
+      await companyCertificate.update(data);
+    } else {
+      companyCertificate = await CompanyCertificate.create({
+        company_id: companyId,
+        ...data
+      });
+    }
+
+    logger.info(`Certificado digital registrado para empresa ${companyId} (serie ${info.serialNumber}) por usuario: ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Certificado registrado exitosamente',
+      data: formatCertificate(companyCertificate)
+    });
+
+  } catch (error) {
+    logger.error('Error registrando certificado:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/user/companies/{id}/certificate:
+ *   delete:
+ *     tags: [Empresas]
+ *     summary: Eliminar certificado digital
+ *     description: Elimina el certificado digital de la empresa
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa
+ *     responses:
+ *       200:
+ *         description: Certificado eliminado
+ *       403:
+ *         description: Sin permisos para gestionar el certificado
+ *       404:
+ *         description: La empresa no tiene certificado
+ */
+const deleteCertificate = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.id;
+
+    // Solo owner y admin gestionan el certificado
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para gestionar el certificado de esta empresa'
+      });
+    }
+
+    const deleted = await CompanyCertificate.destroy({
+      where: { company_id: companyId }
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'La empresa no tiene un certificado digital registrado'
+      });
+    }
+
+    logger.info(`Certificado digital eliminado de empresa ${companyId} por usuario: ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Certificado eliminado'
+    });
+
+  } catch (error) {
+    logger.error('Error eliminando certificado:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Genera avisos de vencimiento de certificados a los 30, 15 y 5 días
+const checkCertificateExpirations = async () => {
+  const now = new Date();
+  const limit = new Date(now.getTime() + EXPIRY_NOTICE_DAYS[0] * DAY_MS);
+
+  const certificates = await CompanyCertificate.findAll({
+    where: { valid_to: { [Op.between]: [now, limit] } },
+    include: [{ model: Company, as: 'company' }]
+  });
+
+  for (const certificate of certificates) {
+    const daysLeft = Math.ceil((new Date(certificate.valid_to) - now) / DAY_MS);
+    const notice = EXPIRY_NOTICE_DAYS.filter(days => daysLeft <= days).pop();
+
+    // Cada umbral se avisa una sola vez
+    if (certificate.last_expiry_notice && certificate.last_expiry_notice <= notice) continue;
+
+    const admins = await UserCompany.findAll({
+      where: { company_id: certificate.company_id, role: ['owner', 'admin'] }
+    });
+
+    await UserNotification.bulkCreate(admins.map(admin => ({
+      user_id: admin.user_id,
+      company_id: certificate.company_id,
+      type: 'warning',
+      priority: notice === 5 ? 'critical' : notice === 15 ? 'high' : 'medium',
+      title: 'Certificado digital por vencer',
+      message: `El certificado digital de ${certificate.company.name} vence en ${daysLeft} día(s). Renuévelo para seguir emitiendo comprobantes.`,
+      metadata: {
+        certificate_id: certificate.id,
+        serial_number: certificate.serial_number,
+        valid_to: certificate.valid_to,
+        days_left: daysLeft
+      }
+    })));
+
+    await certificate.update({ last_expiry_notice: notice });
+
+    logger.info(`Aviso de vencimiento de certificado (${notice} días) enviado para empresa ${certificate.company_id}`);
+  }
+};
+
+module.exports = {
+  getCertificate,
+  uploadCertificate,
+  deleteCertificate,
+  checkCertificateExpirations
+};
@@ -28,7 +28,7 @@ const logger = require('../config/logger');
  *         name: document_type
  *         schema:
  *           type: string
- *           enum: [dni, ruc, passport, other]
+ *           enum: [dni, ruc, passport, foreign_id, tin, other]
  *         description: Filtrar por tipo de documento
  *       - in: query
  *         name: active
@@ -125,7 +125,8 @@ const getCustomers = async (req, res) => {
  *             properties:
  *               document_type:
  *                 type: string
- *                 enum: [dni, ruc, passport, other]
+ *                 enum: [dni, ruc, passport, foreign_id, tin, other]
+ *                 description: "Catálogo 06: dni (1), ruc (6), passport (7), foreign_id (B), tin (C), other (0)"
  *                 example: "dni"
  *               document_number:
  *                 type: string
@@ -166,6 +167,7 @@ const getCustomers = async (req, res) => {
  *                 type: string
  *                 enum: [domiciliado, no_domiciliado]
  *                 default: domiciliado
+ *                 description: "Los clientes no domiciliados se facturan como exportación (tipo de operación 0200/0201)"
  *                 example: "domiciliado"
  *     responses:
  *       201:
@@ -0,0 +1,795 @@
+'use strict'
+
+const { Company, Customer, Product, Invoice, DespatchAdvice, DespatchAdviceItem, DocumentSequence, UserCompany } = require('../models/associations');
+const logger = require('../config/logger');
+const { getCompanySigner } = require('../util/certificate');
+const { buildDespatchAdviceXml } = require('../util/ubl');
+const { validateUblXml } = require('../util/ublSchema');
+const { TRANSPORT_MODES, TRANSFER_REASONS } = require('../util/sunatCatalogs');
+const PDFDocument = require('pdfkit');
+
+const UBIGEO_PATTERN = /^\d{6}$/;
+
+// Datos completos de una guía
+const DESPATCH_INCLUDE = [
+  {
+    model: Customer,
+    as: 'customer'
+  },
+  {
+    model: DespatchAdviceItem,
+    as: 'items',
+    include: [{
+      model: Product,
+      as: 'product'
+    }]
+  },
+  {
+    model: Invoice,
+    as: 'invoice',
+    attributes: ['id', 'invoice_number', 'document_type', 'issue_date']
+  }
+];
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/despatch-advices:
+ *   get:
+ *     tags: [Guías de Remisión]
+ *     summary: Listar guías de remisión
+ *     description: Obtiene las guías de remisión electrónicas de la empresa
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: invoice_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Guías obtenidas exitosamente
+ */
+const getDespatchAdvices = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const { page = 1, limit = 20, invoice_id } = req.query;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const offset = (page - 1) * limit;
+    const where = { company_id: companyId };
+    if (invoice_id) where.invoice_id = invoice_id;
+
+    const { count, rows: despatchAdvices } = await DespatchAdvice.findAndCountAll({
+      where,
+      attributes: { exclude: ['xml_content'] },
+      include: [
+        {
+          model: Customer,
+          as: 'customer',
+          attributes: ['id', 'name', 'document_type', 'document_number']
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        despatch_advices: despatchAdvices,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(count / limit),
+          total_count: count,
+          per_page: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo guías de remisión:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/despatch-advices:
+ *   post:
+ *     tags: [Guías de Remisión]
+ *     summary: Crear guía de remisión
+ *     description: Crea una guía de remisión remitente con los bienes del catálogo de productos
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customer_id
+ *               - issue_date
+ *               - transfer_date
+ *               - transfer_reason
+ *               - transport_mode
+ *               - gross_weight
+ *               - origin_ubigeo
+ *               - origin_address
+ *               - destination_ubigeo
+ *               - destination_address
+ *               - items
+ *             properties:
+ *               customer_id:
+ *                 type: integer
+ *                 description: Destinatario
+ *                 example: 1
+ *               invoice_id:
+ *                 type: integer
+ *                 description: Factura o boleta relacionada (opcional). Debe ser del mismo destinatario y no estar firmada ni enviada a SUNAT
+ *               series:
+ *                 type: string
+ *                 default: T001
+ *               issue_date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-08-02"
+ *               transfer_date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-08-03"
+ *               transfer_reason:
+ *                 type: string
+ *                 description: Motivo de traslado (catálogo 20)
+ *                 example: "01"
+ *               transfer_description:
+ *                 type: string
+ *               transport_mode:
+ *                 type: string
+ *                 enum: ["01", "02"]
+ *                 description: 01 transporte público, 02 transporte privado
+ *               gross_weight:
+ *                 type: number
+ *                 example: 120.5
+ *               packages_count:
+ *                 type: integer
+ *               origin_ubigeo:
+ *                 type: string
+ *                 example: "150101"
+ *               origin_address:
+ *                 type: string
+ *               destination_ubigeo:
+ *                 type: string
+ *                 example: "040101"
+ *               destination_address:
+ *                 type: string
+ *               carrier:
+ *                 type: object
+ *                 description: Requerido en transporte público
+ *                 properties:
+ *                   ruc:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   mtc_registration:
+ *                     type: string
+ *               driver:
+ *                 type: object
+ *                 description: Requerido en transporte privado
+ *                 properties:
+ *                   document_type:
+ *                     type: string
+ *                     enum: [dni, passport, other]
+ *                   document_number:
+ *                     type: string
+ *                   first_name:
+ *                     type: string
+ *                   last_name:
+ *                     type: string
+ *                   license:
+ *                     type: string
+ *               vehicle_plate:
+ *                 type: string
+ *                 description: Requerido en transporte privado
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - product_id
+ *                     - quantity
+ *                   properties:
+ *                     product_id:
+ *                       type: integer
+ *                     quantity:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Guía creada exitosamente
+ */
+const createDespatchAdvice = async (req, res) => {
+  const transaction = await require('../config/database').transaction();
+
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const {
+      customer_id, invoice_id, series = 'T001', issue_date, transfer_date, transfer_reason, transfer_description,
+      transport_mode, gross_weight, packages_count, origin_ubigeo, origin_address, destination_ubigeo,
+      destination_address, carrier = {}, driver = {}, vehicle_plate, notes, items
+    } = req.body;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant', 'sales']
+      }
+    });
+
+    if (!userCompany) {
+      await transaction.rollback();
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para crear guías en esta empresa'
+      });
+    }
+
+    const validationError = validateDespatchData(req.body);
+    if (validationError) {
+      await transaction.rollback();
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const customer = await Customer.findOne({
+      where: { id: customer_id, company_id: companyId },
+      transaction
+    });
+
+    if (!customer) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Destinatario no encontrado'
+      });
+    }
+
+    if (invoice_id) {
+      const invoice = await Invoice.findOne({
+        where: { id: invoice_id, company_id: companyId, document_type: ['invoice', 'receipt'] },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!invoice) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'El comprobante relacionado no existe'
+        });
+      }
+
+      if (invoice.customer_id !== customer.id) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'El destinatario de la guía debe ser el cliente del comprobante relacionado'
+        });
+      }
+
+      // La referencia a la guía va en el XML del comprobante: ya firmado o enviado no se modifica
+      if (invoice.xml_content || invoice.sunat_status !== 'pending') {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'El comprobante relacionado ya fue firmado o enviado a SUNAT; relacione la guía al emitirlo'
+        });
+      }
+    }
+
+    for (const item of items) {
+      const product = await Product.findOne({
+        where: { id: item.product_id, company_id: companyId },
+        transaction
+      });
+      if (!product) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Producto con ID ${item.product_id} no encontrado`
+        });
+      }
+    }
+
+    // Obtener siguiente correlativo
+    const sequence = await DocumentSequence.findOne({
+      where: {
+        company_id: companyId,
+        document_type: 'despatch_advice',
+        series,
+        is_active: true
+      },
+      transaction
+    });
+
+    if (!sequence) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `No existe correlativo activo para despatch_advice serie ${series}`
+      });
+    }
+
+    const correlative = sequence.current_number + 1;
+    const document_number = `${sequence.prefix}${series}-${correlative.toString().padStart(sequence.min_digits, '0')}${sequence.suffix}`;
+
+    const despatch = await DespatchAdvice.create({
+      company_id: companyId,
+      customer_id,
+      invoice_id: invoice_id || null,
+      document_number,
+      series,
+      correlative,
+      issue_date,
+      transfer_date,
+      transfer_reason,
+      transfer_description,
+      transport_mode,
+      gross_weight,
+      packages_count,
+      origin_ubigeo,
+      origin_address,
+      destination_ubigeo,
+      destination_address,
+      carrier_ruc: carrier.ruc,
+      carrier_name: carrier.name,
+      carrier_mtc_registration: carrier.mtc_registration,
+      driver_document_type: driver.document_type,
+      driver_document_number: driver.document_number,
+      driver_first_name: driver.first_name,
+      driver_last_name: driver.last_name,
+      driver_license: driver.license,
+      vehicle_plate,
+      notes,
+      created_by: userId
+    }, { transaction });
+
+    for (const item of items) {
+      await DespatchAdviceItem.create({
+        despatch_advice_id: despatch.id,
+        product_id: item.product_id,
+        quantity: item.quantity
+      }, { transaction });
+    }
+
+    await sequence.update({ current_number: correlative }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Guía de remisión creada: ${document_number} para empresa ${companyId}`);
+
+    const completeDespatch = await DespatchAdvice.findByPk(despatch.id, {
+      include: DESPATCH_INCLUDE
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Guía de remisión creada exitosamente',
+      data: completeDespatch
+    });
+
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error creando guía de remisión:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/despatch-advices/{despatchId}:
+ *   get:
+ *     tags: [Guías de Remisión]
+ *     summary: Obtener guía de remisión
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: despatchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Guía obtenida exitosamente
+ */
+const getDespatchAdviceById = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, despatchId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const despatch = await DespatchAdvice.findOne({
+      where: { id: despatchId, company_id: companyId },
+      include: DESPATCH_INCLUDE
+    });
+
+    if (!despatch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guía de remisión no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: despatch
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo guía de remisión:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/despatch-advices/{despatchId}/generate-xml:
+ *   post:
+ *     tags: [Guías de Remisión]
+ *     summary: Generar XML de la guía
+ *     description: Genera y firma el XML DespatchAdvice-2 de la guía de remisión y lo valida contra los esquemas XSD
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: despatchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: XML generado exitosamente
+ *       400:
+ *         description: La empresa no tiene certificado digital o el XML no cumple el esquema XSD (ver data.violations)
+ */
+const generateDespatchXML = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, despatchId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant', 'sales']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const despatch = await DespatchAdvice.findOne({
+      where: { id: despatchId, company_id: companyId },
+      include: [{ model: Company, as: 'company' }, ...DESPATCH_INCLUDE]
+    });
+
+    if (!despatch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guía de remisión no encontrada'
+      });
+    }
+
+    const signer = await getCompanySigner(despatch.company);
+    if (!signer) {
+      return res.status(400).json({
+        success: false,
+        message: 'La empresa no tiene un certificado digital vigente'
+      });
+    }
+
+    const { xml: xmlContent, digestValue } = signer.sign(buildDespatchAdviceXml(despatch));
+
+    // Un XML que no cumple el esquema no se guarda, así no puede enviarse
+    const { valid, violations } = await validateUblXml(xmlContent);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'El XML generado no cumple el esquema XSD',
+        data: {
+          violations
+        }
+      });
+    }
+
+    await despatch.update({ xml_content: xmlContent, digest_value: digestValue });
+
+    logger.info(`XML generado y firmado para guía ${despatch.document_number}`);
+
+    res.json({
+      success: true,
+      message: 'XML generado exitosamente',
+      data: {
+        document_number: despatch.document_number,
+        digest_value: digestValue,
+        xml_content: xmlContent
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error generando XML de guía:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/despatch-advices/{despatchId}/download-pdf:
+ *   get:
+ *     tags: [Guías de Remisión]
+ *     summary: Descargar PDF de la guía
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: despatchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: PDF de la guía
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+const downloadDespatchPDF = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, despatchId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const despatch = await DespatchAdvice.findOne({
+      where: { id: despatchId, company_id: companyId },
+      include: [{ model: Company, as: 'company' }, ...DESPATCH_INCLUDE]
+    });
+
+    if (!despatch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guía de remisión no encontrada'
+      });
+    }
+
+    const pdfBuffer = await generateDespatchPDF(despatch);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="guia-${despatch.document_number}.pdf"`);
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    logger.error('Error generando PDF de guía:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Validaciones de los datos del traslado
+function validateDespatchData(data) {
+  const { customer_id, issue_date, transfer_date, transfer_reason, transport_mode, gross_weight, items } = data;
+  const carrier = data.carrier || {};
+  const driver = data.driver || {};
+
+  if (!customer_id || !issue_date || !transfer_date || !items || items.length === 0) {
+    return 'Destinatario, fechas de emisión y traslado e items son requeridos';
+  }
+  if (data.series && !data.series.startsWith('T')) {
+    return 'La serie de la guía de remisión debe empezar con T';
+  }
+  if (!TRANSFER_REASONS[transfer_reason]) {
+    return 'Motivo de traslado inválido (catálogo 20)';
+  }
+  if (transfer_date < issue_date) {
+    return 'La fecha de traslado no puede ser anterior a la fecha de emisión';
+  }
+  if (!(parseFloat(gross_weight) > 0)) {
+    return 'El peso bruto debe ser mayor a cero';
+  }
+  if (!UBIGEO_PATTERN.test(data.origin_ubigeo || '') || !UBIGEO_PATTERN.test(data.destination_ubigeo || '')) {
+    return 'Los ubigeos de partida y llegada deben tener 6 dígitos';
+  }
+  if (!data.origin_address || !data.destination_address) {
+    return 'Las direcciones de partida y llegada son requeridas';
+  }
+
+  if (transport_mode === TRANSPORT_MODES.PUBLIC) {
+    if (!/^\d{11}$/.test(carrier.ruc || '') || !carrier.name) {
+      return 'En transporte público debe indicar RUC y razón social del transportista';
+    }
+  } else if (transport_mode === TRANSPORT_MODES.PRIVATE) {
+    if (!driver.document_number || !driver.first_name || !driver.last_name || !driver.license || !data.vehicle_plate) {
+      return 'En transporte privado debe indicar conductor, licencia y placa del vehículo';
+    }
+  } else {
+    return 'Modalidad de traslado inválida (01 público, 02 privado)';
+  }
+
+  if (items.some(item => !item.product_id || !(parseFloat(item.quantity) > 0))) {
+    return 'Cada item requiere producto y cantidad mayor a cero';
+  }
+
+  return null;
+}
+
+// Representación impresa de la guía de remisión
+const generateDespatchPDF = async (despatch) => {
+  const doc = new PDFDocument({ margin: 30 });
+  const buffers = [];
+  doc.on('data', buffers.push.bind(buffers));
+
+  doc.fontSize(14)
+     .text(`GUÍA DE REMISIÓN ELECTRÓNICA REMITENTE: ${despatch.document_number}`, 50, 50, { align: 'center' })
+     .fontSize(10)
+     .text(`${despatch.company.business_name || despatch.company.name} - RUC ${despatch.company.ruc}`, 50, 75, { align: 'center' })
+     .text(`Fecha de emisión: ${despatch.issue_date}`, 50, 110)
+     .text(`Fecha de traslado: ${despatch.transfer_date}`, 300, 110)
+     .text(`Motivo: ${despatch.transfer_reason} - ${despatch.transfer_description || TRANSFER_REASONS[despatch.transfer_reason]}`, 50, 125)
+     .text(`Peso bruto: ${parseFloat(despatch.gross_weight).toFixed(3)} ${despatch.weight_unit}`, 300, 125);
+
+  if (despatch.invoice) {
+    doc.text(`Comprobante relacionado: ${despatch.invoice.invoice_number}`, 50, 140);
+  }
+
+  // --- Destinatario y puntos de partida/llegada ---
+  doc.fontSize(12)
+     .text('DESTINATARIO:', 50, 165, { underline: true })
+     .fontSize(10)
+     .text(`${despatch.customer.document_number} - ${despatch.customer.business_name || despatch.customer.name}`, 50, 182)
+     .text(`Punto de partida (${despatch.origin_ubigeo}): ${despatch.origin_address}`, 50, 200)
+     .text(`Punto de llegada (${despatch.destination_ubigeo}): ${despatch.destination_address}`, 50, 215);
+
+  // --- Transporte ---
+  doc.fontSize(12).text('DATOS DEL TRASLADO:', 50, 240, { underline: true }).fontSize(10);
+  if (despatch.transport_mode === TRANSPORT_MODES.PUBLIC) {
+    doc.text(`Transporte público - Transportista: ${despatch.carrier_ruc} ${despatch.carrier_name}`, 50, 257);
+  } else {
+    doc.text(`Transporte privado - Conductor: ${despatch.driver_document_number} ${despatch.driver_first_name} ${despatch.driver_last_name}`, 50, 257)
+       .text(`Licencia: ${despatch.driver_license}   Placa: ${despatch.vehicle_plate}`, 50, 272);
+  }
+
+  // --- Bienes ---
+  doc.fontSize(12).text('BIENES TRASLADADOS:', 50, 300, { underline: true });
+  doc.fontSize(10)
+     .font('Helvetica-Bold')
+     .text('Código', 50, 320)
+     .text('Descripción', 150, 320)
+     .text('Unidad', 400, 320)
+     .text('Cantidad', 470, 320)
+     .font('Helvetica');
+
+  let y = 340;
+  despatch.items.forEach(item => {
+    doc.text(item.product.code || '', 50, y)
+       .text(item.product.name, 150, y, { width: 240 })
+       .text(item.product.unit_type || 'NIU', 400, y)
+       .text(parseFloat(item.quantity).toString(), 470, y);
+    y += 20;
+  });
+
+  if (despatch.digest_value) {
+    doc.fontSize(8).text(`Valor resumen: ${despatch.digest_value}`, 50, y + 30, { align: 'center' });
+  }
+
+  doc.fontSize(8)
+     .text('Representación impresa de la Guía de Remisión Electrónica.', 50, y + 45, { align: 'center' });
+
+  doc.end();
+
+  return new Promise((resolve) => {
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+  });
+};
+
+module.exports = {
+  getDespatchAdvices,
+  createDespatchAdvice,
+  getDespatchAdviceById,
+  generateDespatchXML,
+  downloadDespatchPDF
+};
@@ -0,0 +1,273 @@
+'use strict'
+
+const { Op } = require('sequelize');
+const { Customer, Invoice, UserCompany } = require('../models/associations');
+const logger = require('../config/logger');
+const { round } = require('../util/invoiceTotals');
+const { DETRACTION_GOODS_SERVICES } = require('../util/sunatCatalogs');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/detractions/pending:
+ *   get:
+ *     tags: [Detracciones]
+ *     summary: Reporte de detracciones pendientes de depósito
+ *     description: Lista las facturas sujetas a detracción (SPOT) cuyo depósito en la cuenta del Banco de la Nación aún no ha sido registrado, con el total pendiente en soles.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Reporte generado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoices:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     total_count:
+ *                       type: integer
+ *                       example: 3
+ *                     total_pending:
+ *                       type: number
+ *                       example: 456.00
+ *       403:
+ *         description: Sin permisos
+ */
+const getPendingDetractions = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const { customer_id, date_from, date_to } = req.query;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    // Facturas con detracción sin depósito registrado, excluyendo las anuladas o rechazadas
+    const where = {
+      company_id: companyId,
+      detraction_amount: { [Op.gt]: 0 },
+      detraction_deposit_number: null,
+      status: { [Op.ne]: 'cancelled' },
+      sunat_status: { [Op.ne]: 'rejected' }
+    };
+
+    if (customer_id) where.customer_id = customer_id;
+    if (date_from && date_to) {
+      where.issue_date = { [Op.between]: [date_from, date_to] };
+    } else if (date_from) {
+      where.issue_date = { [Op.gte]: date_from };
+    } else if (date_to) {
+      where.issue_date = { [Op.lte]: date_to };
+    }
+
+    const invoices = await Invoice.findAll({
+      where,
+      attributes: [
+        'id', 'invoice_number', 'issue_date', 'currency', 'total_amount', 'sunat_status',
+        'detraction_code', 'detraction_rate', 'detraction_amount'
+      ],
+      include: [
+        {
+          model: Customer,
+          as: 'customer',
+          attributes: ['id', 'name', 'document_type', 'document_number']
+        }
+      ],
+      order: [['issue_date', 'ASC']]
+    });
+
+    const totalPending = round(invoices.reduce((acc, invoice) => acc + parseFloat(invoice.detraction_amount), 0));
+
+    res.json({
+      success: true,
+      data: {
+        invoices: invoices.map(invoice => ({
+          ...invoice.toJSON(),
+          detraction_description: (DETRACTION_GOODS_SERVICES[invoice.detraction_code] || {}).description || null
+        })),
+        total_count: invoices.length,
+        total_pending: totalPending
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo detracciones pendientes:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/invoices/{invoiceId}/detraction-deposit:
+ *   post:
+ *     tags: [Detracciones]
+ *     summary: Registrar depósito de detracción
+ *     description: Registra la constancia del depósito de la detracción realizado por el cliente en el Banco de la Nación. La factura deja de figurar en el reporte de pendientes.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deposit_number
+ *               - deposit_date
+ *             properties:
+ *               deposit_number:
+ *                 type: string
+ *                 example: "123456789"
+ *               deposit_date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-08-05"
+ *     responses:
+ *       200:
+ *         description: Depósito registrado exitosamente
+ *       400:
+ *         description: Datos inválidos o la factura no está sujeta a detracción
+ *       403:
+ *         description: Sin permisos
+ *       404:
+ *         description: Factura no encontrada
+ */
+const registerDetractionDeposit = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const invoiceId = req.params.invoiceId;
+    const { deposit_number, deposit_date } = req.body;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para registrar depósitos en esta empresa'
+      });
+    }
+
+    if (!deposit_number || !DATE_PATTERN.test(deposit_date || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Número de constancia y fecha de depósito (YYYY-MM-DD) son requeridos'
+      });
+    }
+
+    const invoice = await Invoice.findOne({
+      where: { id: invoiceId, company_id: companyId }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Factura no encontrada'
+      });
+    }
+
+    if (!(parseFloat(invoice.detraction_amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'La factura no está sujeta a detracción'
+      });
+    }
+
+    if (deposit_date < invoice.issue_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'La fecha de depósito no puede ser anterior a la emisión de la factura'
+      });
+    }
+
+    await invoice.update({
+      detraction_deposit_number: deposit_number,
+      detraction_deposit_date: deposit_date
+    });
+
+    logger.info(`Depósito de detracción registrado: ${invoice.invoice_number} constancia ${deposit_number}`);
+
+    res.json({
+      success: true,
+      message: 'Depósito de detracción registrado exitosamente',
+      data: {
+        invoice_number: invoice.invoice_number,
+        detraction_amount: invoice.detraction_amount,
+        detraction_deposit_number: invoice.detraction_deposit_number,
+        detraction_deposit_date: invoice.detraction_deposit_date
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error registrando depósito de detracción:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getPendingDetractions,
+  registerDetractionDeposit
+};
@@ -91,7 +91,7 @@ const getCompanySequences = async (req, res) => {
  *             properties:
  *               document_type:
  *                 type: string
- *                 enum: [invoice, credit_note, debit_note, receipt, quotation]
+ *                 enum: [invoice, credit_note, debit_note, receipt, quotation, despatch_advice, retention, perception]
  *                 example: "invoice"
  *               series:
  *                 type: string
@@ -203,7 +203,7 @@ const createSequence = async (req, res) => {
  *             properties:
  *               document_type:
  *                 type: string
- *                 enum: [invoice, credit_note, debit_note, receipt, quotation]
+ *                 enum: [invoice, credit_note, debit_note, receipt, quotation, despatch_advice, retention, perception]
  *               series:
  *                 type: string
  *     responses:
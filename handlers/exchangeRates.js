@@ -0,0 +1,429 @@
+'use strict'
+
+const { Op } = require('sequelize');
+const { ExchangeRate, UserCompany } = require('../models/associations');
+const sequelize = require('../config/database');
+const logger = require('../config/logger');
+const { CURRENCY_NAMES } = require('../util/sunatCatalogs');
+const { parseRateDate, parseExchangeRatesCsv } = require('../util/exchangeRates');
+
+// Monedas extranjeras con tipo de cambio a soles
+const FOREIGN_CURRENCIES = Object.keys(CURRENCY_NAMES).filter(currency => currency !== 'PEN');
+
+const IMPORT_SOURCES = ['sunat', 'sbs'];
+
+// Solo owner y admin registran o modifican los tipos de cambio
+const findAdminMembership = (userId, companyId) => UserCompany.findOne({
+  where: {
+    user_id: userId,
+    company_id: companyId,
+    role: ['owner', 'admin']
+  }
+});
+
+// Registra o reemplaza el tipo de cambio de una fecha; devuelve true si lo creó
+const upsertExchangeRate = async ({ companyId, currency, rate_date, buy_rate, sell_rate, source, userId }, { transaction } = {}) => {
+  const existing = await ExchangeRate.findOne({
+    where: { company_id: companyId, currency, rate_date },
+    transaction
+  });
+
+  const data = { buy_rate, sell_rate, source, updated_by: userId };
+  if (existing) {
+    await existing.update(data, { transaction });
+    return false;
+  }
+
+  await ExchangeRate.create({ company_id: companyId, currency, rate_date, ...data }, { transaction });
+  return true;
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/exchange-rates:
+ *   get:
+ *     tags: [Tipos de cambio]
+ *     summary: Listar tipos de cambio
+ *     description: Lista los tipos de cambio diarios registrados, del más reciente al más antiguo. Sin rango de fechas devuelve los últimos 31 registros.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [USD, EUR]
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Tipos de cambio obtenidos exitosamente
+ *       403:
+ *         description: Sin permisos
+ */
+const getExchangeRates = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const { currency, date_from, date_to } = req.query;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const where = { company_id: companyId };
+    if (currency) where.currency = currency;
+    if (date_from && date_to) {
+      where.rate_date = { [Op.between]: [date_from, date_to] };
+    } else if (date_from) {
+      where.rate_date = { [Op.gte]: date_from };
+    } else if (date_to) {
+      where.rate_date = { [Op.lte]: date_to };
+    }
+
+    const exchangeRates = await ExchangeRate.findAll({
+      where,
+      order: [['rate_date', 'DESC'], ['currency', 'ASC']],
+      limit: date_from || date_to ? undefined : 31
+    });
+
+    res.json({
+      success: true,
+      data: exchangeRates
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo tipos de cambio:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/exchange-rates/{currency}/{date}:
+ *   put:
+ *     tags: [Tipos de cambio]
+ *     summary: Registrar o corregir un tipo de cambio
+ *     description: Registra el tipo de cambio de una fecha o reemplaza el existente. Solo owner y admin.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [USD, EUR]
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2026-10-19"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - buy_rate
+ *               - sell_rate
+ *             properties:
+ *               buy_rate:
+ *                 type: number
+ *                 example: 3.745
+ *               sell_rate:
+ *                 type: number
+ *                 example: 3.752
+ *     responses:
+ *       200:
+ *         description: Tipo de cambio actualizado
+ *       201:
+ *         description: Tipo de cambio registrado
+ *       400:
+ *         description: Moneda, fecha o importes inválidos
+ *       403:
+ *         description: Sin permisos
+ */
+const saveExchangeRate = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, currency } = req.params;
+    const rate_date = parseRateDate(req.params.date);
+    const buy_rate = parseFloat(req.body.buy_rate);
+    const sell_rate = parseFloat(req.body.sell_rate);
+
+    const userCompany = await findAdminMembership(userId, companyId);
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para registrar tipos de cambio en esta empresa'
+      });
+    }
+
+    if (!FOREIGN_CURRENCIES.includes(currency) || !rate_date) {
+      return res.status(400).json({
+        success: false,
+        message: `Moneda (${FOREIGN_CURRENCIES.join(', ')}) o fecha inválida`
+      });
+    }
+
+    if (!(buy_rate > 0) || !(sell_rate > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El tipo de cambio compra y venta deben ser mayores a cero'
+      });
+    }
+
+    const created = await upsertExchangeRate({
+      companyId,
+      currency,
+      rate_date,
+      buy_rate,
+      sell_rate,
+      source: 'manual',
+      userId
+    });
+
+    logger.info(`Tipo de cambio ${currency} ${rate_date} registrado para empresa ${companyId}`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Tipo de cambio registrado' : 'Tipo de cambio actualizado',
+      data: await ExchangeRate.findOne({ where: { company_id: companyId, currency, rate_date } })
+    });
+
+  } catch (error) {
+    logger.error('Error registrando tipo de cambio:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/exchange-rates/import:
+ *   post:
+ *     tags: [Tipos de cambio]
+ *     summary: Importar tipos de cambio desde CSV
+ *     description: Importa el CSV de la publicación oficial de SUNAT o la SBS (fecha, compra y venta por fila, separados por barra vertical, punto y coma, tabulación o coma). Las fechas ya registradas se reemplazan. Si alguna fila es inválida no se importa ninguna. Solo owner y admin.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 enum: [USD, EUR]
+ *                 default: USD
+ *               source:
+ *                 type: string
+ *                 enum: [sunat, sbs]
+ *                 default: sunat
+ *               content:
+ *                 type: string
+ *                 description: Contenido del archivo CSV
+ *                 example: "Fecha|Compra|Venta\n01/10/2026|3.745|3.752"
+ *     responses:
+ *       200:
+ *         description: Importación realizada; indica cuántas fechas se registraron y actualizaron
+ *       400:
+ *         description: Archivo vacío o con filas inválidas
+ *       403:
+ *         description: Sin permisos
+ */
+const importExchangeRates = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const { currency = 'USD', source = 'sunat', content } = req.body;
+
+    const userCompany = await findAdminMembership(userId, companyId);
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para registrar tipos de cambio en esta empresa'
+      });
+    }
+
+    if (!FOREIGN_CURRENCIES.includes(currency) || !IMPORT_SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: `Moneda (${FOREIGN_CURRENCIES.join(', ')}) u origen (${IMPORT_SOURCES.join(', ')}) inválido`
+      });
+    }
+
+    const { rates, errors } = parseExchangeRatesCsv(content);
+    if (errors.length > 0 || rates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: rates.length === 0 && errors.length === 0
+          ? 'El archivo no contiene tipos de cambio'
+          : 'El archivo contiene filas inválidas; no se importó ningún tipo de cambio',
+        data: { errors }
+      });
+    }
+
+    let created = 0;
+    const transaction = await sequelize.transaction();
+    try {
+      for (const rate of rates) {
+        if (await upsertExchangeRate({ companyId, currency, source, userId, ...rate }, { transaction })) {
+          created += 1;
+        }
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Tipos de cambio ${currency} importados para empresa ${companyId}: ${rates.length}`);
+
+    res.json({
+      success: true,
+      message: 'Tipos de cambio importados exitosamente',
+      data: {
+        currency,
+        source,
+        date_from: rates.reduce((min, rate) => rate.rate_date < min ? rate.rate_date : min, rates[0].rate_date),
+        date_to: rates.reduce((max, rate) => rate.rate_date > max ? rate.rate_date : max, rates[0].rate_date),
+        created,
+        updated: rates.length - created
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error importando tipos de cambio:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/exchange-rates/{currency}/{date}:
+ *   delete:
+ *     tags: [Tipos de cambio]
+ *     summary: Eliminar un tipo de cambio
+ *     description: Elimina el tipo de cambio de una fecha. Los comprobantes ya emitidos conservan el tipo de cambio con que se registraron. Solo owner y admin.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Tipo de cambio eliminado
+ *       403:
+ *         description: Sin permisos
+ *       404:
+ *         description: Tipo de cambio no encontrado
+ */
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, currency } = req.params;
+
+    const userCompany = await findAdminMembership(userId, companyId);
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para eliminar tipos de cambio en esta empresa'
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findOne({
+      where: { company_id: companyId, currency, rate_date: parseRateDate(req.params.date) }
+    });
+
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tipo de cambio no encontrado'
+      });
+    }
+
+    await exchangeRate.destroy();
+
+    res.json({
+      success: true,
+      message: 'Tipo de cambio eliminado'
+    });
+
+  } catch (error) {
+    logger.error('Error eliminando tipo de cambio:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  saveExchangeRate,
+  importExchangeRates,
+  deleteExchangeRate
+};
@@ -1,8 +1,145 @@
 'use strict'
 
 const { Op } = require('sequelize');
-const { Company, Customer, Product, Invoice, InvoiceItem, DocumentSequence, UserCompany } = require('../models/associations');
+const { Company, Customer, Product, Invoice, InvoiceItem, InvoiceAdvance, InvoiceInstallment, InvoiceAllowanceCharge, DespatchAdvice, DocumentSequence, UserCompany } = require('../models/associations');
 const logger = require('../config/logger');
+const {
+  round,
+  affectationTaxRate,
+  icbperUnitAmount,
+  productIsc,
+  calculateItem,
+  sumTotals,
+  taxedLinesTotals,
+  calculateAllowanceCharges,
+  applyAllowanceCharges,
+  calculateAdvanceDeduction,
+  applyAdvances,
+  calculateDetraction
+} = require('../util/invoiceTotals');
+const {
+  OPERATION_TYPES,
+  AFFECTATION_CODES,
+  TAX_TYPE_AFFECTATION,
+  PAYMENT_TERMS,
+  GLOBAL_ALLOWANCE_CHARGES,
+  DETRACTION_GOODS_SERVICES
+} = require('../util/sunatCatalogs');
+const { isDeclaredBySummary } = require('../util/ubl');
+const { describeResponseCode } = require('../util/sunatResponseCodes');
+const { validateBusinessRules, runRule, allowanceChargesValid } = require('../util/businessRules');
+const { getAdvanceBalances } = require('../util/advances');
+const { findExchangeRate } = require('../util/exchangeRates');
+const { enqueueInvoice } = require('./sunatJobs');
+
+// Anticipos deducidos, con el número del comprobante de anticipo
+const ADVANCES_INCLUDE = {
+  model: InvoiceAdvance,
+  as: 'advances',
+  include: [{
+    model: Invoice,
+    as: 'advanceInvoice',
+    attributes: ['id', 'invoice_number', 'document_type', 'issue_date']
+  }]
+};
+
+/**
+ * Tipo de operación (catálogo 51). Las ventas a clientes no domiciliados son
+ * exportaciones: de servicios (0201) si todas las líneas son servicios y de
+ * bienes (0200) en otro caso. Las ventas internas con detracción usan 1001.
+ */
+const resolveOperationType = (customer, products, detraction) => {
+  if (customer.tax_condition === 'no_domiciliado') {
+    return products.every(product => product.product_type === 'service')
+      ? OPERATION_TYPES.EXPORT_SERVICES
+      : OPERATION_TYPES.EXPORT_GOODS;
+  }
+  return detraction ? OPERATION_TYPES.DETRACTION : OPERATION_TYPES.INTERNAL_SALE;
+};
+
+/**
+ * Anticipos a deducir del comprobante final ([{ invoice_id, amount }]). Cada uno debe
+ * ser del mismo cliente, tipo de comprobante y moneda, estar aceptado por SUNAT y
+ * tener saldo; sin amount se deduce todo el saldo. Devuelve { error } o { advances }.
+ */
+const resolveAdvances = async (requested, { companyId, customerId, documentType, currency, transaction }) => {
+  const ids = requested.map(advance => parseInt(advance.invoice_id));
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'Un anticipo no puede deducirse más de una vez en el mismo comprobante' };
+  }
+
+  // Las filas de los anticipos quedan bloqueadas hasta el fin de la transacción
+  const balances = await getAdvanceBalances({ company_id: companyId, customer_id: customerId, id: ids }, { transaction, lock: true });
+
+  const advances = [];
+  for (const request of requested) {
+    const entry = balances.find(({ advance }) => advance.id === parseInt(request.invoice_id));
+    if (!entry) {
+      return { error: `El anticipo ${request.invoice_id} no existe, no pertenece al cliente o está anulado` };
+    }
+
+    const { advance, balance } = entry;
+    if (advance.document_type !== documentType || advance.currency !== currency) {
+      return { error: `El anticipo ${advance.invoice_number} debe ser del mismo tipo de comprobante y moneda` };
+    }
+    if (advance.sunat_status !== 'accepted') {
+      return { error: `El anticipo ${advance.invoice_number} aún no ha sido aceptado por SUNAT` };
+    }
+    if (!(parseFloat(advance.tax_amount) > 0)) {
+      return { error: `El anticipo ${advance.invoice_number} no corresponde a una operación gravada` };
+    }
+
+    const amount = request.amount !== undefined ? parseFloat(request.amount) : balance;
+    if (!(amount > 0) || amount > balance) {
+      return { error: `Importe inválido para el anticipo ${advance.invoice_number} (saldo ${balance.toFixed(2)})` };
+    }
+
+    advances.push({
+      advance_invoice_id: advance.id,
+      ...calculateAdvanceDeduction(advance, amount)
+    });
+  }
+
+  return { advances };
+};
+
+/**
+ * Guías de remisión que sustentan el traslado de los bienes vendidos (ids). Cada una debe
+ * ser de la empresa, tener como destinatario al cliente del comprobante, no estar anulada
+ * ni rechazada y no estar relacionada con otro comprobante. Las filas quedan bloqueadas
+ * hasta el fin de la transacción. Devuelve { error } o { despatchAdvices }.
+ */
+const resolveDespatchAdvices = async (requested, { companyId, customerId, transaction }) => {
+  const ids = requested.map(id => parseInt(id));
+  if (ids.some(id => !(id > 0)) || new Set(ids).size !== ids.length) {
+    return { error: 'Las guías de remisión relacionadas deben indicarse una sola vez por su ID' };
+  }
+
+  const despatchAdvices = await DespatchAdvice.findAll({
+    where: { id: ids, company_id: companyId },
+    attributes: ['id', 'document_number', 'customer_id', 'invoice_id', 'status', 'sunat_status'],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  for (const id of ids) {
+    const despatch = despatchAdvices.find(entry => entry.id === id);
+    if (!despatch) {
+      return { error: `La guía de remisión ${id} no existe` };
+    }
+    if (despatch.customer_id !== customerId) {
+      return { error: `El destinatario de la guía ${despatch.document_number} no es el cliente del comprobante` };
+    }
+    if (despatch.status === 'cancelled' || despatch.sunat_status === 'rejected') {
+      return { error: `La guía ${despatch.document_number} está anulada o rechazada` };
+    }
+    if (despatch.invoice_id) {
+      return { error: `La guía ${despatch.document_number} ya está relacionada con otro comprobante` };
+    }
+  }
+
+  return { despatchAdvices };
+};
 
 /**
  * @swagger
@@ -102,7 +239,10 @@ const getInvoices = async (req, res) => {
     res.json({
       success: true,
       data: {
-        invoices,
+        invoices: invoices.map(invoice => ({
+          ...invoice.toJSON(),
+          sunat_response: describeResponseCode(invoice.sunat_response_code)
+        })),
         pagination: {
           current_page: parseInt(page),
           total_pages: Math.ceil(count / limit),
@@ -127,7 +267,7 @@ const getInvoices = async (req, res) => {
  *   post:
  *     tags: [Facturas]
  *     summary: Crear factura
- *     description: Crea una nueva factura para la empresa
+ *     description: Crea una nueva factura para la empresa. Si la factura incluye bienes o servicios sujetos a detracción (catálogo 54) y su importe supera S/ 700, se calcula la detracción y se emite con tipo de operación 1001. Las facturas a clientes no domiciliados son exportaciones (0200 bienes, 0201 servicios) y sus líneas se emiten con afectación 40, sin IGV.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -165,7 +305,8 @@ const getInvoices = async (req, res) => {
  *                 default: PEN
  *               exchange_rate:
  *                 type: number
- *                 default: 1.0000
+ *                 description: Tipo de cambio a soles. Si se omite en moneda extranjera se usa el tipo de cambio venta registrado para la fecha de emisión (o el último de los 7 días anteriores). En PEN siempre es 1.
+ *                 example: 3.752
  *               issue_date:
  *                 type: string
  *                 format: date
@@ -177,6 +318,84 @@ const getInvoices = async (req, res) => {
  *               notes:
  *                 type: string
  *                 example: "Observaciones adicionales"
+ *               payment_terms:
+ *                 type: string
+ *                 enum: [cash, credit]
+ *                 default: cash
+ *                 description: "Forma de pago. Las facturas al crédito detallan sus cuotas"
+ *               installments:
+ *                 type: array
+ *                 description: "Cuotas de la venta al crédito. Deben sumar el importe neto pendiente de pago (total menos detracción) y vencer después de la emisión. Por defecto due_date es el vencimiento de la última cuota"
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - amount
+ *                     - due_date
+ *                   properties:
+ *                     amount:
+ *                       type: number
+ *                       example: 590.00
+ *                     due_date:
+ *                       type: string
+ *                       format: date
+ *                       example: "2025-09-01"
+ *               incoterm:
+ *                 type: string
+ *                 description: "Incoterm de la exportación de bienes (clientes no domiciliados)"
+ *                 example: "FOB"
+ *               destination_country:
+ *                 type: string
+ *                 description: "País de destino de la exportación (ISO 3166-1 alfa-2). Por defecto el país del cliente"
+ *                 example: "US"
+ *               is_advance:
+ *                 type: boolean
+ *                 description: "Comprobante emitido por un anticipo; su importe queda como saldo deducible del cliente"
+ *                 default: false
+ *               advances:
+ *                 type: array
+ *                 description: "Anticipos a deducir del comprobante final. Reducen la base imponible, el IGV y el total a pagar"
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - invoice_id
+ *                   properties:
+ *                     invoice_id:
+ *                       type: integer
+ *                       description: "Comprobante de anticipo del mismo cliente, tipo y moneda"
+ *                       example: 15
+ *                     amount:
+ *                       type: number
+ *                       description: "Importe a deducir, con impuestos. Por defecto todo el saldo del anticipo"
+ *                       example: 1180.00
+ *               despatch_advice_ids:
+ *                 type: array
+ *                 description: "Guías de remisión del mismo cliente que sustentan el traslado; se informan en cac:DespatchDocumentReference"
+ *                 items:
+ *                   type: integer
+ *                   example: 3
+ *               allowance_charges:
+ *                 type: array
+ *                 description: "Descuentos y cargos globales (catálogo 53). Los códigos 02 (descuento) y 49 (cargo) afectan la base imponible del IGV y se calculan sobre el valor de venta gravado; 03 (descuento) y 50 (cargo) no la afectan y se calculan sobre el importe total"
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - code
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                       enum: ["02", "03", "49", "50"]
+ *                       example: "02"
+ *                     description:
+ *                       type: string
+ *                       example: "Descuento por pronto pago"
+ *                     rate:
+ *                       type: number
+ *                       description: "Porcentaje sobre la base; alternativo a amount"
+ *                       example: 5.00
+ *                     amount:
+ *                       type: number
+ *                       description: "Importe fijo sin impuestos; alternativo a rate"
+ *                       example: 20.00
  *               items:
  *                 type: array
  *                 items:
@@ -199,9 +418,48 @@ const getInvoices = async (req, res) => {
  *                       type: number
  *                       default: 0.00
  *                       example: 5.00
+ *                     affectation_code:
+ *                       type: string
+ *                       description: "Afectación del IGV (catálogo 07). Por defecto la del tipo tributario del producto. En las transferencias gratuitas (11-16, 21, 31-37) unit_price es el valor referencial y la línea no suma al total"
+ *                       example: "10"
  *     responses:
  *       201:
- *         description: Factura creada exitosamente
+ *         description: Factura creada exitosamente; warnings lista las advertencias de las reglas de validación
+ *       400:
+ *         description: Datos incompletos o el comprobante no cumple las reglas de validación de SUNAT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: "El comprobante no cumple las reglas de validación de SUNAT"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                             example: "BOLETA_CLIENTE_DOCUMENTO"
+ *                           level:
+ *                             type: string
+ *                             enum: [error, warning]
+ *                           message:
+ *                             type: string
+ *                     warnings:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       404:
+ *         description: Cliente no encontrado
  */
 const createInvoice = async (req, res) => {
   const transaction = await require('../config/database').transaction();
@@ -209,7 +467,9 @@ const createInvoice = async (req, res) => {
   try {
     const userId = req.user.id;
     const companyId = req.params.companyId;
-    const { customer_id, document_type, series, currency = 'PEN', exchange_rate = 1.0000, issue_date, due_date, notes, items } = req.body;
+    const { customer_id, document_type, series, currency = 'PEN', issue_date, notes, items, incoterm } = req.body;
+    const is_advance = Boolean(req.body.is_advance);
+    const payment_terms = req.body.payment_terms || 'cash';
 
     // Verificar permisos
     const userCompany = await UserCompany.findOne({
@@ -237,6 +497,79 @@ const createInvoice = async (req, res) => {
       });
     }
 
+    if (!PAYMENT_TERMS[payment_terms]) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Forma de pago inválida (cash o credit)'
+      });
+    }
+
+    // Cada descuento o cargo global se indica con porcentaje o con importe, no con ambos;
+    // el valor es un número positivo y un descuento no supera el 100 %
+    const requestedAllowanceCharges = Array.isArray(req.body.allowance_charges) ? req.body.allowance_charges : [];
+    const isGiven = (value) => value !== undefined && value !== null && value !== '';
+    const invalidAllowanceCharge = requestedAllowanceCharges.find(entry => {
+      if (!GLOBAL_ALLOWANCE_CHARGES[entry.code] || isGiven(entry.rate) === isGiven(entry.amount)) return true;
+      const value = Number(isGiven(entry.rate) ? entry.rate : entry.amount);
+      const isDiscountRate = isGiven(entry.rate) && !GLOBAL_ALLOWANCE_CHARGES[entry.code].charge;
+      return !Number.isFinite(value) || value <= 0 || (isDiscountRate && value > 100);
+    });
+    if (invalidAllowanceCharge) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Cada descuento o cargo global indica un código 02, 03, 49 o 50 (catálogo 53) y un porcentaje (rate, hasta 100 en descuentos) o un importe (amount) mayor a cero'
+      });
+    }
+
+    // Cuotas numeradas por orden de vencimiento; la última fija el vencimiento del comprobante
+    const installments = (Array.isArray(req.body.installments) ? req.body.installments : [])
+      .map(installment => ({ amount: round(parseFloat(installment.amount)), due_date: installment.due_date }))
+      .sort((a, b) => String(a.due_date).localeCompare(String(b.due_date)))
+      .map((installment, index) => ({ number: index + 1, ...installment }));
+    const due_date = req.body.due_date || (installments.length > 0 ? installments[installments.length - 1].due_date : null);
+
+    // Tipo de cambio: el indicado o el venta registrado para la fecha de emisión
+    let exchange_rate = 1;
+    if (currency !== 'PEN') {
+      if (isGiven(req.body.exchange_rate)) {
+        exchange_rate = parseFloat(req.body.exchange_rate);
+      } else {
+        const registeredRate = await findExchangeRate(companyId, currency, issue_date, { transaction });
+        exchange_rate = registeredRate ? parseFloat(registeredRate.sell_rate) : null;
+      }
+
+      if (!(exchange_rate > 0)) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: isGiven(req.body.exchange_rate)
+            ? 'El tipo de cambio debe ser mayor a cero'
+            : `No hay tipo de cambio registrado para ${currency} al ${issue_date}; regístrelo o indique exchange_rate`
+        });
+      }
+    }
+
+    const customer = await Customer.findOne({
+      where: { id: customer_id, company_id: companyId },
+      transaction
+    });
+
+    if (!customer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    // Exportación: cliente no domiciliado; el país de destino es por defecto el del cliente
+    const isExport = customer.tax_condition === 'no_domiciliado';
+    const destination_country = isExport
+      ? (req.body.destination_country || customer.country || '').toUpperCase()
+      : null;
+
     // Obtener siguiente correlativo
     const sequence = await DocumentSequence.findOne({
       where: { 
@@ -260,11 +593,8 @@ const createInvoice = async (req, res) => {
     const invoice_number = `${sequence.prefix}${series}-${correlative.toString().padStart(sequence.min_digits, '0')}${sequence.suffix}`;
 
     // Calcular totales
-    let subtotal = 0;
-    let tax_amount = 0;
-    let discount_amount = 0;
-
     const processedItems = [];
+    const products = [];
     
     for (const item of items) {
       const product = await Product.findByPk(item.product_id, { transaction });
@@ -276,34 +606,161 @@ const createInvoice = async (req, res) => {
         });
       }
 
-      const quantity = parseFloat(item.quantity);
-      const unit_price = parseFloat(item.unit_price);
-      const discount_rate = parseFloat(item.discount_rate || 0);
-      const tax_rate = parseFloat(product.igv_rate || 18);
+      // Afectación del IGV (catálogo 07): la indicada en la línea, exportación (40) para
+      // clientes no domiciliados o la del tipo tributario del producto
+      const defaultAffectation = isExport ? TAX_TYPE_AFFECTATION.exportacion : TAX_TYPE_AFFECTATION[product.tax_type];
+      const affectation_code = String(item.affectation_code || defaultAffectation || '10');
+      if (!AFFECTATION_CODES[affectation_code]) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Afectación del IGV ${affectation_code} inválida para el producto ${item.product_id} (catálogo 07)`
+        });
+      }
 
-      const item_subtotal = quantity * unit_price;
-      const item_discount = item_subtotal * (discount_rate / 100);
-      const item_base = item_subtotal - item_discount;
-      const item_tax = item_base * (tax_rate / 100);
-      const item_total = item_base + item_tax;
+      // Productos guardados con un bien o servicio que ya no está en el catálogo 54
+      if (product.detraction_code && !DETRACTION_GOODS_SERVICES[product.detraction_code] && document_type === 'invoice' && !isExport) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Código de detracción ${product.detraction_code} del producto ${item.product_id} no figura en el catálogo 54; actualice el producto`
+        });
+      }
+
+      products.push(product);
 
       processedItems.push({
         product_id: item.product_id,
-        quantity,
-        unit_price,
-        discount_rate,
-        tax_rate,
-        subtotal: item_base,
-        tax_amount: item_tax,
-        total_amount: item_total
+        ...calculateItem({
+          quantity: item.quantity,
+          unit_price: item.unit_price,
+          discount_rate: item.discount_rate,
+          tax_rate: affectationTaxRate(affectation_code, product.igv_rate || 18),
+          affectation_code,
+          // ISC según el sistema del producto; las exportaciones no están afectas
+          ...(isExport ? {} : productIsc(product)),
+          // Bolsas de plástico: ICBPER por unidad según el año de emisión
+          icbper_unit_amount: product.icbper_subject ? icbperUnitAmount(issue_date) : 0
+        })
       });
+    }
 
-      subtotal += item_base;
-      tax_amount += item_tax;
-      discount_amount += item_discount;
+    // Anticipos deducidos: reducen la base imponible, el IGV y el total a pagar
+    let advances = [];
+    if (Array.isArray(req.body.advances) && req.body.advances.length > 0) {
+      // La deducción se calcula sobre el valor de las líneas onerosas gravadas con IGV
+      if (!(taxedLinesTotals(processedItems).subtotal > 0)) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Los anticipos solo se deducen de comprobantes con líneas onerosas gravadas con IGV'
+        });
+      }
+
+      const resolved = await resolveAdvances(req.body.advances, {
+        companyId,
+        customerId: customer.id,
+        documentType: document_type,
+        currency,
+        transaction
+      });
+      if (resolved.error) {
+        await transaction.rollback();
+        return res.status(400).json({ success: false, message: resolved.error });
+      }
+      advances = resolved.advances;
+    }
+
+    let despatchAdvices = [];
+    if (Array.isArray(req.body.despatch_advice_ids) && req.body.despatch_advice_ids.length > 0) {
+      const resolved = await resolveDespatchAdvices(req.body.despatch_advice_ids, {
+        companyId,
+        customerId: customer.id,
+        transaction
+      });
+      if (resolved.error) {
+        await transaction.rollback();
+        return res.status(400).json({ success: false, message: resolved.error });
+      }
+      despatchAdvices = resolved.despatchAdvices;
+    }
+
+    // Descuentos y cargos globales; los anticipos se deducen después, sobre la base ya ajustada
+    const allowanceCharges = calculateAllowanceCharges(processedItems, requestedAllowanceCharges);
+
+    // Los códigos 02 y 49 requieren líneas gravadas con IGV y los descuentos no superan su base
+    const allowanceChargeIssues = runRule(allowanceChargesValid, { document_type, items: processedItems, allowanceCharges });
+    if (allowanceChargeIssues.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: allowanceChargeIssues.map(issue => issue.message).join('; ')
+      });
     }
 
-    const total_amount = subtotal + tax_amount;
+    const {
+      subtotal,
+      isc_amount,
+      tax_amount,
+      icbper_amount,
+      discount_amount,
+      allowance_total_amount,
+      charge_total_amount,
+      total_amount,
+      free_amount,
+      prepaid_amount
+    } = applyAdvances(applyAllowanceCharges(sumTotals(processedItems), allowanceCharges), advances);
+
+    // Detracción (SPOT): solo en facturas de venta interna con bienes o servicios sujetos
+    const detraction = document_type === 'invoice' && !isExport
+      ? calculateDetraction({ total_amount, currency, exchange_rate, products })
+      : null;
+    const operation_type = resolveOperationType(customer, products, detraction);
+    const exportData = isExport
+      ? { incoterm: operation_type === OPERATION_TYPES.EXPORT_GOODS ? incoterm || null : null, destination_country }
+      : {};
+
+    const company = await Company.findByPk(companyId, { transaction });
+
+    // Reglas de negocio de SUNAT: los errores impiden emitir el comprobante
+    const validation = validateBusinessRules({
+      ...detraction,
+      ...exportData,
+      operation_type,
+      company,
+      document_type,
+      series,
+      currency,
+      exchange_rate,
+      issue_date,
+      due_date,
+      payment_terms,
+      installments,
+      customer,
+      is_advance,
+      items: processedItems,
+      allowanceCharges,
+      advances,
+      subtotal,
+      isc_amount,
+      tax_amount,
+      icbper_amount,
+      allowance_total_amount,
+      charge_total_amount,
+      total_amount
+    });
+
+    if (!validation.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'El comprobante no cumple las reglas de validación de SUNAT',
+        data: {
+          errors: validation.errors,
+          warnings: validation.warnings
+        }
+      });
+    }
 
     // Crear factura
     const invoice = await Invoice.create({
@@ -315,12 +772,24 @@ const createInvoice = async (req, res) => {
       document_type,
       currency,
       exchange_rate,
+      operation_type,
+      ...detraction,
+      ...exportData,
       issue_date,
       due_date,
+      payment_terms,
       subtotal,
+      isc_amount,
       tax_amount,
+      icbper_amount,
       discount_amount,
+      allowance_total_amount,
+      charge_total_amount,
       total_amount,
+      free_amount,
+      prepaid_amount,
+      is_advance,
+      balance_amount: total_amount,
       notes,
       created_by: userId
     }, { transaction });
@@ -333,9 +802,42 @@ const createInvoice = async (req, res) => {
       }, { transaction });
     }
 
+    for (const allowanceCharge of allowanceCharges) {
+      await InvoiceAllowanceCharge.create({
+        invoice_id: invoice.id,
+        ...allowanceCharge
+      }, { transaction });
+    }
+
+    for (const advance of advances) {
+      await InvoiceAdvance.create({
+        invoice_id: invoice.id,
+        ...advance
+      }, { transaction });
+    }
+
+    for (const installment of installments) {
+      await InvoiceInstallment.create({
+        invoice_id: invoice.id,
+        ...installment
+      }, { transaction });
+    }
+
+    if (despatchAdvices.length > 0) {
+      await DespatchAdvice.update(
+        { invoice_id: invoice.id },
+        { where: { id: despatchAdvices.map(despatch => despatch.id) }, transaction }
+      );
+    }
+
     // Actualizar correlativo
     await sequence.update({ current_number: correlative }, { transaction });
 
+    // Las facturas se envían a SUNAT desde la cola; las boletas van en el resumen diario
+    if (!isDeclaredBySummary(invoice)) {
+      await enqueueInvoice(invoice, { userId, transaction });
+    }
+
     await transaction.commit();
 
     logger.info(`Factura creada: ${invoice_number} para empresa ${companyId}`);
@@ -354,6 +856,20 @@ const createInvoice = async (req, res) => {
             model: Product,
             as: 'product'
           }]
+        },
+        ADVANCES_INCLUDE,
+        {
+          model: InvoiceInstallment,
+          as: 'installments'
+        },
+        {
+          model: InvoiceAllowanceCharge,
+          as: 'allowanceCharges'
+        },
+        {
+          model: DespatchAdvice,
+          as: 'despatchAdvices',
+          attributes: ['id', 'document_number', 'issue_date']
         }
       ]
     });
@@ -361,7 +877,8 @@ const createInvoice = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Factura creada exitosamente',
-      data: completeInvoice
+      data: completeInvoice,
+      warnings: validation.warnings
     });
 
   } catch (error) {
@@ -430,6 +947,25 @@ const getInvoiceById = async (req, res) => {
             model: Product,
             as: 'product'
           }]
+        },
+        {
+          model: Invoice,
+          as: 'referenceInvoice',
+          attributes: ['id', 'invoice_number', 'document_type', 'issue_date', 'total_amount']
+        },
+        {
+          model: Invoice,
+          as: 'adjustmentNotes',
+          attributes: ['id', 'invoice_number', 'document_type', 'issue_date', 'total_amount', 'note_reason_code', 'sunat_status']
+        },
+        ADVANCES_INCLUDE,
+        {
+          model: InvoiceInstallment,
+          as: 'installments'
+        },
+        {
+          model: InvoiceAllowanceCharge,
+          as: 'allowanceCharges'
         }
       ]
     });
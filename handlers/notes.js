@@ -0,0 +1,580 @@
+'use strict'
+
+const { Customer, Product, Invoice, InvoiceItem, InvoiceAdvance, InvoiceAllowanceCharge, DocumentSequence, UserCompany } = require('../models/associations');
+const logger = require('../config/logger');
+const { CREDIT_NOTE_REASONS, FULL_CREDIT_NOTE_REASONS, DEBIT_NOTE_REASONS, TAX_TYPE_AFFECTATION, EXPORT_OPERATION_TYPES } = require('../util/sunatCatalogs');
+const { round, affectationTaxRate, productIsc, calculateItem, sumTotals, applyAllowanceCharges, applyAdvances } = require('../util/invoiceTotals');
+const { isDeclaredBySummary } = require('../util/ubl');
+const { getAdvanceBalances } = require('../util/advances');
+const { limaDate } = require('../util/dates');
+const { validateBusinessRules } = require('../util/businessRules');
+const { enqueueInvoice } = require('./sunatJobs');
+
+// Configuración por tipo de nota: catálogo de motivos, prefijo de serie según
+// el comprobante que modifica, cálculo de líneas y efecto sobre el saldo
+const NOTE_TYPES = {
+  credit_note: {
+    label: 'nota de crédito',
+    reasons: CREDIT_NOTE_REASONS,
+    reasonsCatalog: '09',
+    seriesPrefix: { invoice: 'FC', receipt: 'BC' },
+    processItems: processCreditItems,
+    balanceSign: -1
+  },
+  debit_note: {
+    label: 'nota de débito',
+    reasons: DEBIT_NOTE_REASONS,
+    reasonsCatalog: '10',
+    seriesPrefix: { invoice: 'FD', receipt: 'BD' },
+    processItems: processDebitItems,
+    balanceSign: 1
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/invoices/{invoiceId}/credit-notes:
+ *   post:
+ *     tags: [Facturas]
+ *     summary: Emitir nota de crédito
+ *     description: Emite una nota de crédito (catálogo 09) que modifica una factura o boleta aceptada y reduce su saldo pendiente. La anulación (01, 02) y la devolución total (06) replican los descuentos y cargos globales y los anticipos deducidos del comprobante; esos anticipos vuelven a quedar disponibles.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comprobante que se modifica
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason_code
+ *             properties:
+ *               series:
+ *                 type: string
+ *                 description: Serie FCxx para facturas y BCxx para boletas
+ *                 example: "FC01"
+ *               reason_code:
+ *                 type: string
+ *                 description: Tipo de nota de crédito (catálogo 09)
+ *                 example: "07"
+ *               description:
+ *                 type: string
+ *                 example: "Devolución de 1 unidad"
+ *               issue_date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-08-10"
+ *               items:
+ *                 type: array
+ *                 description: Líneas afectadas. No se envían para anulación (01, 02) ni devolución total (06)
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - invoice_item_id
+ *                     - quantity
+ *                   properties:
+ *                     invoice_item_id:
+ *                       type: integer
+ *                       example: 1
+ *                     quantity:
+ *                       type: number
+ *                       example: 1.000
+ *                     unit_price:
+ *                       type: number
+ *                       description: Valor unitario acreditado. Por defecto el del comprobante original
+ *                       example: 1500.00
+ *     responses:
+ *       201:
+ *         description: Nota de crédito creada exitosamente
+ *       400:
+ *         description: Datos inválidos, importe mayor al saldo del comprobante o la nota no cumple las reglas de validación de SUNAT (ver data.errors)
+ *       404:
+ *         description: Comprobante no encontrado
+ */
+const createCreditNote = (req, res) => issueNote(req, res, 'credit_note');
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/invoices/{invoiceId}/debit-notes:
+ *   post:
+ *     tags: [Facturas]
+ *     summary: Emitir nota de débito
+ *     description: Emite una nota de débito (catálogo 10) por intereses, penalidades o aumento de valor de una factura o boleta aceptada y suma su importe al saldo pendiente
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comprobante que se modifica
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason_code
+ *               - items
+ *             properties:
+ *               series:
+ *                 type: string
+ *                 description: Serie FDxx para facturas y BDxx para boletas
+ *                 example: "FD01"
+ *               reason_code:
+ *                 type: string
+ *                 description: Tipo de nota de débito (catálogo 10)
+ *                 example: "01"
+ *               description:
+ *                 type: string
+ *                 example: "Intereses por pago fuera de plazo"
+ *               issue_date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-09-10"
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - product_id
+ *                     - quantity
+ *                     - unit_price
+ *                   properties:
+ *                     product_id:
+ *                       type: integer
+ *                       example: 5
+ *                     quantity:
+ *                       type: number
+ *                       example: 1.000
+ *                     unit_price:
+ *                       type: number
+ *                       example: 45.50
+ *     responses:
+ *       201:
+ *         description: Nota de débito creada exitosamente
+ *       400:
+ *         description: Datos inválidos o la nota no cumple las reglas de validación de SUNAT (ver data.errors)
+ *       404:
+ *         description: Comprobante no encontrado
+ */
+const createDebitNote = (req, res) => issueNote(req, res, 'debit_note');
+
+// Emite una nota de crédito o débito sobre el comprobante :invoiceId
+async function issueNote(req, res, documentType) {
+  const config = NOTE_TYPES[documentType];
+  const transaction = await require('../config/database').transaction();
+
+  try {
+    const userId = req.user.id;
+    const { companyId, invoiceId } = req.params;
+    const { reason_code, description, issue_date } = req.body;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant', 'sales']
+      }
+    });
+
+    if (!userCompany) {
+      await transaction.rollback();
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para emitir notas en esta empresa'
+      });
+    }
+
+    if (!config.reasons[reason_code]) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Tipo de ${config.label} inválido (catálogo ${config.reasonsCatalog})`
+      });
+    }
+
+    const original = await Invoice.findOne({
+      where: { id: invoiceId, company_id: companyId },
+      include: [
+        { model: InvoiceItem, as: 'items' },
+        { model: InvoiceAllowanceCharge, as: 'allowanceCharges' },
+        { model: InvoiceAdvance, as: 'advances' }
+      ],
+      lock: true,
+      transaction
+    });
+
+    if (!original) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Factura no encontrada'
+      });
+    }
+
+    const referenceError = validateReferenceInvoice(original);
+    if (referenceError) {
+      await transaction.rollback();
+      return res.status(400).json({ success: false, message: referenceError });
+    }
+
+    const prefix = config.seriesPrefix[original.document_type];
+    const series = req.body.series || `${prefix}01`;
+
+    if (!series.startsWith(prefix)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `La serie de la ${config.label} debe empezar con ${prefix} para este comprobante`
+      });
+    }
+
+    const { error, items: processedItems } = await config.processItems(original, req.body, transaction);
+    if (error) {
+      await transaction.rollback();
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // La anulación o devolución total replica los descuentos y cargos globales y los anticipos
+    // deducidos del comprobante, de modo que la nota acredita el mismo importe que se cobró;
+    // sus anticipos vuelven a quedar disponibles
+    const isFullCredit = documentType === 'credit_note' && FULL_CREDIT_NOTE_REASONS.includes(reason_code);
+    const allowanceCharges = isFullCredit
+      ? original.allowanceCharges.map(({ code, description, rate, base_amount, amount, tax_amount }) =>
+        ({ code, description, rate, base_amount, amount, tax_amount }))
+      : [];
+    const advances = isFullCredit
+      ? original.advances.map(({ advance_invoice_id, taxable_amount, tax_amount, amount }) =>
+        ({ advance_invoice_id, taxable_amount, tax_amount, amount }))
+      : [];
+
+    const {
+      subtotal,
+      isc_amount,
+      tax_amount,
+      icbper_amount,
+      discount_amount,
+      allowance_total_amount,
+      charge_total_amount,
+      total_amount,
+      free_amount,
+      prepaid_amount
+    } = applyAdvances(applyAllowanceCharges(sumTotals(processedItems), allowanceCharges), advances);
+
+    // Una nota de crédito no puede acreditar más que el saldo pendiente del comprobante
+    const balance = getBalance(original);
+    if (config.balanceSign < 0 && total_amount > balance) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `El importe de la nota (${total_amount.toFixed(2)}) excede el saldo del comprobante (${balance.toFixed(2)})`
+      });
+    }
+
+    // Sobre un anticipo solo se acredita la parte aún no deducida en comprobantes finales
+    if (config.balanceSign < 0 && original.is_advance) {
+      const [advanceEntry] = await getAdvanceBalances({ id: original.id }, { transaction, lock: true });
+      const advanceBalance = advanceEntry ? advanceEntry.balance : 0;
+      if (total_amount > advanceBalance) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `El importe de la nota (${total_amount.toFixed(2)}) excede el saldo del anticipo no deducido en comprobantes finales (${advanceBalance.toFixed(2)})`
+        });
+      }
+    }
+
+    const noteIssueDate = issue_date || limaDate();
+    const customer = await Customer.findByPk(original.customer_id, { transaction });
+
+    // Reglas de negocio de SUNAT: los errores impiden emitir la nota
+    const validation = validateBusinessRules({
+      document_type: documentType,
+      series,
+      currency: original.currency,
+      exchange_rate: original.exchange_rate,
+      issue_date: noteIssueDate,
+      customer,
+      note_reason_code: reason_code,
+      items: processedItems,
+      allowanceCharges,
+      advances,
+      subtotal,
+      isc_amount,
+      tax_amount,
+      icbper_amount,
+      allowance_total_amount,
+      charge_total_amount,
+      total_amount,
+      referenceInvoice: original
+    });
+
+    if (!validation.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'La nota no cumple las reglas de validación de SUNAT',
+        data: {
+          errors: validation.errors,
+          warnings: validation.warnings
+        }
+      });
+    }
+
+    const sequence = await DocumentSequence.findOne({
+      where: {
+        company_id: companyId,
+        document_type: documentType,
+        series,
+        is_active: true
+      },
+      transaction
+    });
+
+    if (!sequence) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `No existe correlativo activo para ${documentType} serie ${series}`
+      });
+    }
+
+    const correlative = sequence.current_number + 1;
+    const invoice_number = `${sequence.prefix}${series}-${correlative.toString().padStart(sequence.min_digits, '0')}${sequence.suffix}`;
+
+    const note = await Invoice.create({
+      company_id: companyId,
+      customer_id: original.customer_id,
+      invoice_number,
+      series,
+      correlative,
+      document_type: documentType,
+      currency: original.currency,
+      exchange_rate: original.exchange_rate,
+      issue_date: noteIssueDate,
+      subtotal,
+      isc_amount,
+      tax_amount,
+      icbper_amount,
+      discount_amount,
+      allowance_total_amount,
+      charge_total_amount,
+      total_amount,
+      free_amount,
+      prepaid_amount,
+      reference_invoice_id: original.id,
+      note_reason_code: reason_code,
+      note_reason_description: description || config.reasons[reason_code],
+      created_by: userId
+    }, { transaction });
+
+    for (const item of processedItems) {
+      await InvoiceItem.create({
+        invoice_id: note.id,
+        ...item
+      }, { transaction });
+    }
+
+    for (const entry of allowanceCharges) {
+      await InvoiceAllowanceCharge.create({
+        invoice_id: note.id,
+        ...entry
+      }, { transaction });
+    }
+
+    for (const advance of advances) {
+      await InvoiceAdvance.create({
+        invoice_id: note.id,
+        ...advance
+      }, { transaction });
+    }
+
+    await original.update({
+      balance_amount: round(balance + config.balanceSign * total_amount)
+    }, { transaction });
+    await sequence.update({ current_number: correlative }, { transaction });
+
+    if (!isDeclaredBySummary(note)) {
+      await enqueueInvoice(note, { userId, transaction });
+    }
+
+    await transaction.commit();
+
+    logger.info(`${config.label} ${invoice_number} emitida sobre ${original.invoice_number} para empresa ${companyId}`);
+
+    const completeNote = await Invoice.findByPk(note.id, {
+      include: [
+        {
+          model: Customer,
+          as: 'customer'
+        },
+        {
+          model: InvoiceItem,
+          as: 'items',
+          include: [{
+            model: Product,
+            as: 'product'
+          }]
+        },
+        {
+          model: Invoice,
+          as: 'referenceInvoice',
+          attributes: ['id', 'invoice_number', 'document_type', 'total_amount', 'balance_amount']
+        }
+      ]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${config.label.charAt(0).toUpperCase()}${config.label.slice(1)} creada exitosamente`,
+      data: completeNote,
+      warnings: validation.warnings
+    });
+
+  } catch (error) {
+    await transaction.rollback();
+    logger.error(`Error creando ${config.label}:`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+// Líneas de la nota de crédito: copia del comprobante para anulación/devolución
+// total, o las líneas indicadas con su cantidad y valor acreditado
+async function processCreditItems(original, { reason_code, items }) {
+  let noteItems;
+  if (FULL_CREDIT_NOTE_REASONS.includes(reason_code)) {
+    noteItems = original.items.map(item => ({
+      invoice_item_id: item.id,
+      quantity: item.quantity,
+      unit_price: item.unit_price
+    }));
+  } else if (!items || items.length === 0) {
+    return { error: 'Debe indicar las líneas afectadas por la nota de crédito' };
+  } else {
+    noteItems = items;
+  }
+
+  const processedItems = [];
+  for (const noteItem of noteItems) {
+    const originalItem = original.items.find(item => item.id === parseInt(noteItem.invoice_item_id));
+    if (!originalItem) {
+      return { error: `La línea ${noteItem.invoice_item_id} no pertenece al comprobante` };
+    }
+
+    if (!(parseFloat(noteItem.quantity) > 0) || parseFloat(noteItem.quantity) > parseFloat(originalItem.quantity)) {
+      return { error: `Cantidad inválida para la línea ${originalItem.id}` };
+    }
+
+    processedItems.push({
+      product_id: originalItem.product_id,
+      ...calculateItem({
+        quantity: noteItem.quantity,
+        unit_price: noteItem.unit_price !== undefined ? noteItem.unit_price : originalItem.unit_price,
+        discount_rate: originalItem.discount_rate,
+        tax_rate: originalItem.tax_rate,
+        affectation_code: originalItem.affectation_code,
+        // Se acredita el ISC con los parámetros del comprobante y, por las bolsas
+        // devueltas, el ICBPER cobrado
+        isc_system: originalItem.isc_system,
+        isc_rate: originalItem.isc_rate,
+        isc_unit_amount: originalItem.isc_unit_amount,
+        isc_public_price: originalItem.isc_public_price,
+        icbper_unit_amount: originalItem.icbper_unit_amount
+      })
+    });
+  }
+
+  return { items: processedItems };
+}
+
+// Líneas de la nota de débito: conceptos cobrados (intereses, penalidades...)
+// registrados como productos de la empresa
+async function processDebitItems(original, { items }, transaction) {
+  if (!items || items.length === 0) {
+    return { error: 'Debe indicar los conceptos de la nota de débito' };
+  }
+
+  const processedItems = [];
+  for (const item of items) {
+    const product = await Product.findOne({
+      where: { id: item.product_id, company_id: original.company_id },
+      transaction
+    });
+    if (!product) {
+      return { error: `Producto con ID ${item.product_id} no encontrado` };
+    }
+
+    if (!(parseFloat(item.quantity) > 0) || !(parseFloat(item.unit_price) > 0)) {
+      return { error: `Cantidad o valor unitario inválido para el producto ${item.product_id}` };
+    }
+
+    // Las notas de una exportación mantienen la afectación 40, sin ISC
+    const isExport = EXPORT_OPERATION_TYPES.includes(original.operation_type);
+    const affectation_code = isExport
+      ? TAX_TYPE_AFFECTATION.exportacion
+      : TAX_TYPE_AFFECTATION[product.tax_type] || '10';
+
+    processedItems.push({
+      product_id: product.id,
+      ...calculateItem({
+        quantity: item.quantity,
+        unit_price: item.unit_price,
+        tax_rate: affectationTaxRate(affectation_code, product.igv_rate || 18),
+        affectation_code,
+        ...(isExport ? {} : productIsc(product))
+      })
+    });
+  }
+
+  return { items: processedItems };
+}
+
+// Solo se modifican facturas y boletas vigentes y aceptadas por SUNAT
+function validateReferenceInvoice(original) {
+  if (!['invoice', 'receipt'].includes(original.document_type)) {
+    return 'Solo se pueden emitir notas sobre facturas o boletas';
+  }
+  if (original.status === 'cancelled') {
+    return 'El comprobante se encuentra anulado';
+  }
+  if (original.sunat_status !== 'accepted') {
+    return 'El comprobante debe estar aceptado por SUNAT';
+  }
+  return null;
+}
+
+// Saldo pendiente; los comprobantes anteriores al control de saldos usan su total
+function getBalance(invoice) {
+  return parseFloat(invoice.balance_amount !== null && invoice.balance_amount !== undefined
+    ? invoice.balance_amount
+    : invoice.total_amount);
+}
+
+module.exports = {
+  createCreditNote,
+  createDebitNote
+};
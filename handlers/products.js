@@ -172,6 +172,35 @@ const getProducts = async (req, res) => {
  *               igv_rate:
  *                 type: number
  *                 example: 18.00
+ *               detraction_code:
+ *                 type: string
+ *                 description: "Bien o servicio sujeto a detracción (catálogo 54)"
+ *                 example: "037"
+ *               detraction_rate:
+ *                 type: number
+ *                 description: "Porcentaje de detracción; por defecto la tasa del catálogo 54"
+ *                 example: 12.00
+ *               icbper_subject:
+ *                 type: boolean
+ *                 description: "Bolsa de plástico afecta al ICBPER por unidad vendida"
+ *                 default: false
+ *               isc_system:
+ *                 type: string
+ *                 enum: ["01", "02", "03"]
+ *                 description: "Sistema del ISC (catálogo 08). 01 al valor, 02 específico, 03 precios de venta al público"
+ *                 example: "01"
+ *               isc_rate:
+ *                 type: number
+ *                 description: "Tasa del ISC para los sistemas 01 y 03"
+ *                 example: 30.00
+ *               isc_unit_amount:
+ *                 type: number
+ *                 description: "Monto fijo del ISC por unidad para el sistema 02"
+ *                 example: 1.50
+ *               isc_public_price:
+ *                 type: number
+ *                 description: "Precio de venta al público sugerido, con IGV, para el sistema 03"
+ *                 example: 15.00
  *               category:
  *                 type: string
  *                 example: "Electrónicos"
@@ -304,9 +333,27 @@ const createProduct = async (req, res) => {
  *                 type: string
  *               brand:
  *                 type: string
+ *               detraction_code:
+ *                 type: string
+ *                 description: "Bien o servicio sujeto a detracción (catálogo 54)"
+ *               detraction_rate:
+ *                 type: number
+ *               icbper_subject:
+ *                 type: boolean
+ *               isc_system:
+ *                 type: string
+ *                 enum: ["01", "02", "03"]
+ *               isc_rate:
+ *                 type: number
+ *               isc_unit_amount:
+ *                 type: number
+ *               isc_public_price:
+ *                 type: number
  *     responses:
  *       200:
  *         description: Producto actualizado exitosamente
+ *       400:
+ *         description: Datos inválidos
  *       403:
  *         description: Sin permisos
  *       404:
@@ -360,6 +407,14 @@ const updateProduct = async (req, res) => {
 
   } catch (error) {
     logger.error('Error actualizando producto:', error.message);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos inválidos: ' + error.errors.map(e => e.message).join(', ')
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor'
@@ -0,0 +1,982 @@
+'use strict'
+
+const { Company, Customer, Invoice, RegimeDocument, RegimeDocumentLine, DocumentSequence, UserCompany } = require('../models/associations');
+const logger = require('../config/logger');
+const sunatConfig = require('../config/sunat');
+const SunatClient = require('../util/SunatClient');
+const { getCompanySigner } = require('../util/certificate');
+const { getObservations } = require('../util/cdr');
+const { buildRegimeDocumentXml } = require('../util/ubl');
+const { validateUblXml } = require('../util/ublSchema');
+const { round, calculateRegimeLine } = require('../util/invoiceTotals');
+const { DOCUMENT_TYPE_CODES, RETENTION_REGIMES, PERCEPTION_REGIMES } = require('../util/sunatCatalogs');
+const PDFDocument = require('pdfkit');
+
+// Configuración de cada comprobante del régimen de retenciones y percepciones
+const REGIME_TYPES = {
+  retention: {
+    label: 'comprobante de retención',
+    title: 'COMPROBANTE DE RETENCIÓN ELECTRÓNICO',
+    seriesPrefix: 'R',
+    defaultSeries: 'R001',
+    regimes: RETENTION_REGIMES,
+    // Facturas, notas de crédito/débito y tickets del proveedor
+    relatedTypes: ['01', '07', '08', '12'],
+    sign: -1,
+    requiresRuc: true
+  },
+  perception: {
+    label: 'comprobante de percepción',
+    title: 'COMPROBANTE DE PERCEPCIÓN ELECTRÓNICO',
+    seriesPrefix: 'P',
+    defaultSeries: 'P001',
+    regimes: PERCEPTION_REGIMES,
+    relatedTypes: ['01', '03', '07', '08', '12'],
+    sign: 1,
+    requiresRuc: false
+  }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const REGIME_INCLUDE = [
+  {
+    model: Customer,
+    as: 'customer'
+  },
+  {
+    model: RegimeDocumentLine,
+    as: 'lines',
+    include: [{
+      model: Invoice,
+      as: 'invoice',
+      attributes: ['id', 'invoice_number', 'document_type', 'issue_date', 'total_amount']
+    }]
+  }
+];
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/regime-documents:
+ *   get:
+ *     tags: [Retenciones y Percepciones]
+ *     summary: Listar comprobantes de retención y percepción
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: document_type
+ *         schema:
+ *           type: string
+ *           enum: [retention, perception]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Comprobantes obtenidos exitosamente
+ */
+const getRegimeDocuments = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const { page = 1, limit = 20, document_type } = req.query;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const offset = (page - 1) * limit;
+    const where = { company_id: companyId };
+    if (document_type) where.document_type = document_type;
+
+    const { count, rows: documents } = await RegimeDocument.findAndCountAll({
+      where,
+      attributes: { exclude: ['xml_content', 'cdr_content'] },
+      include: [
+        {
+          model: Customer,
+          as: 'customer',
+          attributes: ['id', 'name', 'document_type', 'document_number']
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        documents,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(count / limit),
+          total_count: count,
+          per_page: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo comprobantes de retención/percepción:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/regime-documents:
+ *   post:
+ *     tags: [Retenciones y Percepciones]
+ *     summary: Emitir comprobante de retención o percepción
+ *     description: |
+ *       Emite un comprobante de retención (serie R, catálogo 23: 01 tasa 3%, 02 tasa 6%)
+ *       o de percepción (serie P, catálogo 22: 01 2%, 02 1%, 03 0.5%) sobre los pagos
+ *       de comprobantes. En percepciones se puede indicar invoice_id para tomar los datos
+ *       de un comprobante propio.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - document_type
+ *               - customer_id
+ *               - issue_date
+ *               - regime_code
+ *               - lines
+ *             properties:
+ *               document_type:
+ *                 type: string
+ *                 enum: [retention, perception]
+ *               customer_id:
+ *                 type: integer
+ *                 description: Proveedor retenido o cliente percibido
+ *               series:
+ *                 type: string
+ *                 description: Por defecto R001 o P001
+ *               issue_date:
+ *                 type: string
+ *                 format: date
+ *               regime_code:
+ *                 type: string
+ *                 example: "01"
+ *               notes:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - payment_date
+ *                     - paid_amount
+ *                   properties:
+ *                     invoice_id:
+ *                       type: integer
+ *                       description: Comprobante propio cobrado (solo percepciones)
+ *                     document_type_code:
+ *                       type: string
+ *                       description: Catálogo 01 del comprobante relacionado
+ *                       example: "01"
+ *                     document_number:
+ *                       type: string
+ *                       example: "F001-00000123"
+ *                     issue_date:
+ *                       type: string
+ *                       format: date
+ *                     currency:
+ *                       type: string
+ *                       default: PEN
+ *                     total_amount:
+ *                       type: number
+ *                     payment_number:
+ *                       type: integer
+ *                       default: 1
+ *                     payment_date:
+ *                       type: string
+ *                       format: date
+ *                     paid_amount:
+ *                       type: number
+ *                     exchange_rate:
+ *                       type: number
+ *                       description: Tipo de cambio de la fecha de pago (moneda extranjera)
+ *                     exchange_rate_date:
+ *                       type: string
+ *                       format: date
+ *     responses:
+ *       201:
+ *         description: Comprobante emitido exitosamente
+ *       400:
+ *         description: Datos inválidos
+ */
+const createRegimeDocument = async (req, res) => {
+  const transaction = await require('../config/database').transaction();
+
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const { document_type, customer_id, issue_date, regime_code, notes, lines } = req.body;
+    const config = REGIME_TYPES[document_type];
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      await transaction.rollback();
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para emitir retenciones o percepciones en esta empresa'
+      });
+    }
+
+    if (!config) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Tipo de documento inválido (retention o perception)'
+      });
+    }
+
+    const series = req.body.series || config.defaultSeries;
+    const regime = config.regimes[regime_code];
+
+    if (!customer_id || !issue_date || !lines || lines.length === 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Cliente, fecha de emisión y comprobantes relacionados son requeridos'
+      });
+    }
+
+    if (!regime) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Régimen inválido para el ${config.label}`
+      });
+    }
+
+    if (!series.startsWith(config.seriesPrefix)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `La serie del ${config.label} debe empezar con ${config.seriesPrefix}`
+      });
+    }
+
+    const customer = await Customer.findOne({
+      where: { id: customer_id, company_id: companyId },
+      transaction
+    });
+
+    if (!customer) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    if (config.requiresRuc && customer.document_type !== 'ruc') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'El proveedor retenido debe estar identificado con RUC'
+      });
+    }
+
+    // Armar y calcular cada línea
+    const processedLines = [];
+    for (const [index, line] of lines.entries()) {
+      const related = await resolveRelatedDocument(line, document_type, companyId, customer_id, transaction);
+      if (related.error) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Línea ${index + 1}: ${related.error}`
+        });
+      }
+
+      const lineError = validateRegimeLine(line, related, config, issue_date);
+      if (lineError) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Línea ${index + 1}: ${lineError}`
+        });
+      }
+
+      processedLines.push({
+        ...related,
+        invoice_id: line.invoice_id || null,
+        line_number: index + 1,
+        payment_number: parseInt(line.payment_number) || 1,
+        payment_date: line.payment_date,
+        exchange_rate_date: related.related_currency === 'PEN' ? null : (line.exchange_rate_date || line.payment_date),
+        ...calculateRegimeLine({
+          paid_amount: line.paid_amount,
+          exchange_rate: related.related_currency === 'PEN' ? 1 : line.exchange_rate,
+          rate: regime.rate,
+          sign: config.sign
+        })
+      });
+    }
+
+    const total_amount = round(processedLines.reduce((sum, line) => sum + line.amount, 0));
+    const total_paid = round(processedLines.reduce((sum, line) => sum + line.net_amount, 0));
+
+    // Obtener siguiente correlativo
+    const sequence = await DocumentSequence.findOne({
+      where: {
+        company_id: companyId,
+        document_type,
+        series,
+        is_active: true
+      },
+      transaction
+    });
+
+    if (!sequence) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `No existe correlativo activo para ${document_type} serie ${series}`
+      });
+    }
+
+    const correlative = sequence.current_number + 1;
+    const document_number = `${sequence.prefix}${series}-${correlative.toString().padStart(sequence.min_digits, '0')}${sequence.suffix}`;
+
+    const document = await RegimeDocument.create({
+      company_id: companyId,
+      customer_id,
+      document_type,
+      document_number,
+      series,
+      correlative,
+      issue_date,
+      regime_code,
+      rate: regime.rate,
+      currency: 'PEN',
+      total_amount,
+      total_paid,
+      notes,
+      created_by: userId
+    }, { transaction });
+
+    for (const line of processedLines) {
+      await RegimeDocumentLine.create({
+        regime_document_id: document.id,
+        ...line
+      }, { transaction });
+    }
+
+    await sequence.update({ current_number: correlative }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Comprobante ${document_number} (${document_type}) emitido para empresa ${companyId}`);
+
+    const completeDocument = await RegimeDocument.findByPk(document.id, {
+      include: REGIME_INCLUDE
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${config.label.charAt(0).toUpperCase()}${config.label.slice(1)} emitido exitosamente`,
+      data: completeDocument
+    });
+
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error emitiendo comprobante de retención/percepción:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/regime-documents/{documentId}:
+ *   get:
+ *     tags: [Retenciones y Percepciones]
+ *     summary: Obtener comprobante de retención o percepción
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Comprobante obtenido exitosamente
+ */
+const getRegimeDocumentById = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, documentId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const document = await RegimeDocument.findOne({
+      where: { id: documentId, company_id: companyId },
+      include: REGIME_INCLUDE
+    });
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comprobante no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: document
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo comprobante de retención/percepción:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/regime-documents/{documentId}/generate-xml:
+ *   post:
+ *     tags: [Retenciones y Percepciones]
+ *     summary: Generar XML del comprobante
+ *     description: Genera y firma el XML Retention-1 o Perception-1 y lo valida contra los esquemas XSD de SUNAT
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: XML generado exitosamente
+ *       400:
+ *         description: La empresa no tiene certificado digital o el XML no cumple el esquema XSD (ver data.violations)
+ */
+const generateRegimeDocumentXML = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, documentId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const document = await findCompleteDocument(companyId, documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comprobante no encontrado'
+      });
+    }
+
+    if (document.sunat_status === 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'El comprobante ya fue aceptado por SUNAT'
+      });
+    }
+
+    const signer = await getCompanySigner(document.company);
+    if (!signer) {
+      return res.status(400).json({
+        success: false,
+        message: 'La empresa no tiene un certificado digital vigente'
+      });
+    }
+
+    const { xml: xmlContent, digestValue } = signer.sign(buildRegimeDocumentXml(document));
+
+    // Un XML que no cumple el esquema no se guarda, así no puede enviarse
+    const { valid, violations } = await validateUblXml(xmlContent);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'El XML generado no cumple el esquema XSD',
+        data: {
+          violations
+        }
+      });
+    }
+
+    await document.update({ xml_content: xmlContent, digest_value: digestValue });
+
+    logger.info(`XML generado y firmado para ${document.document_number}`);
+
+    res.json({
+      success: true,
+      message: 'XML generado exitosamente',
+      data: {
+        document_number: document.document_number,
+        digest_value: digestValue,
+        xml_content: xmlContent
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error generando XML de retención/percepción:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/regime-documents/{documentId}/send-sunat:
+ *   post:
+ *     tags: [Retenciones y Percepciones]
+ *     summary: Enviar comprobante a SUNAT
+ *     description: Envía el XML firmado al servicio de otros comprobantes (retenciones y percepciones) con sendBill
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Respuesta de SUNAT
+ *       400:
+ *         description: Falta el XML, las credenciales SOL o el XML no cumple el esquema XSD (ver data.violations)
+ *       502:
+ *         description: No se pudo comunicar con SUNAT
+ */
+const sendRegimeDocumentToSunat = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, documentId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const document = await RegimeDocument.findOne({
+      where: { id: documentId, company_id: companyId },
+      include: [{ model: Company, as: 'company' }]
+    });
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comprobante no encontrado'
+      });
+    }
+
+    if (document.sunat_status === 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'El comprobante ya fue aceptado por SUNAT'
+      });
+    }
+
+    if (!document.xml_content || !document.digest_value) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe generar el XML antes de enviar a SUNAT'
+      });
+    }
+
+    if (!document.company.sunat_user || !document.company.sunat_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'La empresa no tiene configuradas sus credenciales SOL'
+      });
+    }
+
+    // No se envían comprobantes que no cumplan el esquema XSD
+    const { valid, violations } = await validateUblXml(document.xml_content);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'El XML no cumple el esquema XSD, vuelva a generarlo',
+        data: {
+          violations
+        }
+      });
+    }
+
+    const client = new SunatClient(document.company, { endpoint: sunatConfig.otherCpeServiceUrl });
+    const fileName = SunatClient.buildFileName(
+      document.company.ruc,
+      DOCUMENT_TYPE_CODES[document.document_type],
+      document.document_number
+    );
+
+    let sunatResponse;
+    try {
+      sunatResponse = await client.sendBill(fileName, document.xml_content);
+    } catch (error) {
+      logger.error(`Error de comunicación con SUNAT para ${document.document_number}:`, error.message);
+      await document.update({
+        sunat_status: 'error',
+        sunat_response_message: error.message
+      });
+
+      return res.status(502).json({
+        success: false,
+        message: 'No se pudo comunicar con SUNAT, intente nuevamente'
+      });
+    }
+
+    const sunatStatus = SunatClient.resolveStatus(sunatResponse);
+    const updateData = {
+      sunat_status: sunatStatus,
+      sunat_response_code: sunatResponse.code,
+      sunat_response_message: sunatResponse.message,
+      status: sunatStatus === 'accepted' || sunatStatus === 'rejected' ? sunatStatus : document.status
+    };
+
+    if (sunatResponse.cdr) {
+      updateData.cdr_content = sunatResponse.cdr.zip.toString('base64');
+      updateData.sunat_observations = getObservations(sunatResponse.cdr);
+    }
+
+    await document.update(updateData);
+
+    logger.info(`Comprobante ${document.document_number} enviado a SUNAT: [${sunatResponse.code}] ${sunatResponse.message}`);
+
+    res.json({
+      success: sunatResponse.success,
+      message: sunatResponse.success
+        ? 'Comprobante aceptado por SUNAT'
+        : 'SUNAT no aceptó el comprobante',
+      data: {
+        sunat_status: document.sunat_status,
+        sunat_response_code: sunatResponse.code,
+        sunat_response_message: sunatResponse.message,
+        sunat_observations: document.sunat_observations || []
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error enviando retención/percepción a SUNAT:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/regime-documents/{documentId}/download-pdf:
+ *   get:
+ *     tags: [Retenciones y Percepciones]
+ *     summary: Descargar PDF del comprobante
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: PDF del comprobante
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+const downloadRegimeDocumentPDF = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, documentId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const document = await findCompleteDocument(companyId, documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comprobante no encontrado'
+      });
+    }
+
+    const pdfBuffer = await generateRegimeDocumentPDF(document);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${document.document_type}-${document.document_number}.pdf"`);
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    logger.error('Error generando PDF de retención/percepción:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+const findCompleteDocument = (companyId, documentId) => RegimeDocument.findOne({
+  where: { id: documentId, company_id: companyId },
+  include: [{ model: Company, as: 'company' }, ...REGIME_INCLUDE]
+});
+
+/**
+ * Datos del comprobante relacionado: de un comprobante propio (invoice_id, solo
+ * percepciones) o de los datos enviados en la línea.
+ */
+async function resolveRelatedDocument(line, documentType, companyId, customerId, transaction) {
+  if (!line.invoice_id) {
+    return {
+      related_document_type: line.document_type_code,
+      related_document_number: line.document_number,
+      related_issue_date: line.issue_date,
+      related_currency: line.currency || 'PEN',
+      related_total_amount: parseFloat(line.total_amount)
+    };
+  }
+
+  if (documentType !== 'perception') {
+    return { error: 'Las retenciones se emiten sobre comprobantes del proveedor, indique sus datos' };
+  }
+
+  const invoice = await Invoice.findOne({
+    where: { id: line.invoice_id, company_id: companyId, customer_id: customerId },
+    transaction
+  });
+
+  if (!invoice) {
+    return { error: 'Comprobante no encontrado para el cliente' };
+  }
+
+  if (invoice.status === 'cancelled' || invoice.sunat_status !== 'accepted') {
+    return { error: `El comprobante ${invoice.invoice_number} no está vigente en SUNAT` };
+  }
+
+  return {
+    related_document_type: DOCUMENT_TYPE_CODES[invoice.document_type],
+    related_document_number: invoice.invoice_number,
+    related_issue_date: invoice.issue_date,
+    related_currency: invoice.currency,
+    related_total_amount: parseFloat(invoice.total_amount)
+  };
+}
+
+function validateRegimeLine(line, related, config, issueDate) {
+  if (!config.relatedTypes.includes(related.related_document_type)) {
+    return `Tipo de comprobante relacionado inválido (${config.relatedTypes.join(', ')})`;
+  }
+  if (!related.related_document_number || !DATE_PATTERN.test(related.related_issue_date || '')) {
+    return 'Número y fecha de emisión del comprobante relacionado son requeridos';
+  }
+  if (!(related.related_total_amount > 0)) {
+    return 'El importe total del comprobante relacionado debe ser mayor a cero';
+  }
+  if (!DATE_PATTERN.test(line.payment_date || '') || line.payment_date > issueDate) {
+    return 'La fecha de pago es requerida y no puede ser posterior a la emisión';
+  }
+  if (line.payment_date < related.related_issue_date) {
+    return 'La fecha de pago no puede ser anterior a la emisión del comprobante relacionado';
+  }
+  if (!(parseFloat(line.paid_amount) > 0) || parseFloat(line.paid_amount) > related.related_total_amount) {
+    return 'El importe pagado debe ser mayor a cero y no superar el total del comprobante';
+  }
+  if (related.related_currency !== 'PEN' && !(parseFloat(line.exchange_rate) > 0)) {
+    return `Debe indicar el tipo de cambio de la fecha de pago para ${related.related_currency}`;
+  }
+
+  return null;
+}
+
+// Representación impresa del comprobante de retención o percepción
+const generateRegimeDocumentPDF = async (document) => {
+  const config = REGIME_TYPES[document.document_type];
+  const regime = config.regimes[document.regime_code];
+  const isRetention = document.document_type === 'retention';
+  const doc = new PDFDocument({ margin: 30 });
+  const buffers = [];
+  doc.on('data', buffers.push.bind(buffers));
+
+  doc.fontSize(14)
+     .text(`${config.title}: ${document.document_number}`, 50, 50, { align: 'center' })
+     .fontSize(10)
+     .text(`${document.company.business_name || document.company.name} - RUC ${document.company.ruc}`, 50, 75, { align: 'center' })
+     .text(`Fecha de emisión: ${document.issue_date}`, 50, 110)
+     .text(`Régimen: ${document.regime_code} - ${regime ? regime.description : ''} (${parseFloat(document.rate)}%)`, 300, 110);
+
+  doc.fontSize(12)
+     .text(isRetention ? 'PROVEEDOR:' : 'CLIENTE:', 50, 140, { underline: true })
+     .fontSize(10)
+     .text(`${document.customer.document_number} - ${document.customer.business_name || document.customer.name}`, 50, 157);
+
+  // --- Comprobantes relacionados ---
+  doc.fontSize(9)
+     .font('Helvetica-Bold')
+     .text('Comprobante', 50, 190)
+     .text('Emisión', 150, 190)
+     .text('Total', 205, 190)
+     .text('Fecha pago', 265, 190)
+     .text('Pagado', 325, 190)
+     .text('T.C.', 385, 190)
+     .text(isRetention ? 'Retenido' : 'Percibido', 425, 190)
+     .text(isRetention ? 'Neto pagado' : 'Neto cobrado', 485, 190)
+     .font('Helvetica');
+
+  let y = 208;
+  document.lines.forEach(line => {
+    doc.text(`${line.related_document_type} ${line.related_document_number}`, 50, y, { width: 95 })
+       .text(line.related_issue_date, 150, y)
+       .text(`${line.related_currency} ${parseFloat(line.related_total_amount).toFixed(2)}`, 205, y)
+       .text(line.payment_date, 265, y)
+       .text(parseFloat(line.paid_amount).toFixed(2), 325, y)
+       .text(parseFloat(line.exchange_rate).toFixed(3), 385, y)
+       .text(parseFloat(line.amount).toFixed(2), 425, y)
+       .text(parseFloat(line.net_amount).toFixed(2), 485, y);
+    y += 20;
+  });
+
+  doc.fontSize(10)
+     .text(`${isRetention ? 'Total retenido' : 'Total percibido'}: S/ ${parseFloat(document.total_amount).toFixed(2)}`, 350, y + 20)
+     .text(`${isRetention ? 'Total pagado' : 'Total cobrado'}: S/ ${parseFloat(document.total_paid).toFixed(2)}`, 350, y + 35);
+
+  if (document.digest_value) {
+    doc.fontSize(8).text(`Valor resumen: ${document.digest_value}`, 50, y + 65, { align: 'center' });
+  }
+
+  doc.fontSize(8)
+     .text(`Representación impresa del ${config.label} electrónico.`, 50, y + 80, { align: 'center' });
+
+  doc.end();
+
+  return new Promise((resolve) => {
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+  });
+};
+
+module.exports = {
+  getRegimeDocuments,
+  createRegimeDocument,
+  getRegimeDocumentById,
+  generateRegimeDocumentXML,
+  sendRegimeDocumentToSunat,
+  downloadRegimeDocumentPDF
+};
@@ -0,0 +1,1093 @@
+'use strict'
+
+const { Op } = require('sequelize');
+const { Company, Customer, Product, Invoice, InvoiceItem, InvoiceAdvance, InvoiceAllowanceCharge, SummaryDocument, SummaryDocumentLine, UserCompany } = require('../models/associations');
+const sequelize = require('../config/database');
+const logger = require('../config/logger');
+const { SunatClient } = require('../util');
+const { getCompanySigner } = require('../util/certificate');
+const { buildSummaryXml, buildVoidedXml } = require('../util/ubl');
+const { validateUblXml, summarizeViolations } = require('../util/ublSchema');
+const { SUMMARY_CONDITIONS } = require('../util/sunatCatalogs');
+const { limaDate } = require('../util/dates');
+const { retryDelay, isRetryableCode } = require('./sunatJobs');
+
+// SUNAT admite hasta 500 comprobantes por resumen
+const MAX_SUMMARY_LINES = 500;
+
+// Envíos de un resumen ante errores de comunicación antes de marcarlo con error
+const MAX_SEND_ATTEMPTS = 8;
+
+// Un envío en curso por más tiempo se considera abandonado (p. ej. reinicio del servidor)
+const STALE_SEND_TIMEOUT = 10 * 60 * 1000;
+
+// Plazo para comunicar la baja de un comprobante, en días calendario
+const VOID_WINDOW_DAYS = 7;
+
+// Comprobantes que se informan en cada tipo de resumen
+const RECEIPT_DOCUMENTS = [
+  { document_type: 'receipt' },
+  { document_type: ['credit_note', 'debit_note'], series: { [Op.startsWith]: 'B' } }
+];
+const VOIDABLE_DOCUMENTS = [
+  { document_type: 'invoice' },
+  { document_type: ['credit_note', 'debit_note'], series: { [Op.startsWith]: 'F' } }
+];
+
+// RC: resumen diario de boletas; RA: comunicación de baja
+const SUMMARY_TYPES = {
+  RC: {
+    label: 'resumen diario',
+    buildXml: buildSummaryXml,
+    pendingWhere: () => ({
+      sunat_status: 'pending',
+      status: { [Op.ne]: 'cancelled' },
+      [Op.or]: RECEIPT_DOCUMENTS
+    }),
+    // Un rechazo deja los comprobantes fuera de la búsqueda y se corrige con el reenvío
+    activeStatuses: ['pending', 'sent', 'accepted'],
+    conditionCode: SUMMARY_CONDITIONS.ADD
+  },
+  RA: {
+    label: 'comunicación de baja',
+    buildXml: buildVoidedXml,
+    pendingWhere: () => ({
+      void_requested_at: { [Op.ne]: null },
+      status: { [Op.ne]: 'cancelled' },
+      [Op.or]: VOIDABLE_DOCUMENTS
+    }),
+    // Una baja rechazada o con error libera la solicitud para corregirla y pedirla de nuevo
+    activeStatuses: ['pending', 'sent', 'accepted'],
+    conditionCode: SUMMARY_CONDITIONS.VOID
+  }
+};
+
+// Datos necesarios para generar el XML del resumen
+const SUMMARY_INCLUDE = [
+  {
+    model: Company,
+    as: 'company'
+  },
+  {
+    model: SummaryDocumentLine,
+    as: 'lines',
+    include: [{
+      model: Invoice,
+      as: 'invoice',
+      include: [
+        {
+          model: Customer,
+          as: 'customer'
+        },
+        {
+          model: InvoiceItem,
+          as: 'items',
+          include: [{
+            model: Product,
+            as: 'product'
+          }]
+        },
+        {
+          model: Invoice,
+          as: 'referenceInvoice',
+          attributes: ['id', 'invoice_number', 'document_type']
+        },
+        {
+          model: InvoiceAllowanceCharge,
+          as: 'allowanceCharges'
+        },
+        {
+          model: InvoiceAdvance,
+          as: 'advances',
+          attributes: ['id', 'taxable_amount', 'tax_amount', 'amount']
+        }
+      ]
+    }]
+  }
+];
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/summaries:
+ *   get:
+ *     tags: [Integración SUNAT]
+ *     summary: Listar resúmenes y comunicaciones de baja
+ *     description: Obtiene los resúmenes diarios (RC) y comunicaciones de baja (RA) enviados a SUNAT con su ticket y estado
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, accepted, rejected, error]
+ *       - in: query
+ *         name: summary_type
+ *         schema:
+ *           type: string
+ *           enum: [RC, RA]
+ *       - in: query
+ *         name: reference_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Resúmenes obtenidos exitosamente
+ */
+const getSummaries = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const { page = 1, limit = 20, status, summary_type, reference_date } = req.query;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const offset = (page - 1) * limit;
+    const where = { company_id: companyId };
+
+    if (status) where.status = status;
+    if (summary_type) where.summary_type = summary_type;
+    if (reference_date) where.reference_date = reference_date;
+
+    const { count, rows: summaries } = await SummaryDocument.findAndCountAll({
+      where,
+      attributes: { exclude: ['xml_content', 'cdr_content'] },
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        summaries,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(count / limit),
+          total_count: count,
+          per_page: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo resúmenes:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/summaries:
+ *   post:
+ *     tags: [Integración SUNAT]
+ *     summary: Generar y enviar resumen diario o comunicación de baja
+ *     description: Agrupa las boletas y sus notas pendientes de una fecha en resúmenes diarios (RC), o las bajas solicitadas en una comunicación de baja (RA), y los envía a SUNAT. Si SUNAT no responde, el resumen queda pendiente y el proceso periódico reintenta el envío
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reference_date
+ *             properties:
+ *               summary_type:
+ *                 type: string
+ *                 enum: [RC, RA]
+ *                 default: RC
+ *               reference_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Fecha de emisión de los comprobantes a informar
+ *                 example: "2025-08-02"
+ *     responses:
+ *       201:
+ *         description: Resúmenes generados y enviados
+ *       400:
+ *         description: No hay comprobantes pendientes para la fecha
+ */
+const createSummary = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const { reference_date, summary_type = 'RC' } = req.body;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para enviar resúmenes a SUNAT'
+      });
+    }
+
+    if (!reference_date || !SUMMARY_TYPES[summary_type]) {
+      return res.status(400).json({
+        success: false,
+        message: 'La fecha de referencia y un tipo de resumen válido (RC, RA) son requeridos'
+      });
+    }
+
+    const summaries = await createSummaries(companyId, summary_type, reference_date, userId);
+
+    if (summaries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No hay comprobantes pendientes para la ${SUMMARY_TYPES[summary_type].label} del ${reference_date}`
+      });
+    }
+
+    const results = [];
+    for (const summary of summaries) {
+      results.push(await sendSummaryDocument(summary.id));
+    }
+
+    res.status(201).json({
+      success: results.every(result => result.success),
+      message: `${results.length} resumen(es) generado(s)`,
+      data: results.map(result => ({
+        ...summaryResponse(result.summary),
+        message: result.message
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Error generando resumen diario:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/summaries/{summaryId}:
+ *   get:
+ *     tags: [Integración SUNAT]
+ *     summary: Obtener resumen diario
+ *     description: Obtiene un resumen con sus líneas y el estado de cada comprobante
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: summaryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Resumen obtenido exitosamente
+ *       404:
+ *         description: Resumen no encontrado
+ */
+const getSummaryById = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, summaryId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const summary = await SummaryDocument.findOne({
+      where: { id: summaryId, company_id: companyId },
+      attributes: { exclude: ['xml_content', 'cdr_content'] },
+      include: [{
+        model: SummaryDocumentLine,
+        as: 'lines',
+        include: [{
+          model: Invoice,
+          as: 'invoice',
+          attributes: ['id', 'invoice_number', 'document_type', 'issue_date', 'currency', 'total_amount', 'status', 'sunat_status']
+        }]
+      }],
+      order: [[{ model: SummaryDocumentLine, as: 'lines' }, 'line_number', 'ASC']]
+    });
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resumen no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo resumen:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/summaries/{summaryId}/resend:
+ *   post:
+ *     tags: [Integración SUNAT]
+ *     summary: Reenviar resumen diario
+ *     description: Reenvía un resumen diario (RC) rechazado o con error con un nuevo identificador. Las comunicaciones de baja rechazadas no se reenvían; se vuelve a solicitar la baja de cada comprobante
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: summaryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Resumen reenviado
+ *       400:
+ *         description: El resumen no puede reenviarse
+ */
+const resendSummary = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, summaryId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para enviar resúmenes a SUNAT'
+      });
+    }
+
+    const summary = await SummaryDocument.findOne({
+      where: { id: summaryId, company_id: companyId }
+    });
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resumen no encontrado'
+      });
+    }
+
+    if (!['rejected', 'error'].includes(summary.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se pueden reenviar resúmenes rechazados o con error'
+      });
+    }
+
+    // La baja rechazada ya se retiró de sus comprobantes
+    if (summary.summary_type === 'RA') {
+      return res.status(400).json({
+        success: false,
+        message: 'La comunicación de baja no se reenvía; corrija y solicite nuevamente la baja de cada comprobante'
+      });
+    }
+
+    // SUNAT no acepta un identificador ya presentado: se asigna uno nuevo
+    const { identifier, correlative, issue_date } = await nextIdentifier(companyId, summary.summary_type);
+    await summary.update({
+      identifier,
+      correlative,
+      issue_date,
+      status: 'pending',
+      ticket: null,
+      sunat_response_code: null,
+      sunat_response_message: null,
+      cdr_content: null,
+      attempts: 0,
+      next_attempt_at: null
+    });
+
+    const result = await sendSummaryDocument(summary.id);
+
+    res.json({
+      success: result.success,
+      message: result.message,
+      data: summaryResponse(result.summary)
+    });
+
+  } catch (error) {
+    logger.error('Error reenviando resumen:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/summaries/{summaryId}/status:
+ *   post:
+ *     tags: [Integración SUNAT]
+ *     summary: Consultar ticket del resumen
+ *     description: Consulta en SUNAT (getStatus) el resultado del ticket y actualiza el resumen y sus comprobantes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: summaryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Estado consultado
+ *       400:
+ *         description: El resumen no tiene un ticket en proceso
+ */
+const refreshSummaryStatus = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, summaryId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const summary = await SummaryDocument.findOne({
+      where: { id: summaryId, company_id: companyId }
+    });
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resumen no encontrado'
+      });
+    }
+
+    if (summary.status !== 'sent' || !summary.ticket) {
+      return res.status(400).json({
+        success: false,
+        message: 'El resumen no tiene un ticket en proceso'
+      });
+    }
+
+    const result = await checkSummaryTicket(summary.id);
+
+    res.json({
+      success: result.success,
+      message: result.message,
+      data: summaryResponse(result.summary)
+    });
+
+  } catch (error) {
+    logger.error('Error consultando ticket del resumen:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/invoices/{invoiceId}/void:
+ *   post:
+ *     tags: [Integración SUNAT]
+ *     summary: Solicitar baja de factura
+ *     description: Registra la baja de una factura (o nota de serie F) aceptada por SUNAT. Las bajas del mismo día de emisión se agrupan en una comunicación de baja (RA) y la factura pasa a "cancelled" cuando SUNAT la acepta. Si SUNAT rechaza la comunicación de baja, la solicitud se retira y puede registrarse otra
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Error en la descripción del servicio"
+ *     responses:
+ *       202:
+ *         description: Baja registrada, pendiente de envío a SUNAT
+ *       400:
+ *         description: El comprobante no puede darse de baja
+ */
+const voidInvoice = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, invoiceId } = req.params;
+    const reason = (req.body.reason || '').trim();
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para anular comprobantes en esta empresa'
+      });
+    }
+
+    if (!reason || reason.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'El motivo de la baja es requerido (máximo 100 caracteres)'
+      });
+    }
+
+    const invoice = await Invoice.findOne({
+      where: { id: invoiceId, company_id: companyId },
+      include: [{
+        model: Invoice,
+        as: 'adjustmentNotes',
+        attributes: ['id', 'invoice_number', 'status'],
+        required: false,
+        where: { status: { [Op.ne]: 'cancelled' } }
+      }]
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Factura no encontrada'
+      });
+    }
+
+    const voidError = validateVoid(invoice);
+    if (voidError) {
+      return res.status(400).json({ success: false, message: voidError });
+    }
+
+    await invoice.update({ void_reason: reason, void_requested_at: new Date() });
+
+    logger.info(`Baja solicitada para ${invoice.invoice_number} de empresa ${companyId}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Baja registrada. Se enviará a SUNAT en la próxima comunicación de baja',
+      data: {
+        id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        void_reason: invoice.void_reason,
+        void_requested_at: invoice.void_requested_at
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error solicitando baja:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Reglas de SUNAT para comunicar la baja de un comprobante
+function validateVoid(invoice) {
+  const voidable = invoice.document_type === 'invoice' ||
+    (['credit_note', 'debit_note'].includes(invoice.document_type) && invoice.series.startsWith('F'));
+
+  if (!voidable) {
+    return 'Las boletas se anulan con una nota de crédito o en el resumen diario';
+  }
+  if (invoice.status === 'cancelled') {
+    return 'El comprobante ya se encuentra anulado';
+  }
+  if (invoice.void_requested_at) {
+    return 'La baja del comprobante ya fue solicitada';
+  }
+  if (invoice.sunat_status !== 'accepted') {
+    return 'Solo se pueden dar de baja comprobantes aceptados por SUNAT';
+  }
+  if (invoice.adjustmentNotes && invoice.adjustmentNotes.length > 0) {
+    return 'El comprobante tiene notas de crédito o débito vigentes';
+  }
+
+  const elapsedDays = Math.floor((new Date(limaDate()) - new Date(invoice.issue_date)) / (24 * 60 * 60 * 1000));
+  if (elapsedDays > VOID_WINDOW_DAYS) {
+    return `El plazo de ${VOID_WINDOW_DAYS} días para comunicar la baja venció; emita una nota de crédito`;
+  }
+
+  return null;
+}
+
+// Siguiente identificador del día: RC-AAAAMMDD-N
+async function nextIdentifier(companyId, summaryType, transaction) {
+  const issue_date = limaDate();
+  const last = await SummaryDocument.max('correlative', {
+    where: { company_id: companyId, summary_type: summaryType, issue_date },
+    transaction
+  });
+  const correlative = (last || 0) + 1;
+
+  return {
+    issue_date,
+    correlative,
+    identifier: `${summaryType}-${issue_date.replace(/-/g, '')}-${correlative}`
+  };
+}
+
+// Comprobantes de la fecha que aún no forman parte de un resumen vigente del tipo
+async function findPendingDocuments(companyId, summaryType, referenceDate, transaction) {
+  const config = SUMMARY_TYPES[summaryType];
+  const candidates = await Invoice.findAll({
+    where: {
+      ...config.pendingWhere(),
+      company_id: companyId,
+      issue_date: referenceDate
+    },
+    attributes: ['id'],
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  if (candidates.length === 0) return [];
+
+  const declared = await SummaryDocumentLine.findAll({
+    where: { invoice_id: candidates.map(invoice => invoice.id) },
+    attributes: ['invoice_id'],
+    include: [{
+      model: SummaryDocument,
+      as: 'summary',
+      attributes: [],
+      where: { summary_type: summaryType, status: config.activeStatuses }
+    }],
+    transaction
+  });
+  const declaredIds = new Set(declared.map(line => line.invoice_id));
+
+  return candidates.filter(invoice => !declaredIds.has(invoice.id));
+}
+
+/**
+ * Crea los resúmenes (RC) o comunicaciones de baja (RA) de una fecha, en
+ * bloques de hasta MAX_SUMMARY_LINES comprobantes. Devuelve los creados.
+ * La fila de la empresa se bloquea durante la transacción para que el proceso
+ * periódico y el endpoint manual no declaren los mismos comprobantes.
+ */
+async function createSummaries(companyId, summaryType, referenceDate, userId = null) {
+  const transaction = await sequelize.transaction();
+
+  try {
+    await Company.findByPk(companyId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+    const invoices = await findPendingDocuments(companyId, summaryType, referenceDate, transaction);
+    const summaries = [];
+
+    for (let start = 0; start < invoices.length; start += MAX_SUMMARY_LINES) {
+      const chunk = invoices.slice(start, start + MAX_SUMMARY_LINES);
+      const { identifier, correlative, issue_date } = await nextIdentifier(companyId, summaryType, transaction);
+
+      const summary = await SummaryDocument.create({
+        company_id: companyId,
+        summary_type: summaryType,
+        identifier,
+        correlative,
+        reference_date: referenceDate,
+        issue_date,
+        created_by: userId
+      }, { transaction });
+
+      await SummaryDocumentLine.bulkCreate(chunk.map((invoice, index) => ({
+        summary_id: summary.id,
+        invoice_id: invoice.id,
+        line_number: index + 1,
+        condition_code: SUMMARY_TYPES[summaryType].conditionCode
+      })), { transaction });
+
+      summaries.push(summary);
+    }
+
+    await transaction.commit();
+
+    if (summaries.length > 0) {
+      logger.info(`${summaryType} creados para empresa ${companyId} (${referenceDate}): ${summaries.map(s => s.identifier).join(', ')}`);
+    }
+
+    return summaries;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Refleja el estado del resumen en sus comprobantes. En el RC cada boleta toma
+ * el estado SUNAT del resumen; en el RA la baja aceptada anula el comprobante y
+ * la rechazada o con error retira la solicitud de baja.
+ */
+async function updateSummaryInvoices(summary, status, sunatResponse = {}) {
+  const invoiceIds = summary.lines.map(line => line.invoice_id);
+  if (invoiceIds.length === 0) return;
+
+  if (summary.summary_type === 'RA') {
+    if (status === 'accepted') {
+      await Invoice.update({ status: 'cancelled', balance_amount: 0 }, { where: { id: invoiceIds } });
+    } else if (status === 'rejected' || status === 'error') {
+      await Invoice.update({ void_reason: null, void_requested_at: null }, { where: { id: invoiceIds } });
+    }
+    return;
+  }
+
+  const data = { sunat_status: status };
+  if (sunatResponse.code !== undefined) {
+    data.sunat_response_code = sunatResponse.code;
+    data.sunat_response_message = sunatResponse.message;
+  }
+  if (status === 'accepted' || status === 'rejected') {
+    data.status = status;
+  }
+
+  await Invoice.update(data, { where: { id: invoiceIds } });
+}
+
+/**
+ * Firma y envía un resumen pendiente con sendSummary. Devuelve { success, message, summary }.
+ * Los problemas de configuración quedan registrados en el resumen; los errores de
+ * comunicación y las excepciones de SUNAT se reintentan con espera exponencial.
+ */
+async function sendSummaryDocument(summaryId) {
+  // Tomar el resumen solo si sigue pendiente y nadie más lo está enviando
+  const [claimed] = await SummaryDocument.update({ locked_at: new Date() }, {
+    where: {
+      id: summaryId,
+      status: 'pending',
+      [Op.or]: [
+        { locked_at: null },
+        { locked_at: { [Op.lt]: new Date(Date.now() - STALE_SEND_TIMEOUT) } }
+      ]
+    }
+  });
+
+  const summary = await SummaryDocument.findByPk(summaryId, {
+    include: SUMMARY_INCLUDE,
+    order: [[{ model: SummaryDocumentLine, as: 'lines' }, 'line_number', 'ASC']]
+  });
+  const company = summary.company;
+
+  if (!claimed) {
+    return { success: false, message: 'El resumen no está pendiente o ya se está enviando', summary };
+  }
+
+  const fail = async (status, message, code = null) => {
+    await summary.update({
+      status,
+      sunat_response_code: code,
+      sunat_response_message: message,
+      next_attempt_at: null,
+      locked_at: null
+    });
+    await updateSummaryInvoices(summary, status, { code, message });
+    return { success: false, message, summary };
+  };
+
+  // Los comprobantes siguen pendientes mientras el resumen espera su reintento
+  const scheduleRetry = async (message, code = null) => {
+    if (summary.attempts >= MAX_SEND_ATTEMPTS) {
+      return fail('error', `Intentos agotados: ${message}`, code);
+    }
+
+    const delay = retryDelay(summary.attempts);
+    logger.info(`${summary.identifier} reprogramado en ${Math.round(delay / 1000)}s (intento ${summary.attempts}/${MAX_SEND_ATTEMPTS})`);
+
+    await summary.update({
+      sunat_response_code: code,
+      sunat_response_message: message,
+      next_attempt_at: new Date(Date.now() + delay),
+      locked_at: null
+    });
+    return { success: false, message: `${message}. Se reintentará el envío`, summary };
+  };
+
+  if (!company.sunat_user || !company.sunat_password) {
+    return fail('error', 'La empresa no tiene configuradas sus credenciales SOL');
+  }
+
+  const signer = await getCompanySigner(company);
+  if (!signer) {
+    return fail('error', 'La empresa no tiene un certificado digital vigente');
+  }
+
+  const { xml } = signer.sign(SUMMARY_TYPES[summary.summary_type].buildXml(summary));
+
+  // Un resumen que no cumple el esquema XSD no se guarda ni se envía
+  const { valid, violations } = await validateUblXml(xml);
+  if (!valid) {
+    logger.warn(`${summary.identifier} no cumple el esquema XSD: ${summarizeViolations(violations)}`);
+    return fail('error', `El XML no cumple el esquema XSD: ${summarizeViolations(violations)}`);
+  }
+
+  await summary.update({ xml_content: xml, attempts: summary.attempts + 1 });
+
+  const client = new SunatClient(company);
+  const fileName = `${company.ruc}-${summary.identifier}`;
+
+  let sunatResponse;
+  try {
+    sunatResponse = await client.sendSummary(fileName, xml);
+  } catch (error) {
+    logger.error(`Error de comunicación con SUNAT para ${summary.identifier}:`, error.message);
+    return scheduleRetry(error.message);
+  }
+
+  if (!sunatResponse.success && isRetryableCode(sunatResponse.code)) {
+    logger.warn(`Excepción de SUNAT para ${summary.identifier}: [${sunatResponse.code}] ${sunatResponse.message}`);
+    return scheduleRetry(sunatResponse.message, sunatResponse.code);
+  }
+
+  if (!sunatResponse.success) {
+    logger.warn(`SUNAT rechazó ${summary.identifier}: [${sunatResponse.code}] ${sunatResponse.message}`);
+    return fail(SunatClient.resolveStatus(sunatResponse), sunatResponse.message, sunatResponse.code);
+  }
+
+  await summary.update({
+    status: 'sent',
+    ticket: sunatResponse.ticket,
+    sent_at: new Date(),
+    sunat_response_code: null,
+    sunat_response_message: null,
+    next_attempt_at: null,
+    locked_at: null
+  });
+  await updateSummaryInvoices(summary, 'sent');
+
+  logger.info(`${summary.identifier} enviado a SUNAT con ticket ${sunatResponse.ticket}`);
+
+  return {
+    success: true,
+    message: `Resumen enviado, ticket ${sunatResponse.ticket}`,
+    summary
+  };
+}
+
+/**
+ * Consulta el ticket de un resumen enviado con getStatus. Mientras SUNAT lo
+ * procesa (98) el resumen sigue en "sent"; luego se aplica el resultado del CDR.
+ */
+async function checkSummaryTicket(summaryId) {
+  const summary = await SummaryDocument.findByPk(summaryId, {
+    include: [
+      {
+        model: Company,
+        as: 'company'
+      },
+      {
+        model: SummaryDocumentLine,
+        as: 'lines'
+      }
+    ]
+  });
+
+  const client = new SunatClient(summary.company);
+  const sunatResponse = await client.getStatus(summary.ticket);
+
+  if (sunatResponse.pending) {
+    return { success: false, message: sunatResponse.message, summary };
+  }
+
+  const status = SunatClient.resolveStatus(sunatResponse);
+  await summary.update({
+    status,
+    sunat_response_code: sunatResponse.code,
+    sunat_response_message: sunatResponse.message,
+    cdr_content: sunatResponse.cdr ? sunatResponse.cdr.zip.toString('base64') : null
+  });
+
+  await updateSummaryInvoices(summary, status, sunatResponse);
+
+  logger.info(`${summary.identifier} procesado por SUNAT: [${sunatResponse.code}] ${sunatResponse.message}`);
+
+  return {
+    success: sunatResponse.success,
+    message: sunatResponse.message,
+    summary
+  };
+}
+
+// Datos del resumen para las respuestas de la API
+function summaryResponse(summary) {
+  return {
+    id: summary.id,
+    summary_type: summary.summary_type,
+    identifier: summary.identifier,
+    reference_date: summary.reference_date,
+    issue_date: summary.issue_date,
+    status: summary.status,
+    ticket: summary.ticket,
+    sunat_response_code: summary.sunat_response_code,
+    sunat_response_message: summary.sunat_response_message,
+    lines_count: summary.lines ? summary.lines.length : undefined
+  };
+}
+
+/**
+ * Proceso periódico: declara las boletas pendientes de días anteriores, agrupa
+ * las bajas solicitadas, envía los resúmenes sin enviar y consulta los tickets.
+ */
+const processDailySummaries = async () => {
+  // Boletas de días anteriores y bajas solicitadas, agrupadas por empresa y fecha de emisión
+  const pending = [
+    { summaryType: 'RC', where: { ...SUMMARY_TYPES.RC.pendingWhere(), issue_date: { [Op.lt]: limaDate() } } },
+    { summaryType: 'RA', where: SUMMARY_TYPES.RA.pendingWhere() }
+  ];
+
+  for (const { summaryType, where } of pending) {
+    const pendingDates = await Invoice.findAll({
+      where,
+      attributes: ['company_id', 'issue_date'],
+      group: ['company_id', 'issue_date'],
+      raw: true
+    });
+
+    for (const { company_id, issue_date } of pendingDates) {
+      try {
+        await createSummaries(company_id, summaryType, issue_date);
+      } catch (error) {
+        logger.error(`Error creando ${SUMMARY_TYPES[summaryType].label} de la empresa ${company_id} (${issue_date}):`, error.message);
+      }
+    }
+  }
+
+  // Pendientes de envío cuyo reintento, si lo hay, ya venció
+  const unsent = await SummaryDocument.findAll({
+    where: {
+      status: 'pending',
+      [Op.or]: [
+        { next_attempt_at: null },
+        { next_attempt_at: { [Op.lte]: new Date() } }
+      ]
+    },
+    attributes: ['id', 'identifier']
+  });
+
+  for (const summary of unsent) {
+    try {
+      await sendSummaryDocument(summary.id);
+    } catch (error) {
+      logger.error(`Error enviando resumen ${summary.identifier}:`, error.message);
+    }
+  }
+
+  const inProcess = await SummaryDocument.findAll({
+    where: { status: 'sent', ticket: { [Op.ne]: null } },
+    attributes: ['id', 'identifier']
+  });
+
+  for (const summary of inProcess) {
+    try {
+      await checkSummaryTicket(summary.id);
+    } catch (error) {
+      logger.error(`Error consultando ticket del resumen ${summary.identifier}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  getSummaries,
+  createSummary,
+  getSummaryById,
+  resendSummary,
+  refreshSummaryStatus,
+  voidInvoice,
+  processDailySummaries
+};
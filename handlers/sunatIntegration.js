@@ -1,20 +1,38 @@
 'use strict'
 
-const { Invoice, Company, Customer, InvoiceItem, Product, UserCompany } = require('../models/associations');
+const { Invoice, Company, Customer, InvoiceItem, InvoiceAdvance, InvoiceInstallment, InvoiceAllowanceCharge, Product, UserCompany } = require('../models/associations');
 const logger = require('../config/logger');
-const { NumberToLetter } = require('../util');
+const { NumberToLetter, SunatClient, XmlSigner } = require('../util');
+const {
+  DOCUMENT_TYPE_CODES,
+  IDENTITY_DOCUMENT_TYPES,
+  OPERATION_TYPES,
+  EXPORT_OPERATION_TYPES,
+  DETRACTION_GOODS_SERVICES,
+  GLOBAL_ALLOWANCE_CHARGES
+} = require('../util/sunatCatalogs');
+const { parseCdr } = require('../util/cdr');
+const { describeResponseCode } = require('../util/sunatResponseCodes');
+const { validateUblXml } = require('../util/ublSchema');
+const { validateBusinessRules } = require('../util/businessRules');
+const { isDeclaredBySummary } = require('../util/ubl');
+const { buildLineData, buildTaxSubtotals } = require('../util/ubl/lines');
+const { netPayable } = require('../util/invoiceTotals');
+const { INVOICE_XML_INCLUDE, signInvoice, submitInvoice, reconcileInvoiceStatus } = require('../util/invoiceSubmission');
 const PDFDocument = require('pdfkit');
 const QRCode = require('qrcode');
 const fs = require('fs').promises;
 const path = require('path');
 
+const MAX_RECONCILE_BATCH = 100;
+
 /**
  * @swagger
  * /apisunat/companies/{companyId}/invoices/{invoiceId}/generate-xml:
  *   post:
  *     tags: [Integración SUNAT]
  *     summary: Generar XML de factura
- *     description: Genera el XML de la factura según estándares SUNAT
+ *     description: Genera el XML de la factura según estándares SUNAT y lo valida contra los esquemas XSD de UBL 2.1 y SUNAT. Un XML con errores de esquema no se guarda ni puede enviarse.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -48,6 +66,39 @@ const path = require('path');
  *                     xml_content:
  *                       type: string
  *                       example: "<?xml version='1.0'..."
+ *                     digest_value:
+ *                       type: string
+ *                       example: "Xxpv1N25IvfcXVbotjN2cBA/97NdBERI5jwL4VXEly8="
+ *       400:
+ *         description: La empresa no tiene certificado digital o el XML no cumple el esquema XSD
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: "El XML generado no cumple el esquema XSD"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     violations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           xpath:
+ *                             type: string
+ *                             example: "/Invoice/cac:InvoiceLine[2]/cbc:LineExtensionAmount"
+ *                           line:
+ *                             type: integer
+ *                             example: 120
+ *                           message:
+ *                             type: string
+ *                             example: "Element 'cbc:LineExtensionAmount': The attribute 'currencyID' is required but missing."
  */
 const generateXML = async (req, res) => {
   try {
@@ -70,24 +121,7 @@ const generateXML = async (req, res) => {
     // Obtener factura completa
     const invoice = await Invoice.findOne({
       where: { id: invoiceId, company_id: companyId },
-      include: [
-        {
-          model: Company,
-          as: 'company'
-        },
-        {
-          model: Customer,
-          as: 'customer'
-        },
-        {
-          model: InvoiceItem,
-          as: 'items',
-          include: [{
-            model: Product,
-            as: 'product'
-          }]
-        }
-      ]
+      include: INVOICE_XML_INCLUDE
     });
 
     if (!invoice) {
@@ -97,19 +131,34 @@ const generateXML = async (req, res) => {
       });
     }
 
-    // Generar XML según estándares SUNAT
-    const xmlContent = generateSunatXML(invoice);
+    // Generar XML según estándares SUNAT, firmarlo y guardarlo en la factura
+    const signed = await signInvoice(invoice);
+    if (!signed) {
+      return res.status(400).json({
+        success: false,
+        message: 'La empresa no tiene un certificado digital vigente'
+      });
+    }
 
-    // Guardar XML en la factura
-    await invoice.update({ xml_content: xmlContent });
+    if (!signed.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'El XML generado no cumple el esquema XSD',
+        data: {
+          violations: signed.violations
+        }
+      });
+    }
 
-    logger.info(`XML generado para factura ${invoice.invoice_number}`);
+    const { xml: xmlContent, digestValue } = signed;
 
     res.json({
       success: true,
       message: 'XML generado exitosamente',
       data: {
-        xml_content: xmlContent
+        xml_content: xmlContent,
+        digest_value: digestValue,
+        violations: []
       }
     });
 
@@ -145,6 +194,8 @@ const generateXML = async (req, res) => {
  *     responses:
  *       200:
  *         description: Factura enviada a SUNAT exitosamente
+ *       400:
+ *         description: Falta el XML o las credenciales SOL, el comprobante no cumple las reglas de validación (ver data.errors) o el XML no cumple el esquema XSD (ver data.violations)
  */
 const sendToSunat = async (req, res) => {
   try {
@@ -170,12 +221,7 @@ const sendToSunat = async (req, res) => {
 
     const invoice = await Invoice.findOne({
       where: { id: invoiceId, company_id: companyId },
-      include: [
-        {
-          model: Company,
-          as: 'company'
-        }
-      ]
+      include: INVOICE_XML_INCLUDE
     });
 
     if (!invoice) {
@@ -185,34 +231,89 @@ const sendToSunat = async (req, res) => {
       });
     }
 
-    // Verificar que tenga XML
-    if (!invoice.xml_content) {
+    // Las boletas se informan con el resumen diario
+    if (isDeclaredBySummary(invoice)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Las boletas y sus notas se informan a SUNAT mediante el resumen diario'
+      });
+    }
+
+    // Verificar que tenga XML firmado
+    if (!invoice.xml_content || !invoice.digest_value) {
       return res.status(400).json({
         success: false,
         message: 'Debe generar el XML antes de enviar a SUNAT'
       });
     }
 
-    // Simular envío a SUNAT (aquí iría la integración real)
-    const sunatResponse = await simulateSunatSend(invoice);
+    if (!invoice.company.sunat_user || !invoice.company.sunat_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'La empresa no tiene configuradas sus credenciales SOL'
+      });
+    }
+
+    // Reglas de negocio de SUNAT: se vuelven a validar antes de enviar
+    const validation = validateBusinessRules(invoice);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'El comprobante no cumple las reglas de validación de SUNAT',
+        data: {
+          errors: validation.errors,
+          warnings: validation.warnings
+        }
+      });
+    }
 
-    // Actualizar estado de la factura
-    await invoice.update({
-      sunat_status: sunatResponse.success ? 'accepted' : 'rejected',
-      sunat_response_code: sunatResponse.code,
-      sunat_response_message: sunatResponse.message,
-      status: sunatResponse.success ? 'sent' : 'draft'
-    });
+    // No se envían comprobantes que no cumplan el esquema XSD
+    const { valid, violations } = await validateUblXml(invoice.xml_content);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'El XML no cumple el esquema XSD, corrija el comprobante y vuelva a generarlo',
+        data: {
+          violations
+        }
+      });
+    }
 
-    logger.info(`Factura ${invoice.invoice_number} enviada a SUNAT: ${sunatResponse.message}`);
+    const previousStatus = invoice.sunat_status;
+    let submission;
+    try {
+      submission = await submitInvoice(invoice);
+    } catch (error) {
+      // Error de red o respuesta inesperada: no sabemos si SUNAT lo recibió
+      logger.error(`Error de comunicación con SUNAT para ${invoice.invoice_number}:`, error.message);
+      return res.status(502).json({
+        success: false,
+        message: 'No se pudo comunicar con SUNAT, intente nuevamente'
+      });
+    }
+
+    // Ya informado anteriormente: se devolvió el estado conciliado
+    if (submission.reconciliation) {
+      return res.json({
+        success: invoice.sunat_status === 'accepted',
+        message: 'El comprobante ya había sido informado; se recuperó su estado desde SUNAT',
+        data: reconcileResponse(invoice, previousStatus, submission.reconciliation)
+      });
+    }
+
+    const { sunatResponse } = submission;
 
     res.json({
-      success: true,
-      message: 'Factura enviada a SUNAT exitosamente',
+      success: sunatResponse.success,
+      message: sunatResponse.success
+        ? 'Factura aceptada por SUNAT'
+        : 'SUNAT no aceptó la factura',
       data: {
         sunat_status: invoice.sunat_status,
         sunat_response_code: sunatResponse.code,
-        sunat_response_message: sunatResponse.message
+        sunat_response_message: sunatResponse.message,
+        sunat_response: describeResponseCode(sunatResponse.code),
+        sunat_observations: invoice.sunat_observations || []
       }
     });
 
@@ -231,7 +332,10 @@ const sendToSunat = async (req, res) => {
  *   get:
  *     tags: [Integración SUNAT]
  *     summary: Consultar estado en SUNAT
- *     description: Consulta el estado actual de la factura en SUNAT
+ *     description: |
+ *       Consulta el estado actual de la factura en SUNAT. sunat_response clasifica el
+ *       código de retorno (accepted, observed, rejected, exception) con su explicación
+ *       y la solución sugerida.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -278,6 +382,20 @@ const getSunatStatus = async (req, res) => {
       });
     }
 
+    // Datos de la constancia de recepción, si existe
+    let cdr = null;
+    if (invoice.cdr_content) {
+      const { xml } = SunatClient.unzip(Buffer.from(invoice.cdr_content, 'base64'));
+      const parsed = parseCdr(xml);
+      cdr = {
+        id: parsed.id,
+        document_id: parsed.documentId,
+        response_code: parsed.responseCode,
+        description: parsed.description,
+        response_date: parsed.responseDate
+      };
+    }
+
     res.json({
       success: true,
       data: {
@@ -286,6 +404,12 @@ const getSunatStatus = async (req, res) => {
         sunat_status: invoice.sunat_status,
         sunat_response_code: invoice.sunat_response_code,
         sunat_response_message: invoice.sunat_response_message,
+        sunat_response: describeResponseCode(invoice.sunat_response_code),
+        sunat_observations: (invoice.sunat_observations || []).map(observation => ({
+          ...observation,
+          ...describeResponseCode(observation.code)
+        })),
+        cdr,
         last_updated: invoice.updated_at
       }
     });
@@ -299,6 +423,420 @@ const getSunatStatus = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/invoices/{invoiceId}/reconcile:
+ *   post:
+ *     tags: [Integración SUNAT]
+ *     summary: Conciliar estado con SUNAT
+ *     description: |
+ *       Consulta el comprobante en el servicio de consulta de SUNAT (getStatusCdr / getStatus),
+ *       recupera la constancia de recepción si no se tiene y actualiza el sunat_status.
+ *       Útil cuando se perdió la conexión después del envío.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Estado conciliado
+ *       502:
+ *         description: No se pudo comunicar con SUNAT
+ */
+const reconcileInvoice = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const invoiceId = req.params.invoiceId;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para consultar comprobantes en SUNAT'
+      });
+    }
+
+    const invoice = await Invoice.findOne({
+      where: { id: invoiceId, company_id: companyId },
+      include: [{ model: Company, as: 'company' }]
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Factura no encontrada'
+      });
+    }
+
+    if (isDeclaredBySummary(invoice)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Las boletas y sus notas se concilian mediante el ticket del resumen diario'
+      });
+    }
+
+    if (!invoice.company.sunat_user || !invoice.company.sunat_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'La empresa no tiene configuradas sus credenciales SOL'
+      });
+    }
+
+    const previousStatus = invoice.sunat_status;
+    let result;
+    try {
+      result = await reconcileInvoiceStatus(invoice);
+    } catch (error) {
+      logger.error(`Error de comunicación con SUNAT al conciliar ${invoice.invoice_number}:`, error.message);
+      return res.status(502).json({
+        success: false,
+        message: 'No se pudo comunicar con SUNAT, intente nuevamente'
+      });
+    }
+
+    res.json({
+      success: result.reconciled,
+      message: result.reconciled
+        ? 'Estado conciliado con SUNAT'
+        : 'SUNAT no pudo informar el estado del comprobante',
+      data: reconcileResponse(invoice, previousStatus, result)
+    });
+
+  } catch (error) {
+    logger.error('Error conciliando estado SUNAT:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/invoices/reconcile:
+ *   post:
+ *     tags: [Integración SUNAT]
+ *     summary: Conciliar comprobantes pendientes con SUNAT
+ *     description: Concilia con el servicio de consulta de SUNAT las facturas y notas en estado sent o error
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         description: Máximo de comprobantes a consultar
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Resultado de la conciliación por comprobante
+ */
+const reconcileInvoices = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_RECONCILE_BATCH);
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para consultar comprobantes en SUNAT'
+      });
+    }
+
+    const company = await Company.findByPk(companyId);
+    if (!company.sunat_user || !company.sunat_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'La empresa no tiene configuradas sus credenciales SOL'
+      });
+    }
+
+    const candidates = await Invoice.findAll({
+      where: {
+        company_id: companyId,
+        document_type: ['invoice', 'credit_note', 'debit_note'],
+        sunat_status: ['sent', 'error']
+      },
+      include: [{ model: Company, as: 'company' }],
+      order: [['issue_date', 'ASC']],
+      limit
+    });
+
+    const results = [];
+    for (const invoice of candidates.filter(invoice => !isDeclaredBySummary(invoice))) {
+      const previousStatus = invoice.sunat_status;
+
+      try {
+        const result = await reconcileInvoiceStatus(invoice);
+        results.push(reconcileResponse(invoice, previousStatus, result));
+      } catch (error) {
+        logger.error(`Error de comunicación con SUNAT al conciliar ${invoice.invoice_number}:`, error.message);
+        results.push({
+          invoice_number: invoice.invoice_number,
+          previous_status: previousStatus,
+          sunat_status: invoice.sunat_status,
+          reconciled: false,
+          message: error.message
+        });
+      }
+    }
+
+    const reconciled = results.filter(result => result.reconciled).length;
+    logger.info(`Conciliación SUNAT empresa ${companyId}: ${reconciled}/${results.length} comprobantes`);
+
+    res.json({
+      success: true,
+      message: `${reconciled} de ${results.length} comprobantes conciliados con SUNAT`,
+      data: {
+        total: results.length,
+        reconciled,
+        results
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error conciliando comprobantes con SUNAT:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/invoices/{invoiceId}/cdr:
+ *   get:
+ *     tags: [Integración SUNAT]
+ *     summary: Descargar CDR de factura
+ *     description: Descarga el zip de la constancia de recepción (CDR) emitida por SUNAT
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: CDR descargado exitosamente
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Factura o CDR no encontrado
+ */
+const downloadCDR = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const invoiceId = req.params.invoiceId;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const invoice = await Invoice.findOne({
+      where: { id: invoiceId, company_id: companyId },
+      include: [
+        {
+          model: Company,
+          as: 'company'
+        }
+      ]
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Factura no encontrada'
+      });
+    }
+
+    if (!invoice.cdr_content) {
+      return res.status(404).json({
+        success: false,
+        message: 'La factura no tiene constancia de recepción de SUNAT'
+      });
+    }
+
+    const cdrBuffer = Buffer.from(invoice.cdr_content, 'base64');
+    const fileName = SunatClient.buildFileName(
+      invoice.company.ruc,
+      DOCUMENT_TYPE_CODES[invoice.document_type],
+      invoice.invoice_number
+    );
+
+    res.setHeader('Content-Length', cdrBuffer.length);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="R-${fileName}.zip"`);
+    res.send(cdrBuffer);
+
+  } catch (error) {
+    logger.error('Error descargando CDR:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/invoices/{invoiceId}/verify-signature:
+ *   get:
+ *     tags: [Integración SUNAT]
+ *     summary: Verificar firma digital del XML
+ *     description: Verifica que el XML almacenado no haya sido alterado después de firmarse
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Resultado de la verificación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                       example: true
+ *                     digest_value:
+ *                       type: string
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ */
+const verifySignature = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const invoiceId = req.params.invoiceId;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const invoice = await Invoice.findOne({
+      where: { id: invoiceId, company_id: companyId }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Factura no encontrada'
+      });
+    }
+
+    if (!invoice.xml_content) {
+      return res.status(400).json({
+        success: false,
+        message: 'La factura no tiene XML generado'
+      });
+    }
+
+    const result = XmlSigner.verify(invoice.xml_content, invoice.digest_value);
+
+    if (!result.valid) {
+      logger.warn(`Firma inválida en factura ${invoice.invoice_number}: ${result.errors.join(', ')}`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invoice_number: invoice.invoice_number,
+        valid: result.valid,
+        digest_value: result.digestValue,
+        stored_digest_value: invoice.digest_value,
+        certificate: result.certificate,
+        errors: result.errors
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error verificando firma:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 /**
  * @swagger
  * /apisunat/companies/{companyId}/invoices/{invoiceId}/download-pdf:
@@ -365,6 +903,28 @@ const downloadPDF = async (req, res) => {
             model: Product,
             as: 'product'
           }]
+        },
+        {
+          model: Invoice,
+          as: 'referenceInvoice',
+          attributes: ['id', 'invoice_number', 'document_type', 'issue_date']
+        },
+        {
+          model: InvoiceAdvance,
+          as: 'advances',
+          include: [{
+            model: Invoice,
+            as: 'advanceInvoice',
+            attributes: ['id', 'invoice_number']
+          }]
+        },
+        {
+          model: InvoiceInstallment,
+          as: 'installments'
+        },
+        {
+          model: InvoiceAllowanceCharge,
+          as: 'allowanceCharges'
         }
       ]
     });
@@ -396,85 +956,16 @@ const downloadPDF = async (req, res) => {
   }
 };
 
-// Función auxiliar para generar XML SUNAT
-function generateSunatXML(invoice) {
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
-         xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
-         xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
-  <cbc:UBLVersionID>2.1</cbc:UBLVersionID>
-  <cbc:CustomizationID>2.0</cbc:CustomizationID>
-  <cbc:ID>${invoice.invoice_number}</cbc:ID>
-  <cbc:IssueDate>${invoice.issue_date}</cbc:IssueDate>
-  <cbc:InvoiceTypeCode listID="0101">${invoice.document_type === 'invoice' ? '01' : '03'}</cbc:InvoiceTypeCode>
-  <cbc:DocumentCurrencyCode>${invoice.currency}</cbc:DocumentCurrencyCode>
-  
-  <cac:AccountingSupplierParty>
-    <cac:Party>
-      <cac:PartyIdentification>
-        <cbc:ID schemeID="6">${invoice.company.rut}</cbc:ID>
-      </cac:PartyIdentification>
-      <cac:PartyName>
-        <cbc:Name>${invoice.company.name}</cbc:Name>
-      </cac:PartyName>
-    </cac:Party>
-  </cac:AccountingSupplierParty>
-  
-  <cac:AccountingCustomerParty>
-    <cac:Party>
-      <cac:PartyIdentification>
-        <cbc:ID schemeID="${invoice.customer.document_type === 'dni' ? '1' : '6'}">${invoice.customer.document_number}</cbc:ID>
-      </cac:PartyIdentification>
-      <cac:PartyName>
-        <cbc:Name>${invoice.customer.name}</cbc:Name>
-      </cac:PartyName>
-    </cac:Party>
-  </cac:AccountingCustomerParty>
-  
-  <cac:LegalMonetaryTotal>
-    <cbc:LineExtensionAmount currencyID="${invoice.currency}">${invoice.subtotal}</cbc:LineExtensionAmount>
-    <cbc:TaxExclusiveAmount currencyID="${invoice.currency}">${invoice.subtotal}</cbc:TaxExclusiveAmount>
-    <cbc:TaxInclusiveAmount currencyID="${invoice.currency}">${invoice.total_amount}</cbc:TaxInclusiveAmount>
-    <cbc:PayableAmount currencyID="${invoice.currency}">${invoice.total_amount}</cbc:PayableAmount>
-  </cac:LegalMonetaryTotal>
-  
-  ${invoice.items.map((item, index) => `
-  <cac:InvoiceLine>
-    <cbc:ID>${index + 1}</cbc:ID>
-    <cbc:InvoicedQuantity unitCode="${item.product.unit_type}">${item.quantity}</cbc:InvoicedQuantity>
-    <cbc:LineExtensionAmount currencyID="${invoice.currency}">${item.subtotal}</cbc:LineExtensionAmount>
-    <cac:Item>
-      <cbc:Description>${item.product.name}</cbc:Description>
-    </cac:Item>
-    <cac:Price>
-      <cbc:PriceAmount currencyID="${invoice.currency}">${item.unit_price}</cbc:PriceAmount>
-    </cac:Price>
-  </cac:InvoiceLine>`).join('')}
-  
-</Invoice>`;
-
-  return xml;
-}
-
-// Función auxiliar para simular envío a SUNAT
-async function simulateSunatSend(invoice) {
-  // Simulación - en producción aquí iría la integración real con SUNAT
-  const random = Math.random();
-  
-  if (random > 0.1) { // 90% de éxito
-    return {
-      success: true,
-      code: '0',
-      message: 'Comprobante aceptado'
-    };
-  } else {
-    return {
-      success: false,
-      code: '2324',
-      message: 'Error en validación de datos'
-    };
-  }
-}
+const reconcileResponse = (invoice, previousStatus, result) => ({
+  invoice_number: invoice.invoice_number,
+  previous_status: previousStatus,
+  sunat_status: invoice.sunat_status,
+  status: invoice.status,
+  reconciled: result.reconciled,
+  consult_code: result.code,
+  message: result.message,
+  cdr_recovered: Boolean(result.cdr_recovered)
+});
 
 const generarQR = async (text) => {
   return new Promise((resolve, reject) => {
@@ -484,6 +975,38 @@ const generarQR = async (text) => {
     });
   });
 };
+const DOCUMENT_TITLES = {
+  invoice: 'FACTURA ELECTRÓNICA',
+  receipt: 'BOLETA DE VENTA ELECTRÓNICA',
+  credit_note: 'NOTA DE CRÉDITO ELECTRÓNICA',
+  debit_note: 'NOTA DE DÉBITO ELECTRÓNICA'
+};
+
+const CURRENCY_SYMBOLS = {
+  PEN: 'S/',
+  USD: 'US$',
+  EUR: '€'
+};
+
+const CUSTOMER_DOCUMENT_LABELS = {
+  dni: 'DNI',
+  ruc: 'RUC',
+  passport: 'Pasaporte',
+  foreign_id: 'Doc. identidad país de residencia',
+  tin: 'TIN',
+  other: 'Doc. tributario no domiciliado'
+};
+
+// Rótulo de los totales del PDF por tributo (agrupación de buildTaxSubtotals)
+const OPERATION_LABELS = {
+  IGV: 'Op. gravadas',
+  IVAP: 'Op. gravadas IVAP',
+  EXO: 'Op. exoneradas',
+  INA: 'Op. inafectas',
+  EXP: 'Op. exportación',
+  GRA: 'Op. gratuitas'
+};
+
 const numeroALetras = (numero) => {
   // Usa una librería como 'numero-a-letras' o implementa tu propia lógica
   const { NumeroALetras } = require('numero-a-letras');
@@ -497,9 +1020,21 @@ const generateInvoicePDF = async (invoice) => {
     const buffers = [];
 
     // Primero generamos el QR de manera asíncrona
-    //const qrUrl = `https://www.sunat.gob.pe/validacion?ruc=${invoice.company.ruc}&tipo=F001&serie=${invoice.series}&numero=${invoice.invoice_number}`;
-    const qrUrl = `https://www.sunat.gob.pe/validacion?ruc=20123456789&tipo=F001&serie=0001&numero=45`;
-    const qrImage = await QRCode.toDataURL(qrUrl);
+    // Formato SUNAT: RUC|TIPO|SERIE|NUMERO|IGV|TOTAL|FECHA|TIPO DOC ADQ|NRO DOC ADQ|VALOR RESUMEN|
+    const [, number] = invoice.invoice_number.split('-');
+    const qrText = [
+      invoice.company.ruc,
+      DOCUMENT_TYPE_CODES[invoice.document_type],
+      invoice.series,
+      number,
+      parseFloat(invoice.tax_amount).toFixed(2),
+      parseFloat(invoice.total_amount).toFixed(2),
+      invoice.issue_date,
+      IDENTITY_DOCUMENT_TYPES[invoice.customer.document_type] || '0',
+      invoice.customer.document_number,
+      invoice.digest_value || ''
+    ].join('|') + '|';
+    const qrImage = await QRCode.toDataURL(qrText);
 
     // Configuramos el stream del PDF
     doc.on('data', buffers.push.bind(buffers));
@@ -515,18 +1050,33 @@ const generateInvoicePDF = async (invoice) => {
  */
     // --- Datos del Comprobante ---
     doc.fontSize(14)
-       .text(`FACTURA ELECTRÓNICA: ${invoice.series}-${invoice.invoice_number}`, 50, 150, { align: 'center' })
+       .text(`${DOCUMENT_TITLES[invoice.document_type]}: ${invoice.series}-${invoice.invoice_number}`, 50, 150, { align: 'center' })
        .fontSize(10)
        .text(`Fecha de emisión: ${new Date(invoice.created_at).toLocaleDateString()}`, 50, 180)
-       .text(`Moneda: ${invoice.currency}`, 400, 180);
+       .text(`Moneda: ${invoice.currency}${invoice.currency !== 'PEN' ? ` (T.C. ${parseFloat(invoice.exchange_rate).toFixed(4)})` : ''}`, 400, 180);
+
+    // --- Comprobante que modifica (notas de crédito/débito) ---
+    if (invoice.referenceInvoice) {
+      doc.text(`Documento que modifica: ${invoice.referenceInvoice.invoice_number}`, 50, 195)
+         .text(`Motivo: ${invoice.note_reason_code} - ${invoice.note_reason_description}`, 300, 195);
+    }
 
     // --- Datos del Cliente ---
     doc.fontSize(12)
        .text('DATOS DEL CLIENTE:', 50, 220, { underline: true })
        .fontSize(10)
-       .text(`RUC/DNI: ${invoice.customer.document_number}`, 50, 240)
+       .text(`${CUSTOMER_DOCUMENT_LABELS[invoice.customer.document_type] || 'Documento'}: ${invoice.customer.document_number}`, 50, 240)
        .text(`Razón Social: ${invoice.customer.name}`, 50, 255);
 
+    // --- Exportación: tipo de operación, país de destino e Incoterm ---
+    if (EXPORT_OPERATION_TYPES.includes(invoice.operation_type)) {
+      doc.text([
+        `Exportación de ${invoice.operation_type === OPERATION_TYPES.EXPORT_GOODS ? 'bienes' : 'servicios'} (${invoice.operation_type})`,
+        invoice.destination_country ? `País de destino: ${invoice.destination_country}` : null,
+        invoice.incoterm ? `Incoterm: ${invoice.incoterm}` : null
+      ].filter(Boolean).join('   '), 50, 270);
+    }
+
     // --- Tabla de Items ---
     doc.fontSize(12).text('DETALLE DE ITEMS:', 50, 300, { underline: true });
     
@@ -539,28 +1089,122 @@ const generateInvoicePDF = async (invoice) => {
        .text('Total', 490, 320, { align: 'right' })
        .font('Helvetica');
 
-    // Items
+    // Items (las transferencias gratuitas muestran su valor referencial)
+    const currencySymbol = CURRENCY_SYMBOLS[invoice.currency] || invoice.currency;
+    const lines = invoice.items.map(buildLineData);
     let y = 340;
-    invoice.items.forEach(item => {
+    lines.forEach(({ item, free }) => {
       doc.text(item.codigoSunat || '', 50, y)
-         .text(item.name, 150, y)
+         .text(free ? `${item.name} (gratuito)` : item.name, 150, y)
          .text(item.quantity.toString(), 350, y, { align: 'right' })
-         .text(`S/. ${parseFloat(item.unit_price).toFixed(2)}`, 420, y, { align: 'right' })
-         .text(`S/. ${parseFloat(item.subtotal).toFixed(2)}`, 490, y, { align: 'right' });
+         .text(`${currencySymbol} ${parseFloat(item.unit_price).toFixed(2)}`, 420, y, { align: 'right' })
+         .text(`${currencySymbol} ${parseFloat(item.subtotal).toFixed(2)}`, 490, y, { align: 'right' });
       y += 20;
     });
 
-    // --- Totales ---
-    doc.fontSize(12)
-       .text(`Subtotal: S/. ${parseFloat(invoice.subtotal).toFixed(2)}`, 400, y + 30, { align: 'right' })
-       .text(`IGV (18%): S/. ${parseFloat(invoice.tax_amount).toFixed(2)}`, 400, y + 50, { align: 'right' })
-       .font('Helvetica-Bold')
-       .text(`TOTAL: S/. ${parseFloat(invoice.total_amount).toFixed(2)}`, 400, y + 70, { align: 'right' })
+    // --- Totales por tipo de operación ---
+    // El ISC y el ICBPER no son tipos de operación: se muestran aparte, junto al IGV
+    const operations = buildTaxSubtotals(lines).filter(({ tax }) => OPERATION_LABELS[tax.name]);
+    doc.fontSize(12);
+    operations.forEach(({ tax, taxableAmount }, index) => {
+      doc.text(`${OPERATION_LABELS[tax.name]}: ${currencySymbol} ${taxableAmount.toFixed(2)}`, 400, y + 30 + index * 20, { align: 'right' });
+    });
+    y += 20 * Math.max(operations.length - 1, 0);
+
+    // Descuentos y cargos globales: los que afectan la base imponible se muestran antes
+    // del IGV y los demás antes del total
+    const allowanceCharges = invoice.allowanceCharges || [];
+    const allowanceChargeText = (entry) => {
+      const { charge } = GLOBAL_ALLOWANCE_CHARGES[entry.code];
+      const label = entry.description || (charge ? 'Cargo global' : 'Descuento global');
+      return `${label}: ${charge ? '' : '-'}${currencySymbol} ${parseFloat(entry.amount).toFixed(2)}`;
+    };
+    allowanceCharges
+      .filter(entry => GLOBAL_ALLOWANCE_CHARGES[entry.code].affectsBase)
+      .forEach(entry => {
+        doc.text(allowanceChargeText(entry), 400, y + 50, { align: 'right' });
+        y += 20;
+      });
+
+    // Los anticipos se deducen del valor de venta; el IGV y el total ya son netos
+    const advances = invoice.advances || [];
+    if (advances.length > 0) {
+      const advancesValue = advances.reduce((acc, advance) => acc + parseFloat(advance.taxable_amount), 0);
+      doc.text(`Anticipos: -${currencySymbol} ${advancesValue.toFixed(2)}`, 400, y + 50, { align: 'right' });
+      y += 20;
+    }
+
+    if (parseFloat(invoice.isc_amount) > 0) {
+      doc.text(`ISC: ${currencySymbol} ${parseFloat(invoice.isc_amount).toFixed(2)}`, 400, y + 50, { align: 'right' });
+      y += 20;
+    }
+
+    doc.text(`IGV (18%): ${currencySymbol} ${parseFloat(invoice.tax_amount).toFixed(2)}`, 400, y + 50, { align: 'right' });
+
+    if (parseFloat(invoice.icbper_amount) > 0) {
+      doc.text(`ICBPER: ${currencySymbol} ${parseFloat(invoice.icbper_amount).toFixed(2)}`, 400, y + 70, { align: 'right' });
+      y += 20;
+    }
+
+    allowanceCharges
+      .filter(entry => !GLOBAL_ALLOWANCE_CHARGES[entry.code].affectsBase)
+      .forEach(entry => {
+        doc.text(allowanceChargeText(entry), 400, y + 70, { align: 'right' });
+        y += 20;
+      });
+
+    doc.font('Helvetica-Bold')
+       .text(`TOTAL: ${currencySymbol} ${parseFloat(invoice.total_amount).toFixed(2)}`, 400, y + 70, { align: 'right' })
        .font('Helvetica');
 
+    if (lines.some(line => line.free)) {
+      y += 12;
+      doc.fontSize(8)
+         .text('TRANSFERENCIA GRATUITA DE UN BIEN Y/O SERVICIO PRESTADO GRATUITAMENTE', 50, y + 80);
+    }
+
+    if (advances.length > 0) {
+      y += 12;
+      doc.fontSize(8)
+         .text(`Anticipos deducidos: ${advances.map(advance => advance.advanceInvoice.invoice_number).join(', ')}`, 50, y + 80);
+    }
+
+    // --- Forma de pago y cronograma de cuotas ---
+    if (invoice.document_type === 'invoice') {
+      y += 12;
+      doc.fontSize(8)
+         .text(`Forma de pago: ${invoice.payment_terms === 'credit' ? 'Crédito' : 'Contado'}`, 50, y + 80);
+
+      if (invoice.payment_terms === 'credit') {
+        y += 12;
+        doc.text(`Monto neto pendiente de pago: ${currencySymbol} ${netPayable(invoice).toFixed(2)}`, 50, y + 80);
+
+        [...(invoice.installments || [])]
+          .sort((a, b) => a.number - b.number)
+          .forEach(installment => {
+            y += 12;
+            doc.text(`Cuota ${installment.number}: ${currencySymbol} ${parseFloat(installment.amount).toFixed(2)}   Vencimiento: ${installment.due_date}`, 70, y + 80);
+          });
+      }
+    }
+
+    // --- Detracción (SPOT) ---
+    if (invoice.detraction_amount) {
+      const detractionService = DETRACTION_GOODS_SERVICES[invoice.detraction_code];
+      doc.fontSize(8)
+         .text('Operación sujeta al Sistema de Pago de Obligaciones Tributarias', 50, y + 92)
+         .text(`Bien o servicio: ${invoice.detraction_code} - ${detractionService ? detractionService.description : ''}`, 50, y + 103)
+         .text(`Cta. Banco de la Nación: ${invoice.company.detraction_account || ''}   Detracción (${parseFloat(invoice.detraction_rate)}%): S/ ${parseFloat(invoice.detraction_amount).toFixed(2)}`, 50, y + 114);
+    }
+
     // --- QR ---
     doc.image(qrImage, 200, y + 130, { width: 100 });
 
+    if (invoice.digest_value) {
+      doc.fontSize(8)
+         .text(`Valor resumen: ${invoice.digest_value}`, 50, y + 235, { align: 'center' });
+    }
+
     // --- Leyenda SUNAT ---
     doc.fontSize(8)
        .text('Representación impresa del Comprobante de Pago Electrónico.', 50, y + 250, { align: 'center' });
@@ -585,5 +1229,9 @@ module.exports = {
   generateXML,
   sendToSunat,
   getSunatStatus,
+  reconcileInvoice,
+  reconcileInvoices,
+  downloadCDR,
+  verifySignature,
   downloadPDF
 };
\ No newline at end of file
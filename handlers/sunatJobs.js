@@ -0,0 +1,553 @@
+'use strict'
+
+const { Op } = require('sequelize');
+const { Invoice, SunatJob, UserCompany } = require('../models/associations');
+const logger = require('../config/logger');
+const { isDeclaredBySummary } = require('../util/ubl');
+const { INVOICE_XML_INCLUDE, signInvoice, submitInvoice } = require('../util/invoiceSubmission');
+const { validateUblXml, summarizeViolations } = require('../util/ublSchema');
+const { validateBusinessRules, summarizeIssues } = require('../util/businessRules');
+
+// Espera antes del primer reintento; se duplica en cada intento
+const BASE_RETRY_DELAY = 60 * 1000;
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+
+// Trabajos procesados en cada ejecución del worker
+const WORKER_BATCH_SIZE = 20;
+
+// Un trabajo en proceso por más tiempo se considera abandonado (p. ej. reinicio del servidor)
+const STALE_JOB_TIMEOUT = 10 * 60 * 1000;
+
+// Excepciones de SUNAT (servicio no disponible, etc.) que se reintentan
+const RETRYABLE_CODES = { from: 100, to: 200 };
+
+const JOB_INCLUDE = [
+  {
+    model: Invoice,
+    as: 'invoice',
+    attributes: ['id', 'invoice_number', 'document_type', 'status', 'sunat_status']
+  }
+];
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/sunat-jobs:
+ *   get:
+ *     tags: [Integración SUNAT]
+ *     summary: Listar envíos en cola
+ *     description: Obtiene los trabajos de envío a SUNAT con su estado, intentos y último error
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, completed, failed]
+ *       - in: query
+ *         name: invoice_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Trabajos obtenidos exitosamente
+ */
+const getSunatJobs = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const { page = 1, limit = 20, status, invoice_id } = req.query;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const offset = (page - 1) * limit;
+    const where = { company_id: companyId };
+    if (status) where.status = status;
+    if (invoice_id) where.invoice_id = invoice_id;
+
+    const { count, rows: jobs } = await SunatJob.findAndCountAll({
+      where,
+      include: JOB_INCLUDE,
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(count / limit),
+          total_count: count,
+          per_page: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo envíos en cola:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/sunat-jobs/{jobId}:
+ *   get:
+ *     tags: [Integración SUNAT]
+ *     summary: Obtener envío en cola
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Trabajo obtenido exitosamente
+ */
+const getSunatJobById = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, jobId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: { user_id: userId, company_id: companyId }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para acceder a esta empresa'
+      });
+    }
+
+    const job = await SunatJob.findOne({
+      where: { id: jobId, company_id: companyId },
+      include: JOB_INCLUDE
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trabajo no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    logger.error('Error obteniendo envío en cola:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/sunat-jobs/{jobId}/retry:
+ *   post:
+ *     tags: [Integración SUNAT]
+ *     summary: Reintentar envío fallido
+ *     description: Vuelve a poner en cola un trabajo fallido, reiniciando sus intentos
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Trabajo puesto en cola nuevamente
+ *       400:
+ *         description: El trabajo no está fallido
+ */
+const retrySunatJob = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, jobId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para enviar comprobantes a SUNAT'
+      });
+    }
+
+    const job = await SunatJob.findOne({
+      where: { id: jobId, company_id: companyId }
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trabajo no encontrado'
+      });
+    }
+
+    if (job.status !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se pueden reintentar trabajos fallidos'
+      });
+    }
+
+    await job.update({
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date(),
+      locked_at: null
+    });
+
+    logger.info(`Trabajo ${job.id} de la factura ${job.invoice_id} puesto en cola nuevamente`);
+
+    res.json({
+      success: true,
+      message: 'Trabajo puesto en cola nuevamente',
+      data: job
+    });
+
+  } catch (error) {
+    logger.error('Error reintentando envío en cola:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/invoices/{invoiceId}/enqueue:
+ *   post:
+ *     tags: [Integración SUNAT]
+ *     summary: Encolar envío a SUNAT
+ *     description: Pone en cola el envío de la factura; el XML se genera si aún no existe
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Envío puesto en cola
+ *       400:
+ *         description: Boleta, factura ya aceptada o XML que no cumple el esquema XSD (ver data.violations)
+ */
+const enqueueInvoiceSubmission = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { companyId, invoiceId } = req.params;
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para enviar comprobantes a SUNAT'
+      });
+    }
+
+    const invoice = await Invoice.findOne({
+      where: { id: invoiceId, company_id: companyId }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Factura no encontrada'
+      });
+    }
+
+    if (isDeclaredBySummary(invoice)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Las boletas y sus notas se informan a SUNAT mediante el resumen diario'
+      });
+    }
+
+    if (invoice.sunat_status === 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'La factura ya fue aceptada por SUNAT'
+      });
+    }
+
+    // Si ya tiene XML, no se encola uno que no cumpla el esquema XSD
+    if (invoice.xml_content) {
+      const { valid, violations } = await validateUblXml(invoice.xml_content);
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'El XML no cumple el esquema XSD, corrija el comprobante y vuelva a generarlo',
+          data: {
+            violations
+          }
+        });
+      }
+    }
+
+    const job = await enqueueInvoice(invoice, { userId });
+
+    res.status(202).json({
+      success: true,
+      message: 'Envío a SUNAT puesto en cola',
+      data: job
+    });
+
+  } catch (error) {
+    logger.error('Error encolando envío a SUNAT:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Pone en cola el envío de un comprobante. Si ya tiene un trabajo activo
+ * devuelve ese mismo trabajo.
+ */
+async function enqueueInvoice(invoice, { userId = null, transaction } = {}) {
+  const active = await SunatJob.findOne({
+    where: { invoice_id: invoice.id, status: ['pending', 'processing'] },
+    transaction
+  });
+  if (active) return active;
+
+  return SunatJob.create({
+    company_id: invoice.company_id,
+    invoice_id: invoice.id,
+    next_attempt_at: new Date(),
+    created_by: userId
+  }, { transaction });
+}
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY * Math.pow(2, attempts - 1), MAX_RETRY_DELAY);
+
+const isRetryableCode = (code) => {
+  const numericCode = parseInt(code);
+  return numericCode >= RETRYABLE_CODES.from && numericCode <= RETRYABLE_CODES.to;
+};
+
+const completeJob = (job, attempts) => job.update({
+  status: 'completed',
+  attempts,
+  locked_at: null,
+  completed_at: new Date()
+});
+
+const failJob = (job, attempts, code, message) => {
+  logger.warn(`Trabajo ${job.id} de la factura ${job.invoice_id} fallido: ${code ? `[${code}] ` : ''}${message}`);
+  return job.update({
+    status: 'failed',
+    attempts,
+    locked_at: null,
+    last_error_code: code,
+    last_error: message
+  });
+};
+
+// Reprograma el trabajo con espera exponencial hasta agotar los intentos
+const scheduleRetry = (job, attempts, code, message) => {
+  if (attempts >= job.max_attempts) {
+    return failJob(job, attempts, code, `Intentos agotados: ${message}`);
+  }
+
+  const delay = retryDelay(attempts);
+  logger.info(`Trabajo ${job.id} reprogramado en ${Math.round(delay / 1000)}s (intento ${attempts}/${job.max_attempts})`);
+
+  return job.update({
+    status: 'pending',
+    attempts,
+    next_attempt_at: new Date(Date.now() + delay),
+    locked_at: null,
+    last_error_code: code,
+    last_error: message
+  });
+};
+
+async function processJob(job) {
+  const attempts = job.attempts + 1;
+  const invoice = await Invoice.findByPk(job.invoice_id, { include: INVOICE_XML_INCLUDE });
+
+  if (!invoice) {
+    return failJob(job, attempts, null, 'Factura no encontrada');
+  }
+
+  // Enviada por otro medio (envío directo, conciliación)
+  if (invoice.sunat_status === 'accepted') {
+    return completeJob(job, attempts);
+  }
+
+  if (!invoice.company.sunat_user || !invoice.company.sunat_password) {
+    return failJob(job, attempts, null, 'La empresa no tiene configuradas sus credenciales SOL');
+  }
+
+  // Los comprobantes que incumplen reglas de negocio o el esquema XSD no se envían
+  // ni se reintentan: hay que corregir el comprobante
+  const rules = validateBusinessRules(invoice);
+  if (!rules.valid) {
+    return failJob(job, attempts, null, `El comprobante no cumple las reglas de validación: ${summarizeIssues(rules.errors)}`);
+  }
+
+  let validation;
+  if (!invoice.xml_content || !invoice.digest_value) {
+    validation = await signInvoice(invoice);
+    if (!validation) {
+      return failJob(job, attempts, null, 'La empresa no tiene un certificado digital vigente');
+    }
+  } else {
+    validation = await validateUblXml(invoice.xml_content);
+  }
+
+  const { valid, violations } = validation;
+  if (!valid) {
+    return failJob(job, attempts, null, `El XML no cumple el esquema XSD: ${summarizeViolations(violations)}`);
+  }
+
+  let submission;
+  try {
+    submission = await submitInvoice(invoice);
+  } catch (error) {
+    // Error de red: se reintenta
+    return scheduleRetry(job, attempts, null, error.message);
+  }
+
+  const { sunatResponse, reconciliation } = submission;
+  const code = reconciliation ? reconciliation.code : sunatResponse.code;
+  const message = reconciliation ? reconciliation.message : sunatResponse.message;
+
+  if (invoice.sunat_status === 'accepted') {
+    return completeJob(job, attempts);
+  }
+
+  // Los rechazos (2000-3999) requieren corregir el comprobante
+  if (invoice.sunat_status === 'rejected') {
+    return failJob(job, attempts, code, message);
+  }
+
+  if (invoice.sunat_status === 'pending' || isRetryableCode(sunatResponse.code)) {
+    return scheduleRetry(job, attempts, code, message);
+  }
+
+  return failJob(job, attempts, code, message);
+}
+
+/**
+ * Worker de la cola: procesa los trabajos pendientes cuyo próximo intento ya venció.
+ * Se ejecuta periódicamente desde index.js.
+ */
+const processSunatJobs = async () => {
+  await SunatJob.update(
+    { status: 'pending', locked_at: null },
+    { where: { status: 'processing', locked_at: { [Op.lt]: new Date(Date.now() - STALE_JOB_TIMEOUT) } } }
+  );
+
+  const jobs = await SunatJob.findAll({
+    where: { status: 'pending', next_attempt_at: { [Op.lte]: new Date() } },
+    order: [['next_attempt_at', 'ASC']],
+    limit: WORKER_BATCH_SIZE
+  });
+
+  for (const job of jobs) {
+    // Tomar el trabajo solo si sigue pendiente
+    const [claimed] = await SunatJob.update(
+      { status: 'processing', locked_at: new Date() },
+      { where: { id: job.id, status: 'pending' } }
+    );
+    if (!claimed) continue;
+
+    try {
+      await processJob(job);
+    } catch (error) {
+      logger.error(`Error procesando trabajo ${job.id} de la factura ${job.invoice_id}:`, error.message);
+      await scheduleRetry(job, job.attempts + 1, null, error.message);
+    }
+  }
+};
+
+module.exports = {
+  getSunatJobs,
+  getSunatJobById,
+  retrySunatJob,
+  enqueueInvoiceSubmission,
+  enqueueInvoice,
+  processSunatJobs,
+  retryDelay,
+  isRetryableCode
+};
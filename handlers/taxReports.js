@@ -0,0 +1,214 @@
+'use strict'
+
+const { Op } = require('sequelize');
+const { Invoice, InvoiceItem, UserCompany } = require('../models/associations');
+const logger = require('../config/logger');
+const { round, isFreeAffectation } = require('../util/invoiceTotals');
+const { ISC_SYSTEMS } = require('../util/sunatCatalogs');
+const { limaDate } = require('../util/dates');
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Importes del reporte por comprobante; las notas de crédito restan
+const AMOUNT_FIELDS = ['subtotal', 'isc_amount', 'tax_amount', 'icbper_amount', 'total_amount'];
+const DOCUMENT_SIGNS = {
+  invoice: 1,
+  receipt: 1,
+  debit_note: 1,
+  credit_note: -1
+};
+
+const emptyAmounts = () => AMOUNT_FIELDS.reduce((acc, field) => ({ ...acc, [field]: 0 }), {});
+
+const roundAmounts = (amounts) => Object.entries(amounts)
+  .reduce((acc, [field, value]) => ({ ...acc, [field]: round(value) }), {});
+
+// Primer y último día del periodo YYYY-MM
+const periodRange = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+  return [`${period}-01`, lastDay];
+};
+
+/**
+ * @swagger
+ * /apisunat/companies/{companyId}/reports/monthly-taxes:
+ *   get:
+ *     tags: [Reportes]
+ *     summary: Reporte mensual de tributos
+ *     description: Resume por tipo de comprobante el valor de venta, ISC, IGV e ICBPER del periodo, en soles con el tipo de cambio de cada comprobante. Las notas de crédito restan y se excluyen los comprobantes anulados o rechazados. Incluye el ISC por sistema de cálculo (catálogo 08).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: period
+ *         description: "Periodo tributario YYYY-MM; por defecto el mes actual en Lima"
+ *         schema:
+ *           type: string
+ *           example: "2026-10"
+ *     responses:
+ *       200:
+ *         description: Reporte generado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     period:
+ *                       type: string
+ *                       example: "2026-10"
+ *                     documents:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         subtotal:
+ *                           type: number
+ *                         isc_amount:
+ *                           type: number
+ *                         tax_amount:
+ *                           type: number
+ *                         icbper_amount:
+ *                           type: number
+ *                         total_amount:
+ *                           type: number
+ *                     isc_by_system:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Periodo inválido
+ *       403:
+ *         description: Sin permisos
+ */
+const getMonthlyTaxReport = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const companyId = req.params.companyId;
+    const period = req.query.period || limaDate().slice(0, 7);
+
+    // Verificar permisos
+    const userCompany = await UserCompany.findOne({
+      where: {
+        user_id: userId,
+        company_id: companyId,
+        role: ['owner', 'admin', 'accountant']
+      }
+    });
+
+    if (!userCompany) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para consultar reportes de esta empresa'
+      });
+    }
+
+    if (!PERIOD_PATTERN.test(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Periodo inválido, use el formato YYYY-MM'
+      });
+    }
+
+    const invoices = await Invoice.findAll({
+      where: {
+        company_id: companyId,
+        issue_date: { [Op.between]: periodRange(period) },
+        status: { [Op.ne]: 'cancelled' },
+        sunat_status: { [Op.ne]: 'rejected' }
+      },
+      attributes: ['id', 'document_type', 'currency', 'exchange_rate', ...AMOUNT_FIELDS],
+      include: [
+        {
+          model: InvoiceItem,
+          as: 'items',
+          attributes: ['affectation_code', 'isc_system', 'subtotal', 'isc_amount']
+        }
+      ]
+    });
+
+    const documents = {};
+    const iscBySystem = {};
+    let totals = emptyAmounts();
+
+    for (const invoice of invoices) {
+      const sign = DOCUMENT_SIGNS[invoice.document_type];
+      const rate = invoice.currency === 'PEN' ? 1 : parseFloat(invoice.exchange_rate || 1);
+      const factor = sign * rate;
+
+      if (!documents[invoice.document_type]) {
+        documents[invoice.document_type] = { document_type: invoice.document_type, count: 0, ...emptyAmounts() };
+      }
+      const group = documents[invoice.document_type];
+      group.count += 1;
+
+      for (const field of AMOUNT_FIELDS) {
+        const value = parseFloat(invoice[field] || 0) * factor;
+        group[field] += value;
+        totals[field] += value;
+      }
+
+      // El ISC de las transferencias gratuitas no forma parte del total declarado
+      for (const item of invoice.items) {
+        if (!item.isc_system || isFreeAffectation(item.affectation_code)) continue;
+
+        if (!iscBySystem[item.isc_system]) {
+          iscBySystem[item.isc_system] = {
+            isc_system: item.isc_system,
+            description: ISC_SYSTEMS[item.isc_system],
+            taxable_amount: 0,
+            isc_amount: 0
+          };
+        }
+        iscBySystem[item.isc_system].taxable_amount += parseFloat(item.subtotal) * factor;
+        iscBySystem[item.isc_system].isc_amount += parseFloat(item.isc_amount || 0) * factor;
+      }
+    }
+
+    totals = roundAmounts(totals);
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        currency: 'PEN',
+        documents: Object.values(documents).map(({ document_type, count, ...amounts }) => ({
+          document_type,
+          count,
+          ...roundAmounts(amounts)
+        })),
+        totals,
+        isc_by_system: Object.values(iscBySystem)
+          .sort((a, b) => a.isc_system.localeCompare(b.isc_system))
+          .map(system => ({
+            ...system,
+            taxable_amount: round(system.taxable_amount),
+            isc_amount: round(system.isc_amount)
+          }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error generando reporte mensual de tributos:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  getMonthlyTaxReport
+};
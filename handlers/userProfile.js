@@ -205,6 +205,22 @@ const getUserProfile = async (req, res) => {
  *               address:
  *                 type: string
  *                 example: "Av. Principal 123, Lima"
+ *               ubigeo:
+ *                 type: string
+ *                 example: "150101"
+ *               department:
+ *                 type: string
+ *                 example: "LIMA"
+ *               province:
+ *                 type: string
+ *                 example: "LIMA"
+ *               district:
+ *                 type: string
+ *                 example: "LIMA"
+ *               establishment_code:
+ *                 type: string
+ *                 default: "0000"
+ *                 example: "0000"
  *               industry:
  *                 type: string
  *                 example: "Tecnología"
@@ -225,6 +241,10 @@ const getUserProfile = async (req, res) => {
  *               sunat_password:
  *                 type: string
  *                 example: "mipasswordsunat"
+ *               detraction_account:
+ *                 type: string
+ *                 description: "Cuenta de detracciones en el Banco de la Nación"
+ *                 example: "00-000-123456"
  *               role:
  *                 type: string
  *                 enum: [owner, admin, accountant, sales]
@@ -274,8 +294,9 @@ const registerCompany = async (req, res) => {
     const userId = req.user.id;
     const { 
       ruc, name, business_name, legal_representative, phone, email, website, 
-      address, industry, tax_regime, currency, logo_url, sunat_user, sunat_password, 
-      role = 'owner' 
+      address, ubigeo, department, province, district, establishment_code,
+      industry, tax_regime, currency, logo_url, sunat_user, sunat_password, 
+      detraction_account, role = 'owner' 
     } = req.body;
 
     // Validaciones
@@ -305,12 +326,18 @@ const registerCompany = async (req, res) => {
       email,
       website,
       address,
+      ubigeo,
+      department,
+      province,
+      district,
+      establishment_code,
       industry,
       tax_regime,
       currency,
       logo_url,
       sunat_user,
-      sunat_password
+      sunat_password,
+      detraction_account
     });
 
     // Asignar usuario a la empresa
@@ -336,6 +363,11 @@ const registerCompany = async (req, res) => {
           email: company.email,
           website: company.website,
           address: company.address,
+          ubigeo: company.ubigeo,
+          department: company.department,
+          province: company.province,
+          district: company.district,
+          establishment_code: company.establishment_code,
           industry: company.industry,
           tax_regime: company.tax_regime,
           currency: company.currency,
@@ -410,6 +442,22 @@ const registerCompany = async (req, res) => {
  *               address:
  *                 type: string
  *                 example: "Av. Principal 123, Lima"
+ *               ubigeo:
+ *                 type: string
+ *                 example: "150101"
+ *               department:
+ *                 type: string
+ *                 example: "LIMA"
+ *               province:
+ *                 type: string
+ *                 example: "LIMA"
+ *               district:
+ *                 type: string
+ *                 example: "LIMA"
+ *               establishment_code:
+ *                 type: string
+ *                 default: "0000"
+ *                 example: "0000"
  *               industry:
  *                 type: string
  *                 example: "Tecnología"
@@ -430,6 +478,10 @@ const registerCompany = async (req, res) => {
  *               sunat_password:
  *                 type: string
  *                 example: "mipasswordsunat"
+ *               detraction_account:
+ *                 type: string
+ *                 description: "Cuenta de detracciones en el Banco de la Nación"
+ *                 example: "00-000-123456"
  *     responses:
  *       200:
  *         description: Empresa actualizada exitosamente
@@ -508,10 +560,16 @@ const updateCompany = async (req, res) => {
         email: company.email,
         website: company.website,
         address: company.address,
+        ubigeo: company.ubigeo,
+        department: company.department,
+        province: company.province,
+        district: company.district,
+        establishment_code: company.establishment_code,
         industry: company.industry,
         tax_regime: company.tax_regime,
         currency: company.currency,
         logo_url: company.logo_url,
+        detraction_account: company.detraction_account,
         is_active: company.is_active,
         updated_at: company.updated_at
       }
@@ -9,9 +9,15 @@ const pinoHttp = require('pino-http')
 const dotenv = require('dotenv');
 const sequelize = require('./config/database');
 require('./models/associations'); // Cargar asociaciones
+const { checkCertificateExpirations } = require('./handlers/certificates');
+const { processDailySummaries } = require('./handlers/summaries');
+const { processSunatJobs } = require('./handlers/sunatJobs');
 dotenv.config();
 
 const PORT = process.env.PORT || 3000;
+const CERTIFICATE_CHECK_INTERVAL = 12 * 60 * 60 * 1000; // Cada 12 horas
+const SUMMARY_CHECK_INTERVAL = 10 * 60 * 1000; // Cada 10 minutos
+const SUNAT_JOBS_INTERVAL = 60 * 1000; // Cada minuto
 module.exports = function main (options, cb) {
   // Server state
   let server
@@ -59,6 +65,24 @@ module.exports = function main (options, cb) {
       logger.error('Connection string would be:', `mysql://${process.env.DB_USER}@${process.env.DB_HOST}:${process.env.DB_PORT}/${process.env.DB_NAME}`);
     }
     
+    // Avisos de vencimiento de certificados digitales
+    const runCertificateCheck = () => checkCertificateExpirations()
+      .catch(error => logger.error('Error revisando vencimiento de certificados:', error.message));
+    runCertificateCheck();
+    setInterval(runCertificateCheck, CERTIFICATE_CHECK_INTERVAL);
+
+    // Resúmenes diarios de boletas y consulta de tickets
+    const runSummaryCheck = () => processDailySummaries()
+      .catch(error => logger.error('Error procesando resúmenes diarios:', error.message));
+    runSummaryCheck();
+    setInterval(runSummaryCheck, SUMMARY_CHECK_INTERVAL);
+
+    // Cola de envíos de facturas a SUNAT
+    const runSunatJobs = () => processSunatJobs()
+      .catch(error => logger.error('Error procesando la cola de envíos a SUNAT:', error.message));
+    runSunatJobs();
+    setInterval(runSunatJobs, SUNAT_JOBS_INTERVAL);
+    
     const serverUrl = process.env.NODE_ENV === 'production' 
     ? process.env.SERVER_URL_PRODUCTION 
     : `https://localhost:${PORT}`;
@@ -46,6 +46,30 @@ const swaggerOptions = {
         name: 'Integración SUNAT',
         description: 'Envío y validación con SUNAT'
       },
+      {
+        name: 'Guías de Remisión',
+        description: 'Guías de remisión electrónicas remitente'
+      },
+      {
+        name: 'Retenciones y Percepciones',
+        description: 'Comprobantes de retención y percepción electrónicos'
+      },
+      {
+        name: 'Detracciones',
+        description: 'Sistema de Pago de Obligaciones Tributarias (SPOT)'
+      },
+      {
+        name: 'Anticipos',
+        description: 'Saldos de anticipos por cliente'
+      },
+      {
+        name: 'Tipos de cambio',
+        description: 'Tipo de cambio diario SUNAT/SBS para comprobantes en moneda extranjera'
+      },
+      {
+        name: 'Reportes',
+        description: 'Reportes tributarios de la empresa'
+      },
       {
         name: 'Notificaciones',
         description: 'Sistema de notificaciones de usuario'
@@ -26,6 +26,27 @@ const Company = sequelize.define('Company', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  ubigeo: {
+    type: DataTypes.STRING(6),
+    allowNull: true
+  },
+  department: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  province: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  district: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  establishment_code: {
+    type: DataTypes.STRING(4),
+    defaultValue: '0000',
+    comment: 'Código de establecimiento anexo declarado en SUNAT'
+  },
   business_name: {
     type: DataTypes.STRING(150),
     allowNull: true
@@ -72,6 +93,11 @@ const Company = sequelize.define('Company', {
   sunat_password: {
     type: DataTypes.STRING(255),
     allowNull: true
+  },
+  detraction_account: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Cuenta de detracciones en el Banco de la Nación'
   }
 }, {
   tableName: 'companies',
@@ -0,0 +1,68 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CompanyCertificate = sequelize.define('CompanyCertificate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  company_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+  pfx_content: {
+    type: DataTypes.TEXT('medium'),
+    allowNull: false,
+    comment: 'Archivo PKCS#12 cifrado (AES-256-GCM)'
+  },
+  pfx_password: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Contraseña del PKCS#12 cifrada (AES-256-GCM)'
+  },
+  subject: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  ruc: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  serial_number: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  valid_from: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  valid_to: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  last_expiry_notice: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Último aviso de vencimiento enviado (30, 15 o 5 días)'
+  },
+  uploaded_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+}, {
+  tableName: 'company_certificates',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['valid_to']
+    }
+  ]
+});
+
+module.exports = CompanyCertificate;
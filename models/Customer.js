@@ -14,7 +14,8 @@ const Customer = sequelize.define('Customer', {
     allowNull: false
   },
   document_type: {
-    type: DataTypes.ENUM('dni', 'ruc', 'passport', 'other'),
+    type: DataTypes.ENUM('dni', 'ruc', 'passport', 'foreign_id', 'tin', 'other'),
+    comment: 'foreign_id y tin: documento de identidad y número tributario del país de residencia (no domiciliados)',
     allowNull: false
   },
   document_number: {
@@ -0,0 +1,175 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Guía de remisión electrónica - remitente (DespatchAdvice, tipo 09)
+const DespatchAdvice = sequelize.define('DespatchAdvice', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  company_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Destinatario de los bienes'
+  },
+  invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Comprobante relacionado al traslado'
+  },
+  document_number: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  series: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  correlative: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  issue_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  transfer_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Fecha de inicio del traslado'
+  },
+  transfer_reason: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    comment: 'Catálogo 20: motivo de traslado'
+  },
+  transfer_description: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  transport_mode: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    comment: 'Catálogo 18: 01 transporte público, 02 transporte privado'
+  },
+  gross_weight: {
+    type: DataTypes.DECIMAL(12, 3),
+    allowNull: false
+  },
+  weight_unit: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'KGM'
+  },
+  packages_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  origin_ubigeo: {
+    type: DataTypes.STRING(6),
+    allowNull: false
+  },
+  origin_address: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  destination_ubigeo: {
+    type: DataTypes.STRING(6),
+    allowNull: false
+  },
+  destination_address: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  carrier_ruc: {
+    type: DataTypes.STRING(11),
+    allowNull: true
+  },
+  carrier_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  carrier_mtc_registration: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  driver_document_type: {
+    type: DataTypes.ENUM('dni', 'ruc', 'passport', 'other'),
+    allowNull: true
+  },
+  driver_document_number: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  driver_first_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  driver_last_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  driver_license: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  vehicle_plate: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'sent', 'accepted', 'rejected', 'cancelled'),
+    defaultValue: 'draft'
+  },
+  sunat_status: {
+    type: DataTypes.ENUM('pending', 'sent', 'accepted', 'rejected', 'error'),
+    defaultValue: 'pending'
+  },
+  sunat_response_code: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  sunat_response_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  xml_content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  digest_value: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+}, {
+  tableName: 'despatch_advices',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['company_id', 'document_number'],
+      name: 'unique_company_despatch_number'
+    },
+    {
+      fields: ['invoice_id']
+    }
+  ]
+});
+
+module.exports = DespatchAdvice;
@@ -0,0 +1,31 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DespatchAdviceItem = sequelize.define('DespatchAdviceItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  despatch_advice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false
+  }
+}, {
+  tableName: 'despatch_advice_items',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false
+});
+
+module.exports = DespatchAdviceItem;
@@ -14,7 +14,7 @@ const DocumentSequence = sequelize.define('DocumentSequence', {
     allowNull: false
   },
   document_type: {
-    type: DataTypes.ENUM('invoice', 'credit_note', 'debit_note', 'receipt', 'quotation'),
+    type: DataTypes.ENUM('invoice', 'credit_note', 'debit_note', 'receipt', 'quotation', 'despatch_advice', 'retention', 'perception'),
     allowNull: false
   },
   series: {
@@ -0,0 +1,61 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { CURRENCY_NAMES } = require('../util/sunatCatalogs');
+
+// Tipo de cambio diario de una moneda extranjera a soles, publicado por SUNAT/SBS
+const ExchangeRate = sequelize.define('ExchangeRate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  company_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      isIn: [Object.keys(CURRENCY_NAMES).filter(currency => currency !== 'PEN')]
+    }
+  },
+  rate_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  buy_rate: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: false,
+    comment: 'Tipo de cambio compra'
+  },
+  sell_rate: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: false,
+    comment: 'Tipo de cambio venta; es el que se aplica a los comprobantes de venta'
+  },
+  source: {
+    type: DataTypes.ENUM('sunat', 'sbs', 'manual'),
+    defaultValue: 'manual'
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'exchange_rates',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['company_id', 'currency', 'rate_date'],
+      name: 'unique_company_currency_date'
+    }
+  ]
+});
+
+module.exports = ExchangeRate;
@@ -41,6 +41,21 @@ const Invoice = sequelize.define('Invoice', {
     type: DataTypes.DECIMAL(10, 4),
     defaultValue: 1.0000
   },
+  operation_type: {
+    type: DataTypes.STRING(4),
+    defaultValue: '0101',
+    comment: 'Tipo de operación (catálogo 51)'
+  },
+  incoterm: {
+    type: DataTypes.STRING(3),
+    allowNull: true,
+    comment: 'Incoterm de la exportación de bienes'
+  },
+  destination_country: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    comment: 'País de destino de la exportación (ISO 3166-1 alfa-2)'
+  },
   issue_date: {
     type: DataTypes.DATEONLY,
     allowNull: false
@@ -49,6 +64,11 @@ const Invoice = sequelize.define('Invoice', {
     type: DataTypes.DATEONLY,
     allowNull: true
   },
+  payment_terms: {
+    type: DataTypes.ENUM('cash', 'credit'),
+    defaultValue: 'cash',
+    comment: 'Forma de pago: al contado o al crédito en cuotas (invoice_installments)'
+  },
   subtotal: {
     type: DataTypes.DECIMAL(12, 2),
     allowNull: false,
@@ -59,15 +79,100 @@ const Invoice = sequelize.define('Invoice', {
     allowNull: false,
     defaultValue: 0.00
   },
+  isc_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00,
+    comment: 'Impuesto selectivo al consumo (ISC), incluido en el total'
+  },
+  icbper_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00,
+    comment: 'Impuesto al consumo de bolsas de plástico (ICBPER), incluido en el total'
+  },
   discount_amount: {
     type: DataTypes.DECIMAL(12, 2),
     defaultValue: 0.00
   },
+  allowance_total_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00,
+    comment: 'Descuentos globales que no afectan la base imponible (catálogo 53, código 03); el total ya los descuenta'
+  },
+  charge_total_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00,
+    comment: 'Cargos globales que no afectan la base imponible (catálogo 53, código 50), incluidos en el total'
+  },
   total_amount: {
     type: DataTypes.DECIMAL(12, 2),
     allowNull: false,
     defaultValue: 0.00
   },
+  prepaid_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00,
+    comment: 'Anticipos deducidos, con impuestos; el total ya los descuenta'
+  },
+  is_advance: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Comprobante emitido por un anticipo, deducible en comprobantes posteriores'
+  },
+  free_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00,
+    comment: 'Valor referencial de las transferencias gratuitas, excluido del total'
+  },
+  balance_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Saldo pendiente de cobro luego de aplicar notas de crédito y débito'
+  },
+  detraction_code: {
+    type: DataTypes.STRING(3),
+    allowNull: true,
+    comment: 'Bien o servicio sujeto a detracción (catálogo 54)'
+  },
+  detraction_rate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true
+  },
+  detraction_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Importe de la detracción en soles'
+  },
+  detraction_deposit_number: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: 'Número de constancia del depósito en el Banco de la Nación'
+  },
+  detraction_deposit_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  reference_invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Comprobante que modifica una nota de crédito o débito'
+  },
+  note_reason_code: {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  },
+  note_reason_description: {
+    type: DataTypes.STRING(250),
+    allowNull: true
+  },
+  void_reason: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Motivo informado en la comunicación de baja'
+  },
+  void_requested_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   status: {
     type: DataTypes.ENUM('draft', 'sent', 'accepted', 'rejected', 'cancelled'),
     defaultValue: 'draft'
@@ -88,6 +193,19 @@ const Invoice = sequelize.define('Invoice', {
     type: DataTypes.TEXT('long'),
     allowNull: true
   },
+  cdr_content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true,
+    comment: 'Zip de la constancia de recepción (CDR) en base64'
+  },
+  sunat_observations: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  digest_value: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
   pdf_path: {
     type: DataTypes.STRING(500),
     allowNull: true
@@ -116,6 +234,9 @@ const Invoice = sequelize.define('Invoice', {
     },
     {
       fields: ['sunat_status']
+    },
+    {
+      fields: ['reference_invoice_id']
     }
   ]
 });
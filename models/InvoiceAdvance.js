@@ -0,0 +1,52 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Anticipo deducido de un comprobante: relaciona la factura final con la de anticipo
+const InvoiceAdvance = sequelize.define('InvoiceAdvance', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Comprobante final del que se deduce el anticipo'
+  },
+  advance_invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Comprobante emitido por el anticipo'
+  },
+  taxable_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Valor deducido de la base imponible, sin impuestos'
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Importe deducido con impuestos'
+  }
+}, {
+  tableName: 'invoice_advances',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['invoice_id']
+    },
+    {
+      fields: ['advance_invoice_id']
+    }
+  ]
+});
+
+module.exports = InvoiceAdvance;
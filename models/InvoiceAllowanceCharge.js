@@ -0,0 +1,63 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { GLOBAL_ALLOWANCE_CHARGES } = require('../util/sunatCatalogs');
+
+// Descuento o cargo global de un comprobante (catálogo 53)
+const InvoiceAllowanceCharge = sequelize.define('InvoiceAllowanceCharge', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  code: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    validate: {
+      isIn: [Object.keys(GLOBAL_ALLOWANCE_CHARGES)]
+    },
+    comment: 'Código del descuento o cargo global (catálogo 53)'
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Motivo del descuento o cargo, p. ej. pronto pago o delivery'
+  },
+  rate: {
+    type: DataTypes.DECIMAL(7, 4),
+    allowNull: true,
+    comment: 'Porcentaje aplicado sobre base_amount; nulo si se indicó un importe fijo'
+  },
+  base_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Valor de venta gravado con IGV (códigos 02 y 49) o importe total (03 y 50)'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Importe del descuento o cargo, sin impuestos'
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00,
+    comment: 'IGV del descuento o cargo que afecta la base imponible'
+  }
+}, {
+  tableName: 'invoice_allowance_charges',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['invoice_id']
+    }
+  ]
+});
+
+module.exports = InvoiceAllowanceCharge;
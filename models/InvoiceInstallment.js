@@ -0,0 +1,44 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Cuota de una venta al crédito: importe y fecha de vencimiento de cada pago
+const InvoiceInstallment = sequelize.define('InvoiceInstallment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Número de cuota, correlativo desde 1 (Cuota001, Cuota002...)'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Importe de la cuota en la moneda del comprobante'
+  },
+  due_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  }
+}, {
+  tableName: 'invoice_installments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['invoice_id', 'number']
+    }
+  ]
+});
+
+module.exports = InvoiceInstallment;
@@ -17,13 +17,19 @@ const InvoiceItem = sequelize.define('InvoiceItem', {
     type: DataTypes.INTEGER,
     allowNull: false
   },
+  affectation_code: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    comment: 'Afectación del IGV (catálogo 07); si es nulo se deduce del tipo tributario del producto'
+  },
   quantity: {
     type: DataTypes.DECIMAL(10, 3),
     allowNull: false
   },
   unit_price: {
     type: DataTypes.DECIMAL(10, 2),
-    allowNull: false
+    allowNull: false,
+    comment: 'Valor unitario sin impuestos; valor referencial en transferencias gratuitas'
   },
   discount_rate: {
     type: DataTypes.DECIMAL(5, 2),
@@ -41,6 +47,39 @@ const InvoiceItem = sequelize.define('InvoiceItem', {
     type: DataTypes.DECIMAL(12, 2),
     allowNull: false
   },
+  isc_system: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    comment: 'Sistema de cálculo del ISC (catálogo 08)'
+  },
+  isc_rate: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true
+  },
+  isc_unit_amount: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: true,
+    comment: 'Monto fijo del ISC por unidad (sistema específico)'
+  },
+  isc_public_price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Precio de venta al público sugerido (sistema de precios de venta al público)'
+  },
+  isc_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00,
+    comment: 'ISC de la línea; forma parte de la base del IGV'
+  },
+  icbper_unit_amount: {
+    type: DataTypes.DECIMAL(6, 2),
+    defaultValue: 0.00,
+    comment: 'Monto del ICBPER por unidad vigente en la fecha de emisión'
+  },
+  icbper_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0.00
+  },
   total_amount: {
     type: DataTypes.DECIMAL(12, 2),
     allowNull: false
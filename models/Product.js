@@ -2,6 +2,7 @@
 
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { DETRACTION_GOODS_SERVICES, ISC_SYSTEMS, ISC_SYSTEM_CODES } = require('../util/sunatCatalogs');
 
 const Product = sequelize.define('Product', {
   id: {
@@ -60,6 +61,47 @@ const Product = sequelize.define('Product', {
     type: DataTypes.DECIMAL(5, 2),
     defaultValue: 18.00
   },
+  detraction_code: {
+    type: DataTypes.STRING(3),
+    allowNull: true,
+    validate: {
+      isIn: [Object.keys(DETRACTION_GOODS_SERVICES)]
+    },
+    comment: 'Bien o servicio sujeto a detracción (catálogo 54)'
+  },
+  detraction_rate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    comment: 'Porcentaje de detracción; si es nulo se usa la tasa del catálogo 54'
+  },
+  icbper_subject: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Bolsa de plástico afecta al ICBPER por cada unidad vendida'
+  },
+  isc_system: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    validate: {
+      isIn: [Object.keys(ISC_SYSTEMS)]
+    },
+    comment: 'Sistema de cálculo del ISC (catálogo 08); nulo si el producto no está afecto'
+  },
+  isc_rate: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true,
+    comment: 'Tasa del ISC para los sistemas al valor y de precios de venta al público'
+  },
+  isc_unit_amount: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: true,
+    comment: 'Monto fijo del ISC por unidad (sistema específico)'
+  },
+  isc_public_price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Precio de venta al público sugerido, con IGV (sistema de precios de venta al público)'
+  },
   category: {
     type: DataTypes.STRING(100),
     allowNull: true
@@ -81,6 +123,26 @@ const Product = sequelize.define('Product', {
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
+  validate: {
+    // Cada sistema del ISC requiere sus propios parámetros de cálculo
+    iscParameters() {
+      if (!this.isc_system) return;
+
+      if (this.isc_system === ISC_SYSTEM_CODES.FIXED_AMOUNT) {
+        if (!(parseFloat(this.isc_unit_amount) > 0)) {
+          throw new Error('El sistema específico del ISC requiere el monto fijo por unidad (isc_unit_amount)');
+        }
+        return;
+      }
+
+      if (!(parseFloat(this.isc_rate) > 0)) {
+        throw new Error('El sistema del ISC requiere la tasa (isc_rate)');
+      }
+      if (this.isc_system === ISC_SYSTEM_CODES.PUBLIC_PRICE && !(parseFloat(this.isc_public_price) > 0)) {
+        throw new Error('El sistema de precios de venta al público requiere el precio sugerido (isc_public_price)');
+      }
+    }
+  },
   indexes: [
     {
       unique: true,
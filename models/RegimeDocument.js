@@ -0,0 +1,123 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Comprobante de retención (tipo 20) o de percepción (tipo 40)
+const RegimeDocument = sequelize.define('RegimeDocument', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  company_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Proveedor retenido o cliente percibido'
+  },
+  document_type: {
+    type: DataTypes.ENUM('retention', 'perception'),
+    allowNull: false
+  },
+  document_number: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  series: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  correlative: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  issue_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  regime_code: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    comment: 'Catálogo 23 (retención) o catálogo 22 (percepción)'
+  },
+  rate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'PEN'
+  },
+  total_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Importe total retenido o percibido'
+  },
+  total_paid: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Importe total pagado (retención) o cobrado (percepción)'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'sent', 'accepted', 'rejected', 'cancelled'),
+    defaultValue: 'draft'
+  },
+  sunat_status: {
+    type: DataTypes.ENUM('pending', 'sent', 'accepted', 'rejected', 'error'),
+    defaultValue: 'pending'
+  },
+  sunat_response_code: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  sunat_response_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sunat_observations: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  xml_content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  cdr_content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true,
+    comment: 'Zip de la constancia de recepción (CDR) en base64'
+  },
+  digest_value: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+}, {
+  tableName: 'regime_documents',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['company_id', 'document_number'],
+      name: 'unique_company_regime_number'
+    },
+    {
+      fields: ['document_type']
+    }
+  ]
+});
+
+module.exports = RegimeDocument;
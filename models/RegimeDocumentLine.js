@@ -0,0 +1,93 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Comprobante pagado o cobrado que sustenta la retención o percepción
+const RegimeDocumentLine = sequelize.define('RegimeDocumentLine', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  regime_document_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Comprobante propio cobrado (solo percepciones)'
+  },
+  line_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  related_document_type: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    comment: 'Catálogo 01: tipo del comprobante relacionado'
+  },
+  related_document_number: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  related_issue_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  related_currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'PEN'
+  },
+  related_total_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  payment_number: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  payment_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  paid_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Importe pagado en la moneda del comprobante relacionado'
+  },
+  exchange_rate: {
+    type: DataTypes.DECIMAL(10, 6),
+    defaultValue: 1
+  },
+  exchange_rate_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Importe retenido o percibido en soles'
+  },
+  net_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Importe neto pagado o cobrado en soles'
+  }
+}, {
+  tableName: 'regime_document_lines',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['regime_document_id']
+    },
+    {
+      fields: ['invoice_id']
+    }
+  ]
+});
+
+module.exports = RegimeDocumentLine;
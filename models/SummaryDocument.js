@@ -0,0 +1,106 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Resúmenes enviados a SUNAT con sendSummary (procesados por ticket)
+const SummaryDocument = sequelize.define('SummaryDocument', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  company_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  summary_type: {
+    type: DataTypes.ENUM('RC', 'RA'),
+    allowNull: false,
+    defaultValue: 'RC',
+    comment: 'RC: resumen diario de boletas, RA: comunicación de baja'
+  },
+  identifier: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    comment: 'Identificador TIPO-AAAAMMDD-CORRELATIVO'
+  },
+  correlative: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  reference_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Fecha de emisión de los comprobantes incluidos'
+  },
+  issue_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'accepted', 'rejected', 'error'),
+    defaultValue: 'pending'
+  },
+  ticket: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  sunat_response_code: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  sunat_response_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  xml_content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  cdr_content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true,
+    comment: 'Zip de la constancia de recepción (CDR) en base64'
+  },
+  sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Próximo reintento tras un error de comunicación con SUNAT'
+  },
+  locked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Inicio del envío, para que no se envíe dos veces en paralelo'
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Nulo cuando lo genera el proceso automático'
+  }
+}, {
+  tableName: 'summary_documents',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['company_id', 'identifier'],
+      name: 'unique_company_summary'
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = SummaryDocument;
@@ -0,0 +1,45 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SummaryDocumentLine = sequelize.define('SummaryDocumentLine', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  summary_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  line_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  condition_code: {
+    type: DataTypes.STRING(1),
+    allowNull: false,
+    defaultValue: '1',
+    comment: 'Catálogo 19: 1 adicionar, 2 modificar, 3 anulado'
+  }
+}, {
+  tableName: 'summary_document_lines',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['summary_id']
+    },
+    {
+      fields: ['invoice_id']
+    }
+  ]
+});
+
+module.exports = SummaryDocumentLine;
@@ -0,0 +1,81 @@
+'use strict'
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Envío pendiente de un comprobante a SUNAT, procesado por el worker de la cola
+const SunatJob = sequelize.define('SunatJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  company_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  invoice_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  operation: {
+    type: DataTypes.ENUM('send_bill'),
+    defaultValue: 'send_bill'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 8
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  locked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Inicio del procesamiento, para liberar trabajos abandonados'
+  },
+  last_error_code: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'sunat_jobs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['status', 'next_attempt_at']
+    },
+    {
+      fields: ['invoice_id']
+    },
+    {
+      fields: ['company_id']
+    }
+  ]
+});
+
+module.exports = SunatJob;
@@ -10,6 +10,18 @@ const UserNotificationSettings = require('./UserNotificationSettings');
 const UserNotification = require('./UserNotification');
 const Invoice = require('./Invoice');
 const InvoiceItem = require('./InvoiceItem');
+const InvoiceAdvance = require('./InvoiceAdvance');
+const InvoiceInstallment = require('./InvoiceInstallment');
+const InvoiceAllowanceCharge = require('./InvoiceAllowanceCharge');
+const CompanyCertificate = require('./CompanyCertificate');
+const SummaryDocument = require('./SummaryDocument');
+const SummaryDocumentLine = require('./SummaryDocumentLine');
+const DespatchAdvice = require('./DespatchAdvice');
+const DespatchAdviceItem = require('./DespatchAdviceItem');
+const RegimeDocument = require('./RegimeDocument');
+const RegimeDocumentLine = require('./RegimeDocumentLine');
+const SunatJob = require('./SunatJob');
+const ExchangeRate = require('./ExchangeRate');
 
 // Definir asociaciones many-to-many entre User y Company
 User.belongsToMany(Company, {
@@ -64,6 +76,10 @@ Invoice.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
 User.hasMany(Invoice, { foreignKey: 'created_by', as: 'createdInvoices' });
 Invoice.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
 
+// Notas de crédito/débito y el comprobante que modifican
+Invoice.hasMany(Invoice, { foreignKey: 'reference_invoice_id', as: 'adjustmentNotes' });
+Invoice.belongsTo(Invoice, { foreignKey: 'reference_invoice_id', as: 'referenceInvoice' });
+
 // Asociaciones para InvoiceItem
 Invoice.hasMany(InvoiceItem, { foreignKey: 'invoice_id', as: 'items' });
 InvoiceItem.belongsTo(Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
@@ -71,6 +87,75 @@ InvoiceItem.belongsTo(Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
 Product.hasMany(InvoiceItem, { foreignKey: 'product_id', as: 'invoiceItems' });
 InvoiceItem.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
 
+// Anticipos deducidos en un comprobante final
+Invoice.hasMany(InvoiceAdvance, { foreignKey: 'invoice_id', as: 'advances' });
+InvoiceAdvance.belongsTo(Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+
+Invoice.hasMany(InvoiceAdvance, { foreignKey: 'advance_invoice_id', as: 'advanceApplications' });
+InvoiceAdvance.belongsTo(Invoice, { foreignKey: 'advance_invoice_id', as: 'advanceInvoice' });
+
+// Cuotas de las ventas al crédito
+Invoice.hasMany(InvoiceInstallment, { foreignKey: 'invoice_id', as: 'installments' });
+InvoiceInstallment.belongsTo(Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+
+// Descuentos y cargos globales
+Invoice.hasMany(InvoiceAllowanceCharge, { foreignKey: 'invoice_id', as: 'allowanceCharges' });
+InvoiceAllowanceCharge.belongsTo(Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+
+// Asociaciones para CompanyCertificate
+Company.hasOne(CompanyCertificate, { foreignKey: 'company_id', as: 'certificate' });
+CompanyCertificate.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
+// Asociaciones para SummaryDocument
+Company.hasMany(SummaryDocument, { foreignKey: 'company_id', as: 'summaries' });
+SummaryDocument.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
+SummaryDocument.hasMany(SummaryDocumentLine, { foreignKey: 'summary_id', as: 'lines' });
+SummaryDocumentLine.belongsTo(SummaryDocument, { foreignKey: 'summary_id', as: 'summary' });
+
+Invoice.hasMany(SummaryDocumentLine, { foreignKey: 'invoice_id', as: 'summaryLines' });
+SummaryDocumentLine.belongsTo(Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+
+// Asociaciones para DespatchAdvice (guías de remisión)
+Company.hasMany(DespatchAdvice, { foreignKey: 'company_id', as: 'despatchAdvices' });
+DespatchAdvice.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
+Customer.hasMany(DespatchAdvice, { foreignKey: 'customer_id', as: 'despatchAdvices' });
+DespatchAdvice.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+
+Invoice.hasMany(DespatchAdvice, { foreignKey: 'invoice_id', as: 'despatchAdvices' });
+DespatchAdvice.belongsTo(Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+
+DespatchAdvice.hasMany(DespatchAdviceItem, { foreignKey: 'despatch_advice_id', as: 'items' });
+DespatchAdviceItem.belongsTo(DespatchAdvice, { foreignKey: 'despatch_advice_id', as: 'despatchAdvice' });
+
+Product.hasMany(DespatchAdviceItem, { foreignKey: 'product_id', as: 'despatchItems' });
+DespatchAdviceItem.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+
+// Asociaciones para RegimeDocument (retenciones y percepciones)
+Company.hasMany(RegimeDocument, { foreignKey: 'company_id', as: 'regimeDocuments' });
+RegimeDocument.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
+Customer.hasMany(RegimeDocument, { foreignKey: 'customer_id', as: 'regimeDocuments' });
+RegimeDocument.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+
+RegimeDocument.hasMany(RegimeDocumentLine, { foreignKey: 'regime_document_id', as: 'lines' });
+RegimeDocumentLine.belongsTo(RegimeDocument, { foreignKey: 'regime_document_id', as: 'regimeDocument' });
+
+Invoice.hasMany(RegimeDocumentLine, { foreignKey: 'invoice_id', as: 'regimeLines' });
+RegimeDocumentLine.belongsTo(Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+
+// Asociaciones para SunatJob (cola de envíos a SUNAT)
+Company.hasMany(SunatJob, { foreignKey: 'company_id', as: 'sunatJobs' });
+SunatJob.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
+Invoice.hasMany(SunatJob, { foreignKey: 'invoice_id', as: 'sunatJobs' });
+SunatJob.belongsTo(Invoice, { foreignKey: 'invoice_id', as: 'invoice' });
+
+// Tipos de cambio diarios de la empresa
+Company.hasMany(ExchangeRate, { foreignKey: 'company_id', as: 'exchangeRates' });
+ExchangeRate.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
 module.exports = {
   User,
   Company,
@@ -81,5 +166,17 @@ module.exports = {
   UserNotificationSettings,
   UserNotification,
   Invoice,
-  InvoiceItem
+  InvoiceItem,
+  InvoiceAdvance,
+  InvoiceInstallment,
+  InvoiceAllowanceCharge,
+  CompanyCertificate,
+  SummaryDocument,
+  SummaryDocumentLine,
+  DespatchAdvice,
+  DespatchAdviceItem,
+  RegimeDocument,
+  RegimeDocumentLine,
+  SunatJob,
+  ExchangeRate
 };
\ No newline at end of file
@@ -8,12 +8,22 @@ const { consultarRUC } = require('./handlers/ruc')
 const { sendTrialWelcomeEmail } = require('./handlers/email')
 const { googleLogin, googleCallback, testGoogleAuth } = require('./handlers/googleAuth')
 const { getUserProfile, updateUserProfile, registerCompany, updateCompany } = require('./handlers/userProfile')
+const { getCertificate, uploadCertificate, deleteCertificate } = require('./handlers/certificates')
 const { getCompanySequences, createSequence, getNextNumber } = require('./handlers/documentSequence')
 const { getProducts, createProduct, updateProduct, deleteProduct } = require('./handlers/products')
 const { getCustomers, createCustomer, updateCustomer, deleteCustomer } = require('./handlers/customers')
 const { getNotificationSettings, updateNotificationSettings, getNotifications, createNotification, markAsRead, markAllAsRead, deleteNotification } = require('./handlers/notifications')
 const { getInvoices, createInvoice, getInvoiceById } = require('./handlers/invoices')
-const { generateXML, sendToSunat, getSunatStatus, downloadPDF } = require('./handlers/sunatIntegration')
+const { createCreditNote, createDebitNote } = require('./handlers/notes')
+const { getSummaries, createSummary, getSummaryById, resendSummary, refreshSummaryStatus, voidInvoice } = require('./handlers/summaries')
+const { getDespatchAdvices, createDespatchAdvice, getDespatchAdviceById, generateDespatchXML, downloadDespatchPDF } = require('./handlers/despatchAdvices')
+const { getRegimeDocuments, createRegimeDocument, getRegimeDocumentById, generateRegimeDocumentXML, sendRegimeDocumentToSunat, downloadRegimeDocumentPDF } = require('./handlers/regimeDocuments')
+const { getPendingDetractions, registerDetractionDeposit } = require('./handlers/detractions')
+const { getCustomerAdvances } = require('./handlers/advances')
+const { getExchangeRates, saveExchangeRate, importExchangeRates, deleteExchangeRate } = require('./handlers/exchangeRates')
+const { getMonthlyTaxReport } = require('./handlers/taxReports')
+const { getSunatJobs, getSunatJobById, retrySunatJob, enqueueInvoiceSubmission } = require('./handlers/sunatJobs')
+const { generateXML, sendToSunat, getSunatStatus, reconcileInvoice, reconcileInvoices, downloadCDR, verifySignature, downloadPDF } = require('./handlers/sunatIntegration')
 const { swaggerServe, swaggerSetup } = require('./middleware/swagger_doc');
 
 module.exports = function (app) {
@@ -45,6 +55,9 @@ module.exports = function (app) {
   app.put('/apisunat/user/profile', updateUserProfile);
   app.post('/apisunat/user/companies', registerCompany);
   app.put('/apisunat/user/companies/:id', updateCompany);
+  app.get('/apisunat/user/companies/:id/certificate', getCertificate);
+  app.post('/apisunat/user/companies/:id/certificate', uploadCertificate);
+  app.delete('/apisunat/user/companies/:id/certificate', deleteCertificate);
   
   // Document sequences (correlativos)
   app.get('/apisunat/companies/:companyId/sequences', getCompanySequences);
@@ -76,10 +89,61 @@ module.exports = function (app) {
   app.get('/apisunat/companies/:companyId/invoices', getInvoices);
   app.post('/apisunat/companies/:companyId/invoices', createInvoice);
   app.get('/apisunat/companies/:companyId/invoices/:id', getInvoiceById);
+  app.post('/apisunat/companies/:companyId/invoices/:invoiceId/credit-notes', createCreditNote);
+  app.post('/apisunat/companies/:companyId/invoices/:invoiceId/debit-notes', createDebitNote);
   
   // SUNAT Integration
   app.post('/apisunat/companies/:companyId/invoices/:invoiceId/generate-xml', generateXML);
   app.post('/apisunat/companies/:companyId/invoices/:invoiceId/send-sunat', sendToSunat);
   app.get('/apisunat/companies/:companyId/invoices/:invoiceId/sunat-status', getSunatStatus);
+  app.post('/apisunat/companies/:companyId/invoices/:invoiceId/reconcile', reconcileInvoice);
+  app.post('/apisunat/companies/:companyId/invoices/reconcile', reconcileInvoices);
+  app.post('/apisunat/companies/:companyId/invoices/:invoiceId/enqueue', enqueueInvoiceSubmission);
+  app.get('/apisunat/companies/:companyId/invoices/:invoiceId/cdr', downloadCDR);
+  app.get('/apisunat/companies/:companyId/invoices/:invoiceId/verify-signature', verifySignature);
   app.get('/apisunat/companies/:companyId/invoices/:invoiceId/download-pdf', downloadPDF);
+
+  // Cola de envíos a SUNAT
+  app.get('/apisunat/companies/:companyId/sunat-jobs', getSunatJobs);
+  app.get('/apisunat/companies/:companyId/sunat-jobs/:jobId', getSunatJobById);
+  app.post('/apisunat/companies/:companyId/sunat-jobs/:jobId/retry', retrySunatJob);
+
+  // Resúmenes diarios (boletas) y comunicaciones de baja
+  app.post('/apisunat/companies/:companyId/invoices/:invoiceId/void', voidInvoice);
+  app.get('/apisunat/companies/:companyId/summaries', getSummaries);
+  app.post('/apisunat/companies/:companyId/summaries', createSummary);
+  app.get('/apisunat/companies/:companyId/summaries/:summaryId', getSummaryById);
+  app.post('/apisunat/companies/:companyId/summaries/:summaryId/resend', resendSummary);
+  app.post('/apisunat/companies/:companyId/summaries/:summaryId/status', refreshSummaryStatus);
+
+  // Guías de remisión electrónicas
+  app.get('/apisunat/companies/:companyId/despatch-advices', getDespatchAdvices);
+  app.post('/apisunat/companies/:companyId/despatch-advices', createDespatchAdvice);
+  app.get('/apisunat/companies/:companyId/despatch-advices/:despatchId', getDespatchAdviceById);
+  app.post('/apisunat/companies/:companyId/despatch-advices/:despatchId/generate-xml', generateDespatchXML);
+  app.get('/apisunat/companies/:companyId/despatch-advices/:despatchId/download-pdf', downloadDespatchPDF);
+
+  // Comprobantes de retención y percepción
+  app.get('/apisunat/companies/:companyId/regime-documents', getRegimeDocuments);
+  app.post('/apisunat/companies/:companyId/regime-documents', createRegimeDocument);
+  app.get('/apisunat/companies/:companyId/regime-documents/:documentId', getRegimeDocumentById);
+  app.post('/apisunat/companies/:companyId/regime-documents/:documentId/generate-xml', generateRegimeDocumentXML);
+  app.post('/apisunat/companies/:companyId/regime-documents/:documentId/send-sunat', sendRegimeDocumentToSunat);
+  app.get('/apisunat/companies/:companyId/regime-documents/:documentId/download-pdf', downloadRegimeDocumentPDF);
+
+  // Detracciones (SPOT)
+  app.get('/apisunat/companies/:companyId/detractions/pending', getPendingDetractions);
+  app.post('/apisunat/companies/:companyId/invoices/:invoiceId/detraction-deposit', registerDetractionDeposit);
+
+  // Anticipos
+  app.get('/apisunat/companies/:companyId/customers/:customerId/advances', getCustomerAdvances);
+
+  // Tipos de cambio
+  app.get('/apisunat/companies/:companyId/exchange-rates', getExchangeRates);
+  app.post('/apisunat/companies/:companyId/exchange-rates/import', importExchangeRates);
+  app.put('/apisunat/companies/:companyId/exchange-rates/:currency/:date', saveExchangeRate);
+  app.delete('/apisunat/companies/:companyId/exchange-rates/:currency/:date', deleteExchangeRate);
+
+  // Reportes tributarios
+  app.get('/apisunat/companies/:companyId/reports/monthly-taxes', getMonthlyTaxReport);
 }
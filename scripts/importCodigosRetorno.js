@@ -0,0 +1,49 @@
+'use strict'
+
+/**
+ * Regenera util/codigosRetorno.json desde la lista CodigosRetorno publicada por SUNAT
+ * (hoja "CodigosRetorno" del listado de validaciones de comprobantes electrónicos,
+ * exportada como CSV). Los códigos ya redactados conservan su explicación y solución;
+ * los nuevos se agregan con la descripción oficial.
+ *
+ * Uso: node scripts/importCodigosRetorno.js ruta/CodigosRetorno.csv
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCodigosRetornoCsv, mergeCodigosRetorno } = require('../util/sunatResponseCodes');
+
+const CATALOG_FILE = path.join(__dirname, '..', 'util', 'codigosRetorno.json');
+
+// Serializa en el orden de las entradas, con el formato de codigosRetorno.json
+const serializeCatalog = (entries) => `{\n${entries
+  .map(([code, entry]) => `  ${JSON.stringify(code)}: ${JSON.stringify(entry, null, 2).replace(/\n/g, '\n  ')}`)
+  .join(',\n')}\n}\n`;
+
+const main = () => {
+  const [csvFile] = process.argv.slice(2);
+  if (!csvFile) {
+    console.error('Uso: node scripts/importCodigosRetorno.js ruta/CodigosRetorno.csv');
+    process.exit(1);
+  }
+
+  const { codes, errors } = parseCodigosRetornoCsv(fs.readFileSync(csvFile, 'utf8'));
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`Línea ${error.line}: ${error.message}`));
+    console.error('No se actualizó el catálogo');
+    process.exit(1);
+  }
+  if (Object.keys(codes).length === 0) {
+    console.error('El archivo no contiene códigos de retorno');
+    process.exit(1);
+  }
+
+  const current = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+  const merged = mergeCodigosRetorno(current, codes);
+  fs.writeFileSync(CATALOG_FILE, serializeCatalog(merged));
+
+  const added = merged.length - Object.keys(current).length;
+  console.log(`Códigos leídos: ${Object.keys(codes).length}; agregados: ${added}; total: ${merged.length}`);
+};
+
+main();
@@ -0,0 +1,80 @@
+'use strict'
+
+/**
+ * Copia en schemas/oficial los esquemas XSD oficiales: el paquete UBL 2.1 de OASIS
+ * (UBL-2.1.zip, carpetas xsd/common y xsd/maindoc) y los esquemas de SUNAT para los
+ * comprobantes electrónicos (resumen diario, comunicación de baja, retención, percepción
+ * y sus componentes). Los XSD se ubican en common/ o maindoc/ según la carpeta del zip;
+ * los de SUNAT reemplazan a los de OASIS con el mismo nombre. Al terminar verifica que
+ * estén los documentos principales de ROOT_SCHEMAS y que cada xsd:import o xsd:include
+ * apunte a un archivo copiado.
+ *
+ * Uso: node scripts/vendorUblSchemas.js ruta/UBL-2.1.zip ruta/esquemas-sunat.zip
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { ROOT_SCHEMAS } = require('../util/ublSchema');
+
+const OFFICIAL_SCHEMA_DIR = path.join(__dirname, '..', 'schemas', 'oficial');
+
+const MAIN_DOCUMENTS = new Set(Object.values(ROOT_SCHEMAS).map(schemaFile => path.basename(schemaFile)));
+
+// Carpeta de destino de un XSD según su ruta en el zip o, si no la indica, su nombre
+const targetFolder = (entryName) => {
+  if (/(^|\/)maindoc\//.test(entryName)) return 'maindoc';
+  if (/(^|\/)common\//.test(entryName)) return 'common';
+  return MAIN_DOCUMENTS.has(path.basename(entryName)) ? 'maindoc' : 'common';
+};
+
+const copySchemas = (zipFile) => {
+  const entries = new AdmZip(zipFile).getEntries()
+    .filter(entry => !entry.isDirectory && entry.entryName.endsWith('.xsd'));
+
+  for (const entry of entries) {
+    const target = path.join(OFFICIAL_SCHEMA_DIR, targetFolder(entry.entryName), path.basename(entry.entryName));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, entry.getData());
+  }
+
+  return entries.length;
+};
+
+// Referencias xsd:import / xsd:include que no apuntan a un archivo copiado
+const unresolvedReferences = () => ['common', 'maindoc'].flatMap(folder => {
+  const dir = path.join(OFFICIAL_SCHEMA_DIR, folder);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir).filter(fileName => fileName.endsWith('.xsd')).flatMap(fileName => {
+    const contents = fs.readFileSync(path.join(dir, fileName), 'utf8');
+    return Array.from(contents.matchAll(/<(?:\w+:)?(?:import|include)\b[^>]*schemaLocation="([^"]+)"/g))
+      .map(match => match[1])
+      .filter(location => !/^https?:/.test(location) && !fs.existsSync(path.join(dir, location)))
+      .map(location => `${folder}/${fileName} -> ${location}`);
+  });
+});
+
+const main = () => {
+  const zipFiles = process.argv.slice(2);
+  if (zipFiles.length === 0) {
+    console.error('Uso: node scripts/vendorUblSchemas.js ruta/UBL-2.1.zip ruta/esquemas-sunat.zip');
+    process.exit(1);
+  }
+
+  for (const zipFile of zipFiles) {
+    console.log(`${zipFile}: ${copySchemas(zipFile)} esquemas copiados`);
+  }
+
+  const missing = Object.values(ROOT_SCHEMAS)
+    .filter(schemaFile => !fs.existsSync(path.join(OFFICIAL_SCHEMA_DIR, schemaFile)));
+  const unresolved = unresolvedReferences();
+
+  missing.forEach(schemaFile => console.error(`Falta el documento principal ${schemaFile}`));
+  unresolved.forEach(reference => console.error(`Referencia sin archivo: ${reference}`));
+
+  if (missing.length > 0 || unresolved.length > 0) process.exit(1);
+  console.log('Esquemas oficiales instalados en schemas/oficial');
+};
+
+main();
@@ -9,17 +9,23 @@ class NumberToLetter {
       throw new Error('El valor debe ser un número válido.');
     }
 
-    const entero = Math.floor(numero);
+    let entero = Math.floor(numero);
     const decimal = Math.round((numero - entero) * 100);
     let letras = '';
 
     if (entero === 0) {
       letras = 'cero';
-    } else if (entero <= 999999) {
+    } else if (entero <= 999999999) {
+      // Millones
+      if (entero >= 1000000) {
+        const millones = Math.floor(entero / 1000000);
+        letras += millones === 1 ? 'un millón ' : `${this._convertirGrupo(millones)} millones `;
+        entero %= 1000000;
+      }
       // Miles
       if (entero >= 1000) {
         const miles = Math.floor(entero / 1000);
-        letras += `${this._convertirGrupo(miles)} mil `;
+        letras += miles === 1 ? 'mil ' : `${this._convertirGrupo(miles)} mil `;
         entero %= 1000;
       }
       // Resto
@@ -27,11 +33,11 @@ class NumberToLetter {
         letras += this._convertirGrupo(entero);
       }
     } else {
-      throw new Error('Número fuera de rango (máximo 999,999.99).');
+      throw new Error('Número fuera de rango (máximo 999,999,999.99).');
     }
 
     const decimalTexto = decimal.toString().padStart(2, '0');
-    return `${letras.toUpperCase()} ${moneda} CON ${decimalTexto}/100`;
+    return `${letras.trim().toUpperCase()} ${moneda} CON ${decimalTexto}/100`;
   }
 
   static _convertirGrupo(numero) {
@@ -41,6 +47,9 @@ class NumberToLetter {
     const u = numero % 10;
 
     // Centenas
+    if (numero === 100) {
+      return 'cien';
+    }
     if (c > 0) {
       texto += this.centenas[c] + ' ';
     }
@@ -48,6 +57,8 @@ class NumberToLetter {
     // Decenas y unidades
     if (d === 1 && u > 0) {
       texto += this.especiales[u - 1] + ' ';
+    } else if (d === 2 && u > 0) {
+      texto += 'veinti' + this.unidades[u] + ' ';
     } else {
       if (d > 0) {
         texto += this.decenas[d] + (u > 0 ? ' y ' : ' ');
@@ -0,0 +1,254 @@
+'use strict'
+
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+const sunatConfig = require('../config/sunat');
+const { escapeXml, parseXml, findFirst, textOf } = require('./xml');
+const { parseCdr } = require('./cdr');
+const { sunatStatusForCode } = require('./sunatResponseCodes');
+
+const WSSE_NS = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd';
+const PASSWORD_TEXT = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordText';
+
+/**
+ * Cliente SOAP para los servicios web de SUNAT (billService).
+ * Las credenciales SOL se toman de la empresa emisora.
+ */
+class SunatClient {
+  constructor(company, options = {}) {
+    if (!company.sunat_user || !company.sunat_password) {
+      throw new Error('La empresa no tiene configuradas sus credenciales SOL');
+    }
+
+    this.ruc = company.ruc;
+    // El usuario SOL se envía como RUC + usuario (ej. 20123456789MODDATOS)
+    this.username = company.sunat_user.startsWith(company.ruc)
+      ? company.sunat_user
+      : `${company.ruc}${company.sunat_user}`;
+    this.password = company.sunat_password;
+    this.endpoint = options.endpoint || sunatConfig.billServiceUrl;
+    this.consultEndpoint = options.consultEndpoint || sunatConfig.consultServiceUrl;
+    this.timeout = options.timeout || sunatConfig.timeout;
+  }
+
+  // Nombre de archivo SUNAT: RUC-TT-SERIE-NUMERO
+  static buildFileName(ruc, typeCode, documentId) {
+    return `${ruc}-${typeCode}-${documentId}`;
+  }
+
+  static zip(fileName, xml) {
+    const zip = new AdmZip();
+    zip.addFile(`${fileName}.xml`, Buffer.from(xml, 'utf8'));
+    return zip.toBuffer();
+  }
+
+  // Devuelve el primer XML contenido en un zip
+  static unzip(buffer) {
+    const zip = new AdmZip(buffer);
+    const entry = zip.getEntries().find(e => !e.isDirectory && e.entryName.toLowerCase().endsWith('.xml'));
+    if (!entry) {
+      throw new Error('El zip recibido de SUNAT no contiene un XML');
+    }
+    return {
+      fileName: entry.entryName,
+      xml: entry.getData().toString('utf8')
+    };
+  }
+
+  // Decodifica la constancia de recepción (CDR) devuelta en base64
+  static decodeCdr(base64) {
+    const zipBuffer = Buffer.from(base64, 'base64');
+    const { fileName, xml } = SunatClient.unzip(zipBuffer);
+
+    return {
+      zip: zipBuffer,
+      fileName,
+      xml,
+      ...parseCdr(xml)
+    };
+  }
+
+  /**
+   * Envía un comprobante firmado (factura, nota) con la operación sendBill.
+   * @param {string} fileName Nombre sin extensión (RUC-TT-SERIE-NUMERO)
+   * @param {string} xml XML firmado del comprobante
+   */
+  async sendBill(fileName, xml) {
+    const content = SunatClient.zip(fileName, xml).toString('base64');
+    const result = await this.call('sendBill', `
+      <fileName>${escapeXml(fileName)}.zip</fileName>
+      <contentFile>${content}</contentFile>`);
+
+    if (!result.success) return result;
+
+    const applicationResponse = textOf(result.body, 'applicationResponse');
+    if (!applicationResponse) {
+      throw new Error('SUNAT no devolvió la constancia de recepción (CDR)');
+    }
+
+    const cdr = SunatClient.decodeCdr(applicationResponse);
+    const responseCode = cdr.responseCode || '0';
+
+    return {
+      success: sunatStatusForCode(responseCode) === 'accepted',
+      code: responseCode,
+      message: cdr.description,
+      cdr
+    };
+  }
+
+  /**
+   * Envía un resumen diario o comunicación de baja con la operación sendSummary.
+   * SUNAT lo procesa de forma asíncrona y devuelve un ticket.
+   * @param {string} fileName Nombre sin extensión (RUC-RC-AAAAMMDD-N)
+   * @param {string} xml XML firmado del resumen
+   */
+  async sendSummary(fileName, xml) {
+    const content = SunatClient.zip(fileName, xml).toString('base64');
+    const result = await this.call('sendSummary', `
+      <fileName>${escapeXml(fileName)}.zip</fileName>
+      <contentFile>${content}</contentFile>`);
+
+    if (!result.success) return result;
+
+    const ticket = textOf(result.body, 'ticket');
+    if (!ticket) {
+      throw new Error('SUNAT no devolvió el número de ticket');
+    }
+
+    return { success: true, ticket };
+  }
+
+  /**
+   * Consulta el resultado de un ticket con la operación getStatus.
+   * statusCode 0: procesado correctamente, 98: en proceso, 99: procesado con errores.
+   */
+  async getStatus(ticket) {
+    const result = await this.call('getStatus', `
+      <ticket>${escapeXml(ticket)}</ticket>`);
+
+    if (!result.success) return result;
+
+    const statusCode = textOf(result.body, 'statusCode');
+    const content = textOf(result.body, 'content');
+
+    if (statusCode === '98') {
+      return { success: false, pending: true, statusCode, code: '98', message: 'El ticket aún está en proceso' };
+    }
+
+    if (!content) {
+      throw new Error(`SUNAT no devolvió la constancia de recepción del ticket ${ticket}`);
+    }
+
+    const cdr = SunatClient.decodeCdr(content);
+    const responseCode = cdr.responseCode || statusCode;
+
+    return {
+      success: statusCode === '0' && sunatStatusForCode(responseCode) === 'accepted',
+      pending: false,
+      statusCode,
+      code: responseCode,
+      message: cdr.description,
+      cdr
+    };
+  }
+
+  /**
+   * Consulta un comprobante ya enviado en el servicio de consulta (billConsultService).
+   * Con withCdr usa getStatusCdr, que además devuelve la constancia de recepción.
+   * statusCode 0001: aceptado, 0002: rechazado, 0003: de baja, 0011: no existe.
+   */
+  async consultDocument({ typeCode, series, number }, { withCdr = false } = {}) {
+    const result = await this.call(withCdr ? 'getStatusCdr' : 'getStatus', `
+      <rucComprobante>${escapeXml(this.ruc)}</rucComprobante>
+      <tipoComprobante>${escapeXml(typeCode)}</tipoComprobante>
+      <serieComprobante>${escapeXml(series)}</serieComprobante>
+      <numeroComprobante>${parseInt(number)}</numeroComprobante>`, this.consultEndpoint);
+
+    if (!result.success) return result;
+
+    const content = textOf(result.body, 'content');
+
+    return {
+      success: true,
+      statusCode: textOf(result.body, 'statusCode'),
+      message: textOf(result.body, 'statusMessage'),
+      cdr: content ? SunatClient.decodeCdr(content) : null
+    };
+  }
+
+  // Traduce la respuesta de SUNAT al sunat_status del comprobante según la
+  // clasificación del código de retorno (ver sunatResponseCodes)
+  static resolveStatus(sunatResponse) {
+    if (sunatResponse.success) return 'accepted';
+
+    const status = sunatStatusForCode(sunatResponse.code);
+    return status === 'accepted' ? 'error' : status;
+  }
+
+  buildEnvelope(operation, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ser="http://service.sunat.gob.pe" xmlns:wsse="${WSSE_NS}">
+  <soapenv:Header>
+    <wsse:Security>
+      <wsse:UsernameToken>
+        <wsse:Username>${escapeXml(this.username)}</wsse:Username>
+        <wsse:Password Type="${PASSWORD_TEXT}">${escapeXml(this.password)}</wsse:Password>
+      </wsse:UsernameToken>
+    </wsse:Security>
+  </soapenv:Header>
+  <soapenv:Body>
+    <ser:${operation}>${body}
+    </ser:${operation}>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  /**
+   * Ejecuta una operación SOAP. Los SOAP Fault se devuelven como
+   * { success: false, code, message }; los errores de red se propagan.
+   */
+  async call(operation, body, endpoint = this.endpoint) {
+    let response;
+    try {
+      response = await axios.post(endpoint, this.buildEnvelope(operation, body), {
+        headers: {
+          'Content-Type': 'text/xml; charset=utf-8',
+          SOAPAction: `urn:${operation}`
+        },
+        timeout: this.timeout,
+        responseType: 'text'
+      });
+    } catch (error) {
+      // SUNAT responde los SOAP Fault con HTTP 500
+      if (!error.response || typeof error.response.data !== 'string' || !error.response.data.includes('Fault')) {
+        throw error;
+      }
+      response = error.response;
+    }
+
+    const doc = parseXml(response.data);
+    const fault = findFirst(doc, 'Fault');
+
+    if (fault) {
+      const faultCode = textOf(fault, 'faultcode') || '';
+      const faultString = textOf(fault, 'faultstring') || 'Error desconocido en SUNAT';
+      // faultcode llega como "soap-env:Client.0100" o solo "0100"
+      const match = faultCode.match(/(\d+)$/) || faultString.match(/^(\d+)/);
+
+      return {
+        success: false,
+        fault: true,
+        code: match ? match[1] : faultCode,
+        message: faultString
+      };
+    }
+
+    return {
+      success: true,
+      body: doc
+    };
+  }
+}
+
+module.exports = SunatClient;
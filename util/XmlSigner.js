@@ -0,0 +1,139 @@
+'use strict'
+
+const crypto = require('crypto');
+const { SignedXml } = require('xml-crypto');
+const { parseXml, findFirst, textOf } = require('./xml');
+
+const SIGNATURE_ID = 'SignatureSP';
+const C14N = 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315';
+const RSA_SHA256 = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256';
+const SHA256 = 'http://www.w3.org/2001/04/xmlenc#sha256';
+const ENVELOPED = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+
+/**
+ * Firma digital XMLDSig (enveloped, RSA-SHA256) de documentos UBL.
+ * La firma se inserta dentro de ext:UBLExtensions/ext:UBLExtension/ext:ExtensionContent.
+ */
+class XmlSigner {
+  constructor({ privateKey, certificate }) {
+    if (!privateKey || !certificate) {
+      throw new Error('Se requiere la clave privada y el certificado para firmar');
+    }
+    this.privateKey = privateKey;
+    this.certificate = certificate;
+  }
+
+  // Crea el firmador a partir de un PEM que contiene la clave privada y el certificado
+  static fromPem(pem) {
+    const keyMatch = pem.match(/-----BEGIN (?:RSA |ENCRYPTED )?PRIVATE KEY-----[\s\S]+?-----END (?:RSA |ENCRYPTED )?PRIVATE KEY-----/);
+    const certMatch = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/);
+
+    if (!keyMatch || !certMatch) {
+      throw new Error('El PEM debe contener la clave privada y el certificado');
+    }
+
+    return new XmlSigner({ privateKey: keyMatch[0], certificate: certMatch[0] });
+  }
+
+  /**
+   * Firma el XML y devuelve el documento firmado junto con su DigestValue.
+   * El XML debe contener un nodo ext:ExtensionContent vacío.
+   */
+  sign(xml) {
+    if (!findFirst(parseXml(xml), 'ExtensionContent')) {
+      throw new Error('El XML no contiene el nodo ext:ExtensionContent para la firma');
+    }
+
+    const sig = new SignedXml({
+      privateKey: this.privateKey,
+      publicCert: this.certificate,
+      canonicalizationAlgorithm: C14N,
+      signatureAlgorithm: RSA_SHA256
+    });
+
+    sig.addReference({
+      xpath: '/*',
+      uri: '',
+      isEmptyUri: true,
+      transforms: [ENVELOPED],
+      digestAlgorithm: SHA256
+    });
+
+    sig.computeSignature(xml, {
+      prefix: 'ds',
+      attrs: { Id: SIGNATURE_ID },
+      location: {
+        reference: "//*[local-name()='ExtensionContent']",
+        action: 'append'
+      }
+    });
+
+    const signedXml = sig.getSignedXml();
+
+    return {
+      xml: signedXml,
+      digestValue: XmlSigner.getDigestValue(signedXml)
+    };
+  }
+
+  static getDigestValue(xml) {
+    const signature = findFirst(parseXml(xml), 'Signature');
+    return signature ? textOf(signature, 'DigestValue') : null;
+  }
+
+  /**
+   * Verifica la firma de un XML usando el certificado incluido en KeyInfo.
+   * Si se indica expectedDigest, también compara el DigestValue almacenado.
+   */
+  static verify(xml, expectedDigest = null) {
+    const errors = [];
+    const doc = parseXml(xml);
+    const signature = Array.from(doc.getElementsByTagNameNS('http://www.w3.org/2000/09/xmldsig#', 'Signature'))[0];
+
+    if (!signature) {
+      return { valid: false, digestValue: null, errors: ['El XML no está firmado'] };
+    }
+
+    const digestValue = textOf(signature, 'DigestValue');
+    const sig = new SignedXml({ getCertFromKeyInfo: SignedXml.getCertFromKeyInfo });
+
+    try {
+      sig.loadSignature(signature);
+      if (!sig.checkSignature(xml)) {
+        errors.push('La firma digital no es válida');
+      }
+    } catch (error) {
+      errors.push(`La firma digital no es válida: ${error.message}`);
+    }
+
+    if (expectedDigest && digestValue !== expectedDigest) {
+      errors.push('El DigestValue no coincide con el registrado para el comprobante');
+    }
+
+    return {
+      valid: errors.length === 0,
+      digestValue,
+      certificate: XmlSigner.describeCertificate(SignedXml.getCertFromKeyInfo(findFirst(signature, 'KeyInfo'))),
+      errors
+    };
+  }
+
+  static describeCertificate(pem) {
+    if (!pem) return null;
+    try {
+      const cert = new crypto.X509Certificate(pem);
+      return {
+        subject: cert.subject,
+        serial_number: cert.serialNumber,
+        valid_from: new Date(cert.validFrom),
+        valid_to: new Date(cert.validTo)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+XmlSigner.SIGNATURE_ID = SIGNATURE_ID;
+
+module.exports = XmlSigner;
@@ -0,0 +1,77 @@
+'use strict'
+
+const { Op } = require('sequelize');
+const { Invoice, InvoiceAdvance } = require('../models/associations');
+const { round } = require('./invoiceTotals');
+
+// Un comprobante anulado o rechazado no consume ni ofrece saldo de anticipo
+const isVoided = (invoice) => invoice.status === 'cancelled' || invoice.sunat_status === 'rejected';
+
+const sumAmounts = (entries) => entries.reduce((acc, entry) => acc + parseFloat(entry.amount), 0);
+
+/**
+ * Comprobantes de anticipo con su saldo disponible: el importe total menos las notas
+ * de crédito emitidas sobre el anticipo y lo deducido en comprobantes finales vigentes.
+ * Las notas de anulación de un comprobante final revierten su deducción. where filtra
+ * los anticipos (company_id, customer_id, id...); con lock, las filas se leen con
+ * SELECT ... FOR UPDATE dentro de transaction para que dos comprobantes simultáneos no
+ * deduzcan el mismo saldo. Devuelve [{ advance, applied_amount, credited_amount, balance }].
+ */
+const getAdvanceBalances = async (where, { transaction, lock = false } = {}) => {
+  const advances = await Invoice.findAll({
+    where: {
+      ...where,
+      is_advance: true,
+      status: { [Op.ne]: 'cancelled' },
+      sunat_status: { [Op.ne]: 'rejected' }
+    },
+    attributes: [
+      'id', 'invoice_number', 'document_type', 'customer_id', 'issue_date', 'currency',
+      'subtotal', 'tax_amount', 'total_amount', 'status', 'sunat_status'
+    ],
+    include: [
+      {
+        model: InvoiceAdvance,
+        as: 'advanceApplications',
+        attributes: ['id', 'invoice_id', 'amount'],
+        include: [
+          {
+            model: Invoice,
+            as: 'invoice',
+            attributes: ['id', 'invoice_number', 'document_type', 'status', 'sunat_status']
+          }
+        ]
+      },
+      {
+        model: Invoice,
+        as: 'adjustmentNotes',
+        attributes: ['id', 'invoice_number', 'document_type', 'total_amount', 'status', 'sunat_status'],
+        required: false,
+        where: { document_type: 'credit_note' }
+      }
+    ],
+    order: [['issue_date', 'ASC'], ['id', 'ASC']],
+    lock,
+    transaction
+  });
+
+  return advances.map(advance => {
+    const applications = advance.advanceApplications.filter(application => !isVoided(application.invoice));
+    const appliedAmount = sumAmounts(applications.filter(application => application.invoice.document_type !== 'credit_note')) -
+      sumAmounts(applications.filter(application => application.invoice.document_type === 'credit_note'));
+    const creditedAmount = advance.adjustmentNotes
+      .filter(note => !isVoided(note))
+      .reduce((acc, note) => acc + parseFloat(note.total_amount), 0);
+
+    return {
+      advance,
+      applied_amount: round(appliedAmount),
+      credited_amount: round(creditedAmount),
+      balance: round(parseFloat(advance.total_amount) - creditedAmount - appliedAmount)
+    };
+  });
+};
+
+module.exports = {
+  getAdvanceBalances
+};
@@ -0,0 +1,512 @@
+'use strict'
+
+const {
+  round,
+  isFreeAffectation,
+  sumTotals,
+  taxedLinesTotals,
+  allowanceChargeSign,
+  applyAllowanceCharges,
+  applyAdvances,
+  netPayable
+} = require('./invoiceTotals');
+const {
+  CURRENCY_NAMES,
+  TAX_TYPE_AFFECTATION,
+  OPERATION_TYPES,
+  EXPORT_OPERATION_TYPES,
+  INCOTERMS,
+  GLOBAL_ALLOWANCE_CHARGES,
+  FULL_CREDIT_NOTE_REASONS
+} = require('./sunatCatalogs');
+const { limaDate } = require('./dates');
+
+// Importe de boleta (en soles) a partir del cual se debe identificar al cliente
+const RECEIPT_IDENTIFICATION_LIMIT = 700;
+
+// Diferencia máxima aceptada entre los totales del comprobante y la suma de sus líneas
+const TOTALS_TOLERANCE = 1;
+
+// Plazo de envío a SUNAT, en días calendario desde la fecha de emisión
+const SUBMISSION_DEADLINE_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Primera letra de la serie según el comprobante (las notas usan la del comprobante que modifican)
+const SERIES_LETTERS = {
+  invoice: 'F',
+  receipt: 'B'
+};
+
+const RUC_WEIGHTS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+// Dígito verificador del RUC (módulo 11)
+const isValidRuc = (ruc) => {
+  if (!/^(10|15|16|17|20)\d{9}$/.test(ruc)) return false;
+
+  const sum = RUC_WEIGHTS.reduce((acc, weight, index) => acc + weight * parseInt(ruc[index]), 0);
+  const digit = (11 - (sum % 11)) % 10;
+
+  return digit === parseInt(ruc[10]);
+};
+
+// Cliente sin documento de identidad: tipo "otros", vacío o solo ceros y guiones
+const hasIdentityDocument = (customer) => Boolean(
+  customer &&
+  customer.document_type !== 'other' &&
+  customer.document_number &&
+  !/^[0-]+$/.test(customer.document_number)
+);
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY_MS);
+
+const isNote = (document) => ['credit_note', 'debit_note'].includes(document.document_type);
+
+// Nota de crédito que anula o devuelve el comprobante completo
+const isFullCreditNote = (document) => document.document_type === 'credit_note' &&
+  FULL_CREDIT_NOTE_REASONS.includes(document.note_reason_code);
+
+// Las notas siguen el tipo de operación del comprobante que modifican
+const isExportOperation = (document) => {
+  const source = isNote(document) ? document.referenceInvoice : document;
+  return Boolean(source && EXPORT_OPERATION_TYPES.includes(source.operation_type));
+};
+
+/*
+ * Cada regla recibe el comprobante (instancia de Invoice o datos planos con
+ * company, customer, items y referenceInvoice para las notas) y el contexto { today }.
+ * Devuelve null si se cumple, o uno o varios mensajes si no.
+ */
+
+const seriesMatchesDocumentType = {
+  code: 'SERIE_TIPO_COMPROBANTE',
+  level: 'error',
+  description: 'La serie empieza con F para facturas y B para boletas; las notas siguen al comprobante que modifican',
+  check: (document) => {
+    if (!/^[A-Z0-9]{4}$/.test(document.series || '')) {
+      return `La serie ${document.series || ''} debe tener 4 caracteres alfanuméricos`;
+    }
+
+    const source = isNote(document) ? document.referenceInvoice : document;
+    const letter = source && SERIES_LETTERS[source.document_type];
+    if (letter && !document.series.startsWith(letter)) {
+      return `La serie ${document.series} debe empezar con ${letter} para este tipo de comprobante`;
+    }
+
+    return null;
+  }
+};
+
+const invoiceCustomerHasRuc = {
+  code: 'FACTURA_CLIENTE_RUC',
+  level: 'error',
+  description: 'Las facturas y sus notas se emiten a clientes con RUC, salvo las exportaciones',
+  check: (document) => {
+    const source = isNote(document) ? document.referenceInvoice : document;
+    if (!source || source.document_type !== 'invoice' || isExportOperation(document)) return null;
+
+    if (!document.customer || document.customer.document_type !== 'ruc') {
+      return 'El cliente de una factura debe identificarse con RUC';
+    }
+
+    return null;
+  }
+};
+
+const receiptCustomerIdentified = {
+  code: 'BOLETA_CLIENTE_DOCUMENTO',
+  level: 'error',
+  description: `Las boletas de más de S/ ${RECEIPT_IDENTIFICATION_LIMIT} identifican al cliente con su documento`,
+  check: (document) => {
+    if (document.document_type !== 'receipt') return null;
+
+    const exchangeRate = document.currency === 'PEN' ? 1 : parseFloat(document.exchange_rate || 1);
+    const totalInSoles = round(parseFloat(document.total_amount) * exchangeRate);
+
+    if (totalInSoles > RECEIPT_IDENTIFICATION_LIMIT && !hasIdentityDocument(document.customer)) {
+      return `La boleta supera S/ ${RECEIPT_IDENTIFICATION_LIMIT} (S/ ${totalInSoles.toFixed(2)}); el cliente debe tener DNI u otro documento de identidad`;
+    }
+
+    return null;
+  }
+};
+
+const customerDocumentFormat = {
+  code: 'DOCUMENTO_CLIENTE_FORMATO',
+  level: 'error',
+  description: 'El RUC tiene 11 dígitos con dígito verificador válido y el DNI 8 dígitos',
+  check: (document) => {
+    const customer = document.customer;
+    if (!customer) return null;
+
+    if (customer.document_type === 'ruc' && !isValidRuc(customer.document_number || '')) {
+      return `El RUC del cliente ${customer.document_number} no es válido`;
+    }
+    if (customer.document_type === 'dni' && !/^\d{8}$/.test(customer.document_number || '')) {
+      return `El DNI del cliente ${customer.document_number} debe tener 8 dígitos`;
+    }
+
+    return null;
+  }
+};
+
+const lineAmountsValid = {
+  code: 'LINEAS_IMPORTES',
+  level: 'error',
+  description: 'El comprobante tiene líneas con cantidad mayor a cero, valor unitario no negativo y valor referencial en las gratuitas',
+  check: (document) => {
+    const items = document.items || [];
+    if (items.length === 0) return 'El comprobante debe tener al menos una línea';
+
+    const messages = [];
+    items.forEach((item, index) => {
+      if (!(parseFloat(item.quantity) > 0)) {
+        messages.push(`La línea ${index + 1} debe tener una cantidad mayor a cero`);
+      }
+      if (!(parseFloat(item.unit_price) >= 0)) {
+        messages.push(`La línea ${index + 1} tiene un valor unitario inválido`);
+      } else if (isFreeAffectation(item.affectation_code) && !(parseFloat(item.unit_price) > 0)) {
+        messages.push(`La línea ${index + 1} es una transferencia gratuita y debe indicar su valor referencial`);
+      }
+    });
+
+    return messages;
+  }
+};
+
+const totalsMatchLines = {
+  code: 'TOTALES_LINEAS',
+  level: 'error',
+  description: `Los totales coinciden con la suma de las líneas onerosas con los descuentos y cargos globales, menos los anticipos deducidos (±${TOTALS_TOLERANCE})`,
+  check: (document) => {
+    const calculatedTotals = applyAdvances(
+      applyAllowanceCharges(sumTotals(document.items || []), document.allowanceCharges),
+      document.advances
+    );
+    const fields = {
+      subtotal: 'valor de venta',
+      isc_amount: 'ISC',
+      tax_amount: 'total de impuestos',
+      icbper_amount: 'ICBPER',
+      allowance_total_amount: 'total de descuentos globales',
+      charge_total_amount: 'total de cargos globales',
+      total_amount: 'importe total'
+    };
+
+    return Object.entries(fields)
+      .map(([field, label]) => {
+        const declared = round(document[field]);
+        const calculated = calculatedTotals[field];
+        if (Math.abs(declared - calculated) <= TOTALS_TOLERANCE) return null;
+        return `El ${label} (${declared.toFixed(2)}) no coincide con la suma de las líneas (${calculated.toFixed(2)})`;
+      })
+      .filter(Boolean);
+  }
+};
+
+const issueDateNotInFuture = {
+  code: 'FECHA_EMISION_FUTURA',
+  level: 'error',
+  description: 'La fecha de emisión no es posterior a la fecha actual',
+  check: (document, { today }) => {
+    if (document.issue_date > today) {
+      return `La fecha de emisión ${document.issue_date} es posterior a la fecha actual`;
+    }
+    return null;
+  }
+};
+
+const issueDateWithinDeadline = {
+  code: 'FECHA_EMISION_PLAZO',
+  level: 'error',
+  description: `El comprobante se envía a SUNAT dentro de los ${SUBMISSION_DEADLINE_DAYS} días calendario siguientes a su emisión`,
+  check: (document, { today }) => {
+    const elapsedDays = daysBetween(document.issue_date, today);
+    if (elapsedDays > SUBMISSION_DEADLINE_DAYS) {
+      return `La fecha de emisión ${document.issue_date} excede el plazo de ${SUBMISSION_DEADLINE_DAYS} días para informar el comprobante a SUNAT`;
+    }
+    return null;
+  }
+};
+
+const dueDateAfterIssue = {
+  code: 'FECHA_VENCIMIENTO',
+  level: 'error',
+  description: 'La fecha de vencimiento no es anterior a la fecha de emisión',
+  check: (document) => {
+    if (document.due_date && document.due_date < document.issue_date) {
+      return `La fecha de vencimiento ${document.due_date} es anterior a la fecha de emisión`;
+    }
+    return null;
+  }
+};
+
+const currencySupported = {
+  code: 'MONEDA',
+  level: 'error',
+  description: 'La moneda es una de las admitidas (catálogo 02)',
+  check: (document) => {
+    if (!CURRENCY_NAMES[document.currency]) {
+      return `La moneda ${document.currency} no está admitida`;
+    }
+    return null;
+  }
+};
+
+const exchangeRateForForeignCurrency = {
+  code: 'TIPO_CAMBIO',
+  level: 'warning',
+  description: 'Los comprobantes en moneda extranjera indican el tipo de cambio del día',
+  check: (document) => {
+    if (document.currency === 'PEN') return null;
+
+    const exchangeRate = parseFloat(document.exchange_rate);
+    if (!(exchangeRate > 0) || exchangeRate === 1) {
+      return `El comprobante en ${document.currency} no indica el tipo de cambio del día`;
+    }
+    return null;
+  }
+};
+
+const noteReferencesDocument = {
+  code: 'NOTA_REFERENCIA',
+  level: 'error',
+  description: 'Las notas referencian una factura o boleta emitida en una fecha igual o anterior',
+  check: (document) => {
+    if (!isNote(document)) return null;
+
+    const reference = document.referenceInvoice;
+    if (!reference) return 'La nota debe referenciar el comprobante que modifica';
+
+    if (!SERIES_LETTERS[reference.document_type]) {
+      return 'La nota solo puede modificar una factura o boleta';
+    }
+    if (reference.issue_date && document.issue_date < reference.issue_date) {
+      return `La fecha de la nota es anterior a la emisión de ${reference.invoice_number}`;
+    }
+
+    return null;
+  }
+};
+
+const detractionAccountConfigured = {
+  code: 'DETRACCION_CUENTA',
+  level: 'error',
+  description: 'Las operaciones sujetas a detracción indican la cuenta del emisor en el Banco de la Nación',
+  check: (document) => {
+    if (!(parseFloat(document.detraction_amount) > 0)) return null;
+
+    if (!document.company || !document.company.detraction_account) {
+      return 'La operación está sujeta a detracción y la empresa no tiene registrada su cuenta del Banco de la Nación';
+    }
+    return null;
+  }
+};
+
+// Valor de venta gravado con IGV con los descuentos y cargos globales que afectan la base
+const netTaxedValue = (document) => (document.allowanceCharges || [])
+  .filter(entry => GLOBAL_ALLOWANCE_CHARGES[entry.code].affectsBase)
+  .reduce((acc, entry) => acc + allowanceChargeSign(entry) * parseFloat(entry.amount), taxedLinesTotals(document.items || []).subtotal);
+
+const allowanceChargesValid = {
+  code: 'DESCUENTOS_CARGOS',
+  level: 'error',
+  description: 'Los descuentos y cargos globales tienen importe; los que afectan la base imponible requieren líneas gravadas con IGV, los descuentos no superan su base y en las notas solo se admiten los replicados por una anulación o devolución total',
+  check: (document) => {
+    const allowanceCharges = document.allowanceCharges || [];
+    if (allowanceCharges.length === 0) return null;
+
+    if (isNote(document) && !isFullCreditNote(document)) {
+      return 'Solo las notas de anulación o devolución total replican los descuentos y cargos globales del comprobante';
+    }
+
+    const messages = allowanceCharges.map((entry, index) => {
+      if (GLOBAL_ALLOWANCE_CHARGES[entry.code].affectsBase && !(parseFloat(entry.base_amount) > 0)) {
+        return `El descuento o cargo global ${index + 1} (código ${entry.code}) afecta la base imponible y el comprobante no tiene líneas gravadas con IGV`;
+      }
+      return !(parseFloat(entry.amount) > 0) ? `El descuento o cargo global ${index + 1} debe tener un importe mayor a cero` : null;
+    }).filter(Boolean);
+
+    const discounts = (affectsBase) => round(allowanceCharges
+      .filter(entry => allowanceChargeSign(entry) < 0 && GLOBAL_ALLOWANCE_CHARGES[entry.code].affectsBase === affectsBase)
+      .reduce((acc, entry) => acc + parseFloat(entry.amount), 0));
+
+    const taxedValue = round(taxedLinesTotals(document.items || []).subtotal);
+    if (discounts(true) > taxedValue) {
+      messages.push(`Los descuentos globales que afectan la base imponible (${discounts(true).toFixed(2)}) superan el valor de venta gravado con IGV (${taxedValue.toFixed(2)})`);
+    }
+    const linesTotal = sumTotals(document.items || []).total_amount;
+    if (discounts(false) > linesTotal) {
+      messages.push(`Los descuentos globales que no afectan la base imponible (${discounts(false).toFixed(2)}) superan el importe total (${linesTotal.toFixed(2)})`);
+    }
+
+    return messages;
+  }
+};
+
+const advancesDeduction = {
+  code: 'ANTICIPOS',
+  level: 'error',
+  description: 'Los anticipos deducidos no superan el valor de venta gravado con IGV del comprobante final',
+  check: (document) => {
+    const advances = document.advances || [];
+    if (advances.length === 0) return null;
+
+    if (document.is_advance) {
+      return 'Un comprobante de anticipo no puede deducir otros anticipos';
+    }
+
+    if (isNote(document) && !isFullCreditNote(document)) {
+      return 'Solo las notas de anulación o devolución total replican los anticipos deducidos del comprobante';
+    }
+
+    const taxedValue = netTaxedValue(document);
+    const deductedValue = advances.reduce((acc, advance) => acc + parseFloat(advance.taxable_amount), 0);
+
+    if (round(deductedValue) > round(taxedValue)) {
+      return `El valor de los anticipos deducidos (${round(deductedValue).toFixed(2)}) supera el valor de venta gravado con IGV (${round(taxedValue).toFixed(2)})`;
+    }
+    return null;
+  }
+};
+
+const paymentTermsInstallments = {
+  code: 'FORMA_PAGO',
+  level: 'error',
+  description: 'Las facturas al crédito detallan sus cuotas, con vencimiento posterior a la emisión, y estas suman el importe neto pendiente de pago',
+  check: (document) => {
+    if (isNote(document)) return null;
+
+    const installments = document.installments || [];
+    if (document.payment_terms !== 'credit') {
+      return installments.length > 0 ? 'Las cuotas solo se indican en ventas al crédito' : null;
+    }
+
+    if (document.document_type !== 'invoice') {
+      return 'La forma de pago al crédito en cuotas solo se declara en facturas';
+    }
+    if (installments.length === 0) {
+      return 'La factura al crédito debe indicar al menos una cuota';
+    }
+
+    const messages = installments.flatMap((installment, index) => [
+      !(parseFloat(installment.amount) > 0) ? `La cuota ${index + 1} debe tener un importe mayor a cero` : null,
+      !installment.due_date || installment.due_date <= document.issue_date
+        ? `La cuota ${index + 1} debe vencer después de la fecha de emisión`
+        : null
+    ]).filter(Boolean);
+
+    const pending = netPayable(document);
+    const installmentsTotal = round(installments.reduce((acc, installment) => acc + parseFloat(installment.amount || 0), 0));
+    if (installmentsTotal !== pending) {
+      messages.push(`Las cuotas suman ${installmentsTotal.toFixed(2)} y el importe neto pendiente de pago es ${pending.toFixed(2)}`);
+    }
+
+    return messages;
+  }
+};
+
+const exportOperation = {
+  code: 'EXPORTACION',
+  level: 'error',
+  description: 'Las exportaciones son facturas a clientes no domiciliados, con líneas de afectación 40, país de destino e Incoterm en las de bienes',
+  check: (document) => {
+    const items = document.items || [];
+
+    if (!isExportOperation(document)) {
+      if (isNote(document)) return null;
+      return items.some(item => item.affectation_code === TAX_TYPE_AFFECTATION.exportacion)
+        ? 'Las líneas con afectación 40 solo se emiten en operaciones de exportación a clientes no domiciliados'
+        : null;
+    }
+
+    const messages = items
+      .map((item, index) => item.affectation_code && item.affectation_code !== TAX_TYPE_AFFECTATION.exportacion
+        ? `La línea ${index + 1} de una exportación debe tener afectación 40`
+        : null)
+      .filter(Boolean);
+
+    if (isNote(document)) return messages;
+
+    if (document.document_type !== 'invoice') {
+      messages.push('Las exportaciones se emiten con factura');
+    }
+    if (document.customer && document.customer.tax_condition !== 'no_domiciliado') {
+      messages.push('Las exportaciones se emiten a clientes no domiciliados');
+    }
+    if (!/^[A-Z]{2}$/.test(document.destination_country || '') || document.destination_country === 'PE') {
+      messages.push('La exportación debe indicar el país de destino (código ISO 3166-1 alfa-2 distinto de PE)');
+    }
+    if (document.operation_type === OPERATION_TYPES.EXPORT_GOODS && !INCOTERMS[document.incoterm]) {
+      messages.push('La exportación de bienes debe indicar un Incoterm válido');
+    }
+
+    return messages;
+  }
+};
+
+const BUSINESS_RULES = [
+  seriesMatchesDocumentType,
+  invoiceCustomerHasRuc,
+  receiptCustomerIdentified,
+  customerDocumentFormat,
+  lineAmountsValid,
+  totalsMatchLines,
+  issueDateNotInFuture,
+  issueDateWithinDeadline,
+  dueDateAfterIssue,
+  currencySupported,
+  exchangeRateForForeignCurrency,
+  noteReferencesDocument,
+  detractionAccountConfigured,
+  allowanceChargesValid,
+  advancesDeduction,
+  paymentTermsInstallments,
+  exportOperation
+];
+
+// Ejecuta una regla y devuelve sus incidencias: [{ code, level, message }]
+const runRule = (rule, document, context) => [].concat(rule.check(document, context) || [])
+  .map(message => ({ code: rule.code, level: rule.level, message }));
+
+/**
+ * Valida un comprobante contra las reglas de negocio de SUNAT antes de crearlo
+ * o enviarlo. Los plazos se cuentan hasta today, por defecto la fecha actual en Lima.
+ * Devuelve { valid, errors, warnings }; solo los errores lo bloquean.
+ */
+const validateBusinessRules = (document, { today = limaDate(), rules = BUSINESS_RULES } = {}) => {
+  const issues = rules.flatMap(rule => runRule(rule, document, { today }));
+
+  const errors = issues.filter(issue => issue.level === 'error');
+  const warnings = issues.filter(issue => issue.level === 'warning');
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+// Resumen de las incidencias en una línea, para mensajes y registros
+const summarizeIssues = (issues) => issues.map(issue => `[${issue.code}] ${issue.message}`).join('; ');
+
+module.exports = {
+  BUSINESS_RULES,
+  seriesMatchesDocumentType,
+  invoiceCustomerHasRuc,
+  receiptCustomerIdentified,
+  customerDocumentFormat,
+  lineAmountsValid,
+  totalsMatchLines,
+  issueDateNotInFuture,
+  issueDateWithinDeadline,
+  dueDateAfterIssue,
+  currencySupported,
+  exchangeRateForForeignCurrency,
+  noteReferencesDocument,
+  detractionAccountConfigured,
+  allowanceChargesValid,
+  advancesDeduction,
+  paymentTermsInstallments,
+  exportOperation,
+  isValidRuc,
+  runRule,
+  validateBusinessRules,
+  summarizeIssues
+};
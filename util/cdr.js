@@ -0,0 +1,44 @@
+'use strict'
+
+const { parseXml, findFirst, textOf } = require('./xml');
+const { classifyResponseCode } = require('./sunatResponseCodes');
+
+/**
+ * Interpreta el ApplicationResponse de una constancia de recepción (CDR).
+ * Las observaciones llegan como cbc:Note con el formato "4252 - Descripción".
+ */
+const parseCdr = (xml) => {
+  const doc = parseXml(xml);
+  const root = doc.documentElement;
+  const response = findFirst(root, 'Response');
+  const documentReference = findFirst(root, 'DocumentReference');
+
+  const notes = Array.from(root.childNodes)
+    .filter(node => node.nodeType === 1 && node.localName === 'Note')
+    .map(node => {
+      const text = node.textContent.trim();
+      const match = text.match(/^(\d+)\s*-\s*(.*)$/);
+      return match
+        ? { code: match[1], message: match[2] }
+        : { code: null, message: text };
+    });
+
+  return {
+    id: textOf(root, 'ID'),
+    issueDate: textOf(root, 'IssueDate'),
+    responseDate: textOf(root, 'ResponseDate'),
+    responseCode: response ? textOf(response, 'ResponseCode') : null,
+    description: response ? textOf(response, 'Description') : null,
+    referenceId: response ? textOf(response, 'ReferenceID') : null,
+    documentId: documentReference ? textOf(documentReference, 'ID') : null,
+    notes
+  };
+};
+
+// Lista los códigos de observación (4xxx) de un CDR ya interpretado
+const getObservations = (cdr) => cdr.notes.filter(note => classifyResponseCode(note.code) === 'observed');
+
+module.exports = {
+  parseCdr,
+  getObservations
+};
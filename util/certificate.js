@@ -0,0 +1,72 @@
+'use strict'
+
+const forge = require('node-forge');
+const XmlSigner = require('./XmlSigner');
+const { decrypt } = require('./encryption');
+const CompanyCertificate = require('../models/CompanyCertificate');
+
+// Extrae la clave privada y el certificado de un archivo PKCS#12 (.pfx/.p12)
+const parsePkcs12 = (buffer, password) => {
+  let p12;
+  try {
+    const asn1 = forge.asn1.fromDer(forge.util.createBuffer(buffer.toString('binary')));
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn1, password || '');
+  } catch (error) {
+    throw new Error('No se pudo leer el certificado: archivo o contraseña incorrectos');
+  }
+
+  const keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || [];
+  const plainKeyBags = p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [];
+  const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+
+  const keyBag = keyBags[0] || plainKeyBags[0];
+  if (!keyBag || certBags.length === 0) {
+    throw new Error('El archivo PKCS#12 debe contener la clave privada y el certificado');
+  }
+
+  // El certificado de firma es el que corresponde a la clave privada
+  const publicKeyPem = forge.pki.publicKeyToPem(forge.pki.setRsaPublicKey(keyBag.key.n, keyBag.key.e));
+  const certBag = certBags.find(bag => forge.pki.publicKeyToPem(bag.cert.publicKey) === publicKeyPem) || certBags[0];
+  const cert = certBag.cert;
+
+  const subject = cert.subject.attributes
+    .map(attr => `${attr.shortName || attr.name || attr.type}=${attr.value}`)
+    .join(', ');
+  const rucMatch = subject.match(/\b(10|15|16|17|20)\d{9}\b/);
+
+  return {
+    privateKey: forge.pki.privateKeyToPem(keyBag.key),
+    certificate: forge.pki.certificateToPem(cert),
+    subject,
+    ruc: rucMatch ? rucMatch[0] : null,
+    serialNumber: cert.serialNumber.toUpperCase(),
+    validFrom: cert.validity.notBefore,
+    validTo: cert.validity.notAfter
+  };
+};
+
+// Crea el firmador XML a partir del certificado cifrado de la empresa
+const createSigner = (companyCertificate) => {
+  const pfx = decrypt(companyCertificate.pfx_content);
+  const password = decrypt(companyCertificate.pfx_password).toString('utf8');
+  const { privateKey, certificate } = parsePkcs12(pfx, password);
+
+  return new XmlSigner({ privateKey, certificate });
+};
+
+// Firmador con el certificado vigente de la empresa; null si no tiene o venció
+const getCompanySigner = async (company) => {
+  const certificate = await CompanyCertificate.findOne({
+    where: { company_id: company.id }
+  });
+
+  if (!certificate || new Date(certificate.valid_to) <= new Date()) return null;
+
+  return createSigner(certificate);
+};
+
+module.exports = {
+  parsePkcs12,
+  createSigner,
+  getCompanySigner
+};
@@ -0,0 +1,19 @@
+'use strict'
+
+// SUNAT fija las fechas de emisión y sus plazos en la hora de Lima (UTC-5, sin horario de verano)
+const SUNAT_TIME_ZONE = 'America/Lima';
+
+const limaDateFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: SUNAT_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+// Fecha en Lima en formato AAAA-MM-DD; por defecto la actual
+const limaDate = (date = new Date()) => limaDateFormat.format(date);
+
+module.exports = {
+  SUNAT_TIME_ZONE,
+  limaDate
+};
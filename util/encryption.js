@@ -0,0 +1,37 @@
+'use strict'
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// La clave se deriva de CERTIFICATE_ENCRYPTION_KEY (cualquier longitud)
+const getKey = () => {
+  const secret = process.env.CERTIFICATE_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CERTIFICATE_ENCRYPTION_KEY no está configurada');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+// Cifra un Buffer o texto y devuelve "iv:authTag:contenido" en base64
+const encrypt = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(Buffer.from(value)), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+// Descifra un valor generado por encrypt y devuelve un Buffer
+const decrypt = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,96 @@
+'use strict'
+
+const { Op } = require('sequelize');
+const { ExchangeRate } = require('../models/associations');
+
+// Días hacia atrás en que se busca el último tipo de cambio publicado (feriados y fines de semana)
+const FALLBACK_DAYS = 7;
+
+const DELIMITERS = ['|', ';', '\t', ','];
+
+// Fecha de la publicación en DD/MM/YYYY, DD-MM-YYYY o YYYY-MM-DD, como YYYY-MM-DD
+const parseRateDate = (value) => {
+  const text = String(value || '').trim();
+  const dayFirst = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  const isoDate = dayFirst
+    ? `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`
+    : text;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(isoDate)) return null;
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === isoDate ? isoDate : null;
+};
+
+// Importe con punto o coma decimal; la coma solo si no es el separador de columnas
+const parseRate = (value, delimiter) => {
+  const text = String(value || '').trim();
+  const normalized = delimiter === ',' ? text : text.replace(',', '.');
+  const rate = /^\d+(\.\d+)?$/.test(normalized) ? parseFloat(normalized) : NaN;
+  return rate > 0 ? rate : null;
+};
+
+/**
+ * Interpreta el CSV del tipo de cambio publicado por SUNAT o la SBS: una fila por
+ * fecha con fecha, compra y venta, separadas por barra vertical, punto y coma,
+ * tabulación o coma. La primera fila se omite si es un encabezado.
+ * Devuelve { rates: [{ rate_date, buy_rate, sell_rate }], errors: [{ line, message }] }.
+ */
+const parseExchangeRatesCsv = (content) => {
+  const rates = [];
+  const errors = [];
+  const seenDates = new Set();
+
+  String(content || '').split(/\r?\n/).forEach((row, index) => {
+    if (row.trim() === '') return;
+
+    const delimiter = DELIMITERS.find(candidate => row.includes(candidate)) || ',';
+    const [dateValue, buyValue, sellValue] = row.split(delimiter);
+    const rate_date = parseRateDate(dateValue);
+    const buy_rate = parseRate(buyValue, delimiter);
+    const sell_rate = parseRate(sellValue, delimiter);
+    const line = index + 1;
+
+    // Encabezado: primera fila sin fecha ni importes
+    const isFirstRow = rates.length === 0 && errors.length === 0;
+    if (isFirstRow && !rate_date && !buy_rate && !sell_rate) return;
+
+    if (!rate_date) {
+      errors.push({ line, message: `Fecha inválida: ${String(dateValue || '').trim()}` });
+    } else if (!buy_rate || !sell_rate) {
+      errors.push({ line, message: 'El tipo de cambio compra y venta deben ser números mayores a cero' });
+    } else if (seenDates.has(rate_date)) {
+      errors.push({ line, message: `La fecha ${rate_date} está repetida` });
+    } else {
+      seenDates.add(rate_date);
+      rates.push({ rate_date, buy_rate, sell_rate });
+    }
+  });
+
+  return { rates, errors };
+};
+
+/**
+ * Tipo de cambio vigente en una fecha: el publicado ese día o, si no lo hay, el
+ * último de los FALLBACK_DAYS días anteriores. Devuelve null si no está registrado.
+ */
+const findExchangeRate = async (companyId, currency, date, { transaction } = {}) => {
+  const from = new Date(`${date}T00:00:00Z`);
+  if (isNaN(from)) return null;
+  from.setUTCDate(from.getUTCDate() - FALLBACK_DAYS);
+
+  return ExchangeRate.findOne({
+    where: {
+      company_id: companyId,
+      currency,
+      rate_date: { [Op.between]: [from.toISOString().slice(0, 10), date] }
+    },
+    order: [['rate_date', 'DESC']],
+    transaction
+  });
+};
+
+module.exports = {
+  parseRateDate,
+  parseExchangeRatesCsv,
+  findExchangeRate
+};
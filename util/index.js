@@ -1,5 +1,9 @@
 const NumberToLetter = require('./NumberToLetter');
+const SunatClient = require('./SunatClient');
+const XmlSigner = require('./XmlSigner');
 
 module.exports = {
-  NumberToLetter
-};
\ No newline at end of file
+  NumberToLetter,
+  SunatClient,
+  XmlSigner
+};
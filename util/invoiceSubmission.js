@@ -0,0 +1,244 @@
+'use strict'
+
+const { Invoice, Company, Customer, InvoiceItem, InvoiceAdvance, InvoiceInstallment, InvoiceAllowanceCharge, Product, DespatchAdvice } = require('../models/associations');
+const logger = require('../config/logger');
+const SunatClient = require('./SunatClient');
+const { DOCUMENT_TYPE_CODES } = require('./sunatCatalogs');
+const { getCompanySigner } = require('./certificate');
+const { getObservations } = require('./cdr');
+const { validateUblXml, summarizeViolations } = require('./ublSchema');
+const { buildInvoiceXml, buildCreditNoteXml, buildDebitNoteXml } = require('./ubl');
+
+// Respuestas del servicio de consulta de comprobantes (getStatus / getStatusCdr)
+const CONSULT_STATUS_CODES = {
+  ACCEPTED: '0001',
+  REJECTED: '0002',
+  VOIDED: '0003',
+  NOT_FOUND: '0011'
+};
+
+// Código de rechazo por comprobante ya informado anteriormente
+const ALREADY_REPORTED_CODE = '1033';
+
+// Datos necesarios para generar el XML de un comprobante
+const INVOICE_XML_INCLUDE = [
+  {
+    model: Company,
+    as: 'company'
+  },
+  {
+    model: Customer,
+    as: 'customer'
+  },
+  {
+    model: InvoiceItem,
+    as: 'items',
+    include: [{
+      model: Product,
+      as: 'product'
+    }]
+  },
+  {
+    model: Invoice,
+    as: 'referenceInvoice',
+    attributes: ['id', 'invoice_number', 'document_type', 'issue_date', 'operation_type']
+  },
+  {
+    model: DespatchAdvice,
+    as: 'despatchAdvices',
+    attributes: ['id', 'document_number']
+  },
+  {
+    model: InvoiceAdvance,
+    as: 'advances',
+    include: [{
+      model: Invoice,
+      as: 'advanceInvoice',
+      attributes: ['id', 'invoice_number', 'document_type']
+    }]
+  },
+  {
+    model: InvoiceInstallment,
+    as: 'installments'
+  },
+  {
+    model: InvoiceAllowanceCharge,
+    as: 'allowanceCharges'
+  }
+];
+
+// Función auxiliar para generar XML SUNAT según el tipo de comprobante
+function generateSunatXML(invoice) {
+  switch (invoice.document_type) {
+    case 'credit_note':
+      return buildCreditNoteXml(invoice);
+    case 'debit_note':
+      return buildDebitNoteXml(invoice);
+    default:
+      return buildInvoiceXml(invoice);
+  }
+}
+
+/**
+ * Consulta en SUNAT un comprobante ya enviado, recupera su CDR y actualiza su
+ * sunat_status. El comprobante debe incluir company; los errores de red se propagan.
+ * Con alreadyReported (SUNAT respondió 1033) un "no existe" no lo devuelve a pendiente.
+ */
+async function reconcileInvoiceStatus(invoice, { alreadyReported = false } = {}) {
+  const client = new SunatClient(invoice.company);
+  if (!client.consultEndpoint) {
+    return { reconciled: false, code: null, message: 'El servicio de consulta de SUNAT no está disponible en beta' };
+  }
+
+  const reference = {
+    typeCode: DOCUMENT_TYPE_CODES[invoice.document_type],
+    series: invoice.series,
+    number: invoice.correlative
+  };
+
+  let consult = await client.consultDocument(reference, { withCdr: true });
+  // Sin constancia disponible se consulta solo el estado
+  if (consult.success && !consult.cdr) {
+    consult = await client.consultDocument(reference);
+  }
+
+  if (!consult.success) {
+    return { reconciled: false, code: consult.code, message: consult.message };
+  }
+
+  let updateData;
+  switch (consult.statusCode) {
+    case CONSULT_STATUS_CODES.ACCEPTED:
+      updateData = { sunat_status: 'accepted', status: invoice.status === 'cancelled' ? 'cancelled' : 'accepted' };
+      break;
+    case CONSULT_STATUS_CODES.REJECTED:
+      updateData = { sunat_status: 'rejected', status: 'rejected' };
+      break;
+    case CONSULT_STATUS_CODES.VOIDED:
+      updateData = { sunat_status: 'accepted', status: 'cancelled', balance_amount: 0 };
+      break;
+    case CONSULT_STATUS_CODES.NOT_FOUND:
+      // Si SUNAT ya indicó que fue informado, reenviarlo solo repetiría el 1033
+      if (alreadyReported) {
+        return { reconciled: false, code: consult.statusCode, message: consult.message };
+      }
+      // SUNAT no lo recibió: queda pendiente para reenviarse
+      updateData = { sunat_status: 'pending' };
+      break;
+    default:
+      return { reconciled: false, code: consult.statusCode, message: consult.message };
+  }
+
+  if (consult.cdr) {
+    updateData.sunat_response_code = consult.cdr.responseCode || '0';
+    updateData.sunat_response_message = consult.cdr.description;
+    updateData.cdr_content = consult.cdr.zip.toString('base64');
+    updateData.sunat_observations = getObservations(consult.cdr);
+  } else {
+    updateData.sunat_response_code = consult.statusCode;
+    updateData.sunat_response_message = consult.message;
+  }
+
+  await invoice.update(updateData);
+
+  logger.info(`Comprobante ${invoice.invoice_number} conciliado con SUNAT: [${consult.statusCode}] ${consult.message}`);
+
+  return {
+    reconciled: true,
+    code: consult.statusCode,
+    message: consult.message,
+    cdr_recovered: Boolean(consult.cdr)
+  };
+}
+
+/**
+ * Genera y firma el XML del comprobante, lo valida contra los esquemas XSD y,
+ * si es válido, lo guarda en la factura. Devuelve { valid, xml, digestValue, violations },
+ * o null si la empresa no tiene un certificado vigente.
+ */
+async function signInvoice(invoice) {
+  const signer = await getCompanySigner(invoice.company);
+  if (!signer) return null;
+
+  const { xml, digestValue } = signer.sign(generateSunatXML(invoice));
+  const { valid, violations } = await validateUblXml(xml);
+
+  // Un XML que no cumple el esquema no se guarda, así no puede enviarse
+  if (!valid) {
+    logger.warn(`XML de ${invoice.invoice_number} no cumple el esquema XSD: ${summarizeViolations(violations)}`);
+    return { valid, xml, digestValue, violations };
+  }
+
+  await invoice.update({ xml_content: xml, digest_value: digestValue });
+
+  logger.info(`XML generado y firmado para factura ${invoice.invoice_number}`);
+
+  return { valid, xml, digestValue, violations };
+}
+
+/**
+ * Envía a SUNAT (sendBill) el XML firmado del comprobante y guarda la respuesta.
+ * Si SUNAT indica que ya fue informado, concilia su estado y lo devuelve en
+ * reconciliation. Los errores de red marcan la factura con error y se propagan.
+ */
+async function submitInvoice(invoice) {
+  const client = new SunatClient(invoice.company);
+  const fileName = SunatClient.buildFileName(
+    invoice.company.ruc,
+    DOCUMENT_TYPE_CODES[invoice.document_type],
+    invoice.invoice_number
+  );
+
+  let sunatResponse;
+  try {
+    sunatResponse = await client.sendBill(fileName, invoice.xml_content);
+  } catch (error) {
+    await invoice.update({
+      sunat_status: 'error',
+      sunat_response_message: error.message
+    });
+    throw error;
+  }
+
+  // Ya informado anteriormente: se recupera su estado y CDR en lugar de marcarlo como error
+  if (sunatResponse.code === ALREADY_REPORTED_CODE) {
+    logger.warn(`${invoice.invoice_number} ya fue informado a SUNAT, conciliando su estado`);
+    const reconciliation = await reconcileInvoiceStatus(invoice, { alreadyReported: true });
+
+    if (reconciliation.reconciled) {
+      return { sunatResponse, reconciliation };
+    }
+  }
+
+  const sunatStatus = SunatClient.resolveStatus(sunatResponse);
+  const updateData = {
+    sunat_status: sunatStatus,
+    sunat_response_code: sunatResponse.code,
+    sunat_response_message: sunatResponse.message,
+    status: sunatStatus === 'accepted' || sunatStatus === 'rejected' ? sunatStatus : invoice.status
+  };
+
+  // Guardar la constancia de recepción (CDR) y sus observaciones
+  if (sunatResponse.cdr) {
+    updateData.cdr_content = sunatResponse.cdr.zip.toString('base64');
+    updateData.sunat_observations = getObservations(sunatResponse.cdr);
+
+    if (sunatResponse.cdr.documentId && sunatResponse.cdr.documentId !== invoice.invoice_number) {
+      logger.warn(`El CDR de ${invoice.invoice_number} referencia al documento ${sunatResponse.cdr.documentId}`);
+    }
+  }
+
+  await invoice.update(updateData);
+
+  logger.info(`Factura ${invoice.invoice_number} enviada a SUNAT: [${sunatResponse.code}] ${sunatResponse.message}`);
+
+  return { sunatResponse, reconciliation: null };
+}
+
+module.exports = {
+  INVOICE_XML_INCLUDE,
+  generateSunatXML,
+  signInvoice,
+  submitInvoice,
+  reconcileInvoiceStatus
+};
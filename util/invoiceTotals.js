@@ -0,0 +1,357 @@
+'use strict'
+
+const {
+  AFFECTATION_CODES,
+  IVAP_RATE,
+  ISC_SYSTEM_CODES,
+  GLOBAL_ALLOWANCE_CHARGES,
+  DETRACTION_GOODS_SERVICES,
+  DETRACTION_THRESHOLD
+} = require('./sunatCatalogs');
+const sunatConfig = require('../config/sunat');
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round((parseFloat(value || 0) + Number.EPSILON) * factor) / factor;
+};
+
+// Transferencia gratuita (catálogo 07): la línea lleva valor referencial y no se cobra
+const isFreeAffectation = (affectationCode) => Boolean(
+  AFFECTATION_CODES[affectationCode] && AFFECTATION_CODES[affectationCode].free
+);
+
+/**
+ * Tasa del impuesto de una línea según su afectación (catálogo 07): las gravadas,
+ * incluidos los retiros gratuitos, usan la tasa del IGV y el código 17 la del IVAP.
+ */
+const affectationTaxRate = (affectationCode, igvRate = 18) => {
+  const affectation = AFFECTATION_CODES[affectationCode];
+  if (!affectation.taxed) return 0;
+  return affectation.tax === 'IVAP' ? IVAP_RATE : parseFloat(igvRate);
+};
+
+/**
+ * Monto del ICBPER por bolsa vigente en la fecha de emisión: el del último año
+ * de la tabla configurada que no sea posterior al año de emisión.
+ */
+const icbperUnitAmount = (issueDate, rates = sunatConfig.icbperRates) => {
+  const year = parseInt(String(issueDate).slice(0, 4));
+  const applicableYears = Object.keys(rates)
+    .map(Number)
+    .filter(rateYear => rateYear <= year);
+
+  if (applicableYears.length === 0) return 0;
+  return parseFloat(rates[Math.max(...applicableYears)]);
+};
+
+/**
+ * ISC de una línea según su sistema de cálculo (catálogo 08): al valor, tasa sobre
+ * el valor de venta; específico, monto fijo por unidad; precios de venta al público,
+ * tasa sobre el precio sugerido sin IGV por cada unidad.
+ */
+const calculateIsc = ({ isc_system, quantity, base, isc_rate, isc_unit_amount, isc_public_price, igv_rate }) => {
+  switch (isc_system) {
+    case ISC_SYSTEM_CODES.AD_VALOREM:
+      return round(base * parseFloat(isc_rate) / 100);
+    case ISC_SYSTEM_CODES.FIXED_AMOUNT:
+      return round(parseFloat(quantity) * parseFloat(isc_unit_amount));
+    case ISC_SYSTEM_CODES.PUBLIC_PRICE: {
+      const priceWithoutIgv = parseFloat(isc_public_price) / (1 + parseFloat(igv_rate || 0) / 100);
+      return round(parseFloat(quantity) * priceWithoutIgv * parseFloat(isc_rate) / 100);
+    }
+    default:
+      return 0;
+  }
+};
+
+// Parámetros del ISC configurados en el producto, en el formato de calculateItem
+const productIsc = (product) => product.isc_system ? {
+  isc_system: product.isc_system,
+  isc_rate: product.isc_rate,
+  isc_unit_amount: product.isc_unit_amount,
+  isc_public_price: product.isc_public_price
+} : {};
+
+/**
+ * Calcula los importes de una línea de comprobante.
+ * unit_price es el valor unitario sin impuestos; en las transferencias gratuitas
+ * es el valor referencial, sobre el que se calcula el impuesto. El ISC se calcula
+ * primero y forma parte de la base del IGV; el ICBPER es un monto fijo por unidad
+ * que no forma parte de esa base.
+ */
+const calculateItem = ({
+  quantity,
+  unit_price,
+  discount_rate = 0,
+  tax_rate = 0,
+  affectation_code = null,
+  isc_system = null,
+  isc_rate = null,
+  isc_unit_amount = null,
+  isc_public_price = null,
+  icbper_unit_amount = 0
+}) => {
+  const item_subtotal = parseFloat(quantity) * parseFloat(unit_price);
+  const item_discount = item_subtotal * (parseFloat(discount_rate || 0) / 100);
+  const item_base = round(item_subtotal - item_discount);
+  const item_isc = calculateIsc({
+    isc_system,
+    quantity,
+    base: item_base,
+    isc_rate,
+    isc_unit_amount,
+    isc_public_price,
+    igv_rate: tax_rate
+  });
+  const item_tax = round((item_base + item_isc) * (parseFloat(tax_rate || 0) / 100));
+  const item_icbper = round(parseFloat(quantity) * parseFloat(icbper_unit_amount || 0));
+
+  return {
+    affectation_code,
+    quantity: parseFloat(quantity),
+    unit_price: parseFloat(unit_price),
+    discount_rate: parseFloat(discount_rate || 0),
+    tax_rate: parseFloat(tax_rate || 0),
+    subtotal: item_base,
+    isc_system: isc_system || null,
+    isc_rate: isc_system ? parseFloat(isc_rate || 0) : null,
+    isc_unit_amount: isc_system ? parseFloat(isc_unit_amount || 0) : null,
+    isc_public_price: isc_system ? parseFloat(isc_public_price || 0) : null,
+    isc_amount: item_isc,
+    tax_amount: item_tax,
+    icbper_unit_amount: parseFloat(icbper_unit_amount || 0),
+    icbper_amount: item_icbper,
+    total_amount: round(item_base + item_isc + item_tax + item_icbper),
+    discount_amount: round(item_discount)
+  };
+};
+
+/**
+ * Suma los importes de las líneas calculadas con calculateItem. Las transferencias
+ * gratuitas no forman parte del valor de venta, los impuestos ni el total a pagar:
+ * su valor referencial se acumula en free_amount y sus impuestos (ISC e IGV) en free_tax_amount.
+ * El ICBPER se cobra aun cuando la bolsa se entrega gratis, por lo que se suma
+ * en icbper_amount para todas las líneas y forma parte del total.
+ */
+const sumTotals = (items) => {
+  const totals = items.reduce((acc, item) => {
+    const subtotal = parseFloat(item.subtotal);
+    const taxAmount = parseFloat(item.tax_amount);
+    const iscAmount = parseFloat(item.isc_amount || 0);
+    const icbperAmount = acc.icbper_amount + parseFloat(item.icbper_amount || 0);
+
+    if (isFreeAffectation(item.affectation_code)) {
+      return {
+        ...acc,
+        icbper_amount: icbperAmount,
+        free_amount: acc.free_amount + subtotal,
+        free_tax_amount: acc.free_tax_amount + iscAmount + taxAmount
+      };
+    }
+
+    return {
+      ...acc,
+      subtotal: acc.subtotal + subtotal,
+      isc_amount: acc.isc_amount + iscAmount,
+      tax_amount: acc.tax_amount + taxAmount,
+      icbper_amount: icbperAmount,
+      discount_amount: acc.discount_amount + parseFloat(item.discount_amount || 0)
+    };
+  }, { subtotal: 0, isc_amount: 0, tax_amount: 0, icbper_amount: 0, discount_amount: 0, free_amount: 0, free_tax_amount: 0 });
+
+  return {
+    subtotal: round(totals.subtotal),
+    isc_amount: round(totals.isc_amount),
+    tax_amount: round(totals.tax_amount),
+    icbper_amount: round(totals.icbper_amount),
+    discount_amount: round(totals.discount_amount),
+    total_amount: round(totals.subtotal + totals.isc_amount + totals.tax_amount + totals.icbper_amount),
+    free_amount: round(totals.free_amount),
+    free_tax_amount: round(totals.free_tax_amount)
+  };
+};
+
+// Valor de venta, ISC e IGV de las líneas onerosas gravadas con IGV
+const taxedLinesTotals = (items) => items
+  .filter(item => !isFreeAffectation(item.affectation_code) &&
+    (AFFECTATION_CODES[item.affectation_code] || {}).tax === 'IGV')
+  .reduce((acc, item) => ({
+    subtotal: acc.subtotal + parseFloat(item.subtotal),
+    isc_amount: acc.isc_amount + parseFloat(item.isc_amount || 0),
+    tax_amount: acc.tax_amount + parseFloat(item.tax_amount)
+  }), { subtotal: 0, isc_amount: 0, tax_amount: 0 });
+
+// Un cargo incrementa el importe del comprobante y un descuento lo reduce
+const allowanceChargeSign = (entry) => GLOBAL_ALLOWANCE_CHARGES[entry.code].charge ? 1 : -1;
+
+/**
+ * Calcula los descuentos y cargos globales (catálogo 53) sobre las líneas calculadas
+ * con calculateItem. Los que afectan la base imponible (02 y 49) se aplican sobre el
+ * valor de venta gravado con IGV y llevan el IGV a la tasa efectiva de esas líneas;
+ * los que no la afectan (03 y 50) se aplican sobre el importe total de las líneas.
+ * Cada uno indica un porcentaje (rate) o un importe fijo sin impuestos (amount).
+ */
+const calculateAllowanceCharges = (items, requested = []) => {
+  const taxed = taxedLinesTotals(items);
+  const taxedBase = taxed.subtotal + taxed.isc_amount;
+  const igvRate = taxedBase > 0 ? taxed.tax_amount / taxedBase : 0;
+  const linesTotal = sumTotals(items).total_amount;
+
+  return requested.map(({ code, description = null, rate = null, amount = null }) => {
+    const { affectsBase } = GLOBAL_ALLOWANCE_CHARGES[code];
+    const baseAmount = round(affectsBase ? taxed.subtotal : linesTotal);
+    const hasRate = rate !== null && rate !== undefined && rate !== '';
+    const value = hasRate ? round(baseAmount * parseFloat(rate) / 100) : round(amount);
+
+    return {
+      code,
+      description,
+      rate: hasRate ? parseFloat(rate) : null,
+      base_amount: baseAmount,
+      amount: value,
+      tax_amount: affectsBase ? round(value * igvRate) : 0
+    };
+  });
+};
+
+/**
+ * Aplica a los totales sumados con sumTotals los descuentos y cargos globales: los que
+ * afectan la base imponible modifican el valor de venta y el IGV; los demás se informan
+ * en allowance_total_amount y charge_total_amount. Todos modifican el total a pagar.
+ */
+const applyAllowanceCharges = (totals, allowanceCharges = []) => {
+  const adjustments = allowanceCharges.reduce((acc, entry) => {
+    const { charge, affectsBase } = GLOBAL_ALLOWANCE_CHARGES[entry.code];
+    const amount = parseFloat(entry.amount);
+
+    if (affectsBase) {
+      const sign = allowanceChargeSign(entry);
+      return {
+        ...acc,
+        subtotal: acc.subtotal + sign * amount,
+        tax_amount: acc.tax_amount + sign * parseFloat(entry.tax_amount || 0)
+      };
+    }
+
+    return charge
+      ? { ...acc, charge_total_amount: acc.charge_total_amount + amount }
+      : { ...acc, allowance_total_amount: acc.allowance_total_amount + amount };
+  }, { subtotal: 0, tax_amount: 0, allowance_total_amount: 0, charge_total_amount: 0 });
+
+  return {
+    ...totals,
+    subtotal: round(totals.subtotal + adjustments.subtotal),
+    tax_amount: round(totals.tax_amount + adjustments.tax_amount),
+    total_amount: round(totals.total_amount + adjustments.subtotal + adjustments.tax_amount -
+      adjustments.allowance_total_amount + adjustments.charge_total_amount),
+    allowance_total_amount: round(adjustments.allowance_total_amount),
+    charge_total_amount: round(adjustments.charge_total_amount)
+  };
+};
+
+/**
+ * Importe deducido de un comprobante de anticipo, separado en valor e impuesto en
+ * la misma proporción que el anticipo, para deducciones parciales de su saldo.
+ */
+const calculateAdvanceDeduction = (advanceInvoice, amount) => {
+  const deducted = round(amount);
+  const taxable = round(deducted * parseFloat(advanceInvoice.subtotal) / parseFloat(advanceInvoice.total_amount));
+
+  return {
+    taxable_amount: taxable,
+    tax_amount: round(deducted - taxable),
+    amount: deducted
+  };
+};
+
+/**
+ * Descuenta de los totales sumados con sumTotals los anticipos deducidos: su valor
+ * reduce la base imponible (código 04 del catálogo 53), su impuesto el IGV y su
+ * importe el total a pagar, que se informa en prepaid_amount.
+ */
+const applyAdvances = (totals, advances = []) => {
+  const sum = (field) => advances.reduce((acc, advance) => acc + parseFloat(advance[field]), 0);
+
+  return {
+    ...totals,
+    subtotal: round(totals.subtotal - sum('taxable_amount')),
+    tax_amount: round(totals.tax_amount - sum('tax_amount')),
+    total_amount: round(totals.total_amount - sum('amount')),
+    prepaid_amount: round(sum('amount'))
+  };
+};
+
+/**
+ * Calcula el importe retenido o percibido sobre un pago.
+ * El pago se convierte a soles con el tipo de cambio de la fecha de pago;
+ * sign -1 descuenta el importe (retención) y 1 lo adiciona (percepción).
+ */
+const calculateRegimeLine = ({ paid_amount, exchange_rate = 1, rate, sign }) => {
+  const paidInSoles = round(parseFloat(paid_amount) * parseFloat(exchange_rate || 1));
+  const amount = round(paidInSoles * (parseFloat(rate) / 100));
+
+  return {
+    paid_amount: parseFloat(paid_amount),
+    exchange_rate: parseFloat(exchange_rate || 1),
+    amount,
+    net_amount: round(paidInSoles + sign * amount)
+  };
+};
+
+/**
+ * Calcula la detracción (SPOT) de una factura. Se aplica el bien o servicio
+ * del catálogo 54 con mayor tasa entre los productos de la factura, cuando el
+ * importe total en soles supera el umbral. El depósito se redondea a soles enteros.
+ * Devuelve null si la operación no está sujeta a detracción.
+ */
+const calculateDetraction = ({ total_amount, currency = 'PEN', exchange_rate = 1, products }) => {
+  // Los códigos que ya no figuran en el catálogo 54 no se aplican
+  const subjects = products
+    .filter(product => product && product.detraction_code)
+    .map(product => ({
+      code: product.detraction_code,
+      rate: parseFloat(product.detraction_rate || (DETRACTION_GOODS_SERVICES[product.detraction_code] || {}).rate)
+    }))
+    .filter(subject => DETRACTION_GOODS_SERVICES[subject.code] && subject.rate > 0);
+
+  if (subjects.length === 0) return null;
+
+  const totalInSoles = round(parseFloat(total_amount) * (currency === 'PEN' ? 1 : parseFloat(exchange_rate || 1)));
+  if (totalInSoles <= DETRACTION_THRESHOLD) return null;
+
+  const { code, rate } = subjects.reduce((max, subject) => subject.rate > max.rate ? subject : max);
+
+  return {
+    detraction_code: code,
+    detraction_rate: rate,
+    detraction_amount: Math.round(totalInSoles * rate / 100)
+  };
+};
+
+/**
+ * Importe neto pendiente de pago en la moneda del comprobante: el total menos
+ * la detracción, que se deposita en soles.
+ */
+const netPayable = ({ total_amount, detraction_amount, currency = 'PEN', exchange_rate = 1 }) => {
+  const detraction = parseFloat(detraction_amount || 0) / (currency === 'PEN' ? 1 : parseFloat(exchange_rate || 1));
+  return round(parseFloat(total_amount) - detraction);
+};
+
+module.exports = {
+  round,
+  isFreeAffectation,
+  affectationTaxRate,
+  icbperUnitAmount,
+  productIsc,
+  calculateItem,
+  sumTotals,
+  taxedLinesTotals,
+  allowanceChargeSign,
+  calculateAllowanceCharges,
+  applyAllowanceCharges,
+  calculateAdvanceDeduction,
+  applyAdvances,
+  calculateRegimeLine,
+  calculateDetraction,
+  netPayable
+};
@@ -0,0 +1,316 @@
+'use strict'
+
+// Catálogo 01: Código de tipo de documento
+const DOCUMENT_TYPE_CODES = {
+  invoice: '01',
+  receipt: '03',
+  credit_note: '07',
+  debit_note: '08',
+  despatch_advice: '09',
+  retention: '20',
+  perception: '40'
+};
+
+// Catálogo 05: Códigos de tipos de tributos
+const TAX_TYPES = {
+  IGV: { id: '1000', name: 'IGV', code: 'VAT' },
+  IVAP: { id: '1016', name: 'IVAP', code: 'VAT' },
+  ISC: { id: '2000', name: 'ISC', code: 'EXC' },
+  ICBPER: { id: '7152', name: 'ICBPER', code: 'OTH' },
+  EXP: { id: '9995', name: 'EXP', code: 'FRE' },
+  GRA: { id: '9996', name: 'GRA', code: 'FRE' },
+  EXO: { id: '9997', name: 'EXO', code: 'VAT' },
+  INA: { id: '9998', name: 'INA', code: 'FRE' },
+  OTROS: { id: '9999', name: 'OTROS', code: 'OTH' }
+};
+
+// Catálogo 07: Códigos de tipo de afectación del IGV
+// tax: tributo al que se asocia la línea; category: código de categoría UN/ECE 5305;
+// taxed: la línea calcula IGV (o IVAP); free: transferencia gratuita con valor referencial
+const AFFECTATION_CODES = {
+  10: { description: 'Gravado - Operación Onerosa', tax: 'IGV', category: 'S', taxed: true, free: false },
+  11: { description: 'Gravado - Retiro por premio', tax: 'GRA', category: 'Z', taxed: true, free: true },
+  12: { description: 'Gravado - Retiro por donación', tax: 'GRA', category: 'Z', taxed: true, free: true },
+  13: { description: 'Gravado - Retiro', tax: 'GRA', category: 'Z', taxed: true, free: true },
+  14: { description: 'Gravado - Retiro por publicidad', tax: 'GRA', category: 'Z', taxed: true, free: true },
+  15: { description: 'Gravado - Bonificaciones', tax: 'GRA', category: 'Z', taxed: true, free: true },
+  16: { description: 'Gravado - Retiro por entrega a trabajadores', tax: 'GRA', category: 'Z', taxed: true, free: true },
+  17: { description: 'Gravado - IVAP', tax: 'IVAP', category: 'S', taxed: true, free: false },
+  20: { description: 'Exonerado - Operación Onerosa', tax: 'EXO', category: 'E', taxed: false, free: false },
+  21: { description: 'Exonerado - Transferencia gratuita', tax: 'GRA', category: 'Z', taxed: false, free: true },
+  30: { description: 'Inafecto - Operación Onerosa', tax: 'INA', category: 'O', taxed: false, free: false },
+  31: { description: 'Inafecto - Retiro por Bonificación', tax: 'GRA', category: 'Z', taxed: false, free: true },
+  32: { description: 'Inafecto - Retiro', tax: 'GRA', category: 'Z', taxed: false, free: true },
+  33: { description: 'Inafecto - Retiro por Muestras Médicas', tax: 'GRA', category: 'Z', taxed: false, free: true },
+  34: { description: 'Inafecto - Retiro por Convenio Colectivo', tax: 'GRA', category: 'Z', taxed: false, free: true },
+  35: { description: 'Inafecto - Retiro por premio', tax: 'GRA', category: 'Z', taxed: false, free: true },
+  36: { description: 'Inafecto - Retiro por publicidad', tax: 'GRA', category: 'Z', taxed: false, free: true },
+  37: { description: 'Inafecto - Transferencia gratuita', tax: 'GRA', category: 'Z', taxed: false, free: true },
+  40: { description: 'Exportación de Bienes o Servicios', tax: 'EXP', category: 'G', taxed: false, free: false }
+};
+
+// Tasa del IVAP (Impuesto a la Venta del Arroz Pilado), afectación 17
+const IVAP_RATE = 4;
+
+// Tipo tributario del producto (Product.tax_type) a su afectación por defecto
+const TAX_TYPE_AFFECTATION = {
+  gravado: '10',
+  exonerado: '20',
+  inafecto: '30',
+  exportacion: '40'
+};
+
+// Catálogo 06: Códigos de tipos de documentos de identidad
+// (other: documento tributario de no domiciliado sin RUC)
+const IDENTITY_DOCUMENT_TYPES = {
+  dni: '1',
+  ruc: '6',
+  passport: '7',
+  foreign_id: 'B',
+  tin: 'C',
+  other: '0'
+};
+
+// Catálogo 08: Códigos de tipos de sistema de cálculo del ISC
+const ISC_SYSTEMS = {
+  '01': 'Sistema al valor',
+  '02': 'Aplicación del monto fijo',
+  '03': 'Sistema de precios de venta al público'
+};
+
+const ISC_SYSTEM_CODES = {
+  AD_VALOREM: '01',
+  FIXED_AMOUNT: '02',
+  PUBLIC_PRICE: '03'
+};
+
+// Catálogo 09: Códigos de tipo de nota de crédito electrónica
+const CREDIT_NOTE_REASONS = {
+  '01': 'Anulación de la operación',
+  '02': 'Anulación por error en el RUC',
+  '03': 'Corrección por error en la descripción',
+  '04': 'Descuento global',
+  '05': 'Descuento por ítem',
+  '06': 'Devolución total',
+  '07': 'Devolución por ítem',
+  '08': 'Bonificación',
+  '09': 'Disminución en el valor',
+  '10': 'Otros conceptos',
+  '11': 'Ajustes de operaciones de exportación',
+  '12': 'Ajustes afectos al IVAP',
+  '13': 'Corrección del monto neto pendiente de pago y/o la(s) fechas(s) de vencimiento del pago único o de las cuotas y/o los montos correspondientes a cada cuota, de ser el caso'
+};
+
+// Motivos de nota de crédito que anulan o devuelven el comprobante completo
+const FULL_CREDIT_NOTE_REASONS = ['01', '02', '06'];
+
+// Catálogo 10: Códigos de tipo de nota de débito electrónica
+const DEBIT_NOTE_REASONS = {
+  '01': 'Intereses por mora',
+  '02': 'Aumento en el valor',
+  '03': 'Penalidades/ otros conceptos',
+  '11': 'Ajustes de operaciones de exportación',
+  '12': 'Ajustes afectos al IVAP'
+};
+
+// Catálogo 11: Códigos del tipo de valor de venta (resumen diario), por tributo
+const SUMMARY_VALUE_TYPES = {
+  IGV: '01',
+  IVAP: '01',
+  EXO: '02',
+  INA: '03',
+  EXP: '04',
+  GRA: '05'
+};
+
+// Catálogo 19: Códigos de estado del ítem (resumen diario)
+const SUMMARY_CONDITIONS = {
+  ADD: '1',
+  MODIFY: '2',
+  VOID: '3'
+};
+
+// Catálogo 12: Documentos relacionados tributarios emitidos por anticipos
+const ADVANCE_DOCUMENT_TYPES = {
+  invoice: '02',
+  receipt: '03'
+};
+
+// Catálogo 16: Códigos de tipo de precio de venta unitario
+const PRICE_TYPES = {
+  UNIT_PRICE: '01',
+  REFERENTIAL: '02'
+};
+
+// Catálogo 18: Modalidad de traslado
+const TRANSPORT_MODES = {
+  PUBLIC: '01',
+  PRIVATE: '02'
+};
+
+// Catálogo 20: Motivo de traslado
+const TRANSFER_REASONS = {
+  '01': 'Venta',
+  '02': 'Compra',
+  '03': 'Venta con entrega a terceros',
+  '04': 'Traslado entre establecimientos de la misma empresa',
+  '05': 'Consignación',
+  '06': 'Devolución',
+  '07': 'Recojo de bienes transformados',
+  '08': 'Importación',
+  '09': 'Exportación',
+  '13': 'Otros',
+  '14': 'Venta sujeta a confirmación del comprador',
+  '17': 'Traslado de bienes para transformación',
+  '18': 'Traslado emisor itinerante CP'
+};
+
+// Catálogo 22: Régimen de percepciones
+const PERCEPTION_REGIMES = {
+  '01': { rate: 2, description: 'Percepción venta interna' },
+  '02': { rate: 1, description: 'Percepción a la adquisición de combustible' },
+  '03': { rate: 0.5, description: 'Percepción realizada al agente de percepción con tasa especial' }
+};
+
+// Catálogo 23: Régimen de retenciones
+const RETENTION_REGIMES = {
+  '01': { rate: 3, description: 'Tasa 3%' },
+  '02': { rate: 6, description: 'Tasa 6%' }
+};
+
+// Catálogo 51: Códigos de tipo de operación
+const OPERATION_TYPES = {
+  INTERNAL_SALE: '0101',
+  EXPORT_GOODS: '0200',
+  EXPORT_SERVICES: '0201',
+  DETRACTION: '1001'
+};
+
+const EXPORT_OPERATION_TYPES = [OPERATION_TYPES.EXPORT_GOODS, OPERATION_TYPES.EXPORT_SERVICES];
+
+// Incoterms 2020 de la Cámara de Comercio Internacional, para exportaciones de bienes
+const INCOTERMS = {
+  EXW: 'En fábrica',
+  FCA: 'Franco transportista',
+  CPT: 'Transporte pagado hasta',
+  CIP: 'Transporte y seguro pagados hasta',
+  DAP: 'Entregado en un punto',
+  DPU: 'Entregado en un punto descargado',
+  DDP: 'Entregado con derechos pagados',
+  FAS: 'Franco al costado del buque',
+  FOB: 'Franco a bordo',
+  CFR: 'Costo y flete',
+  CIF: 'Costo, seguro y flete'
+};
+
+// Catálogo 52: Códigos de leyendas
+const LEGEND_CODES = {
+  AMOUNT_IN_WORDS: '1000',
+  FREE_TRANSFER: '1002',
+  DETRACTION: '2006'
+};
+
+// Catálogo 53: Códigos de cargos o descuentos
+const ALLOWANCE_CHARGE_CODES = {
+  LINE_DISCOUNT: '00',
+  GLOBAL_DISCOUNT: '02',
+  GLOBAL_DISCOUNT_NOT_TAXABLE: '03',
+  TAXED_ADVANCE: '04',
+  GLOBAL_CHARGE: '49',
+  GLOBAL_CHARGE_NOT_TAXABLE: '50'
+};
+
+// Descuentos y cargos globales admitidos en los comprobantes (catálogo 53)
+// charge: cargo que incrementa el importe; affectsBase: modifica la base imponible del IGV
+const GLOBAL_ALLOWANCE_CHARGES = {
+  '02': { description: 'Descuentos globales que afectan la base imponible del IGV/IVAP', charge: false, affectsBase: true },
+  '03': { description: 'Descuentos globales que no afectan la base imponible del IGV/IVAP', charge: false, affectsBase: false },
+  '49': { description: 'Cargos globales que afectan la base imponible del IGV/IVAP', charge: true, affectsBase: true },
+  '50': { description: 'Cargos globales que no afectan la base imponible del IGV/IVAP', charge: true, affectsBase: false }
+};
+
+// Catálogo 54: Códigos de bienes y servicios sujetos a detracciones, con su tasa vigente
+const DETRACTION_GOODS_SERVICES = {
+  '001': { rate: 10, description: 'Azúcar y melaza de caña' },
+  '003': { rate: 10, description: 'Alcohol etílico' },
+  '004': { rate: 4, description: 'Recursos hidrobiológicos' },
+  '005': { rate: 4, description: 'Maíz amarillo duro' },
+  '007': { rate: 10, description: 'Caña de azúcar' },
+  '008': { rate: 4, description: 'Madera' },
+  '009': { rate: 10, description: 'Arena y piedra' },
+  '010': { rate: 15, description: 'Residuos, subproductos, desechos, recortes y desperdicios' },
+  '012': { rate: 12, description: 'Intermediación laboral y tercerización' },
+  '014': { rate: 4, description: 'Carnes y despojos comestibles' },
+  '016': { rate: 10, description: 'Aceite de pescado' },
+  '017': { rate: 4, description: 'Harina, polvo y pellets de pescado, crustáceos, moluscos y demás invertebrados acuáticos' },
+  '019': { rate: 10, description: 'Arrendamiento de bienes muebles' },
+  '020': { rate: 12, description: 'Mantenimiento y reparación de bienes muebles' },
+  '021': { rate: 10, description: 'Movimiento de carga' },
+  '022': { rate: 12, description: 'Otros servicios empresariales' },
+  '024': { rate: 10, description: 'Comisión mercantil' },
+  '025': { rate: 10, description: 'Fabricación de bienes por encargo' },
+  '026': { rate: 10, description: 'Servicio de transporte de personas' },
+  '027': { rate: 4, description: 'Servicio de transporte de carga' },
+  '030': { rate: 4, description: 'Contratos de construcción' },
+  '031': { rate: 10, description: 'Oro gravado con el IGV' },
+  '034': { rate: 10, description: 'Minerales metálicos no auríferos' },
+  '035': { rate: 1.5, description: 'Bienes exonerados del IGV' },
+  '036': { rate: 1.5, description: 'Oro y demás minerales metálicos exonerados del IGV' },
+  '037': { rate: 12, description: 'Demás servicios gravados con el IGV' },
+  '039': { rate: 10, description: 'Minerales no metálicos' },
+  '040': { rate: 4, description: 'Bien inmueble gravado con IGV' },
+  '041': { rate: 4, description: 'Plomo' }
+};
+
+// Importe de la operación (en soles) a partir del cual se aplica la detracción
+const DETRACTION_THRESHOLD = 700;
+
+// Catálogo 59: Medios de pago
+const PAYMENT_MEANS_CODES = {
+  ACCOUNT_DEPOSIT: '001'
+};
+
+// Forma de pago de las facturas (cac:PaymentTerms con ID FormaPago)
+const PAYMENT_TERMS = {
+  cash: 'Contado',
+  credit: 'Credito'
+};
+
+const CURRENCY_NAMES = {
+  PEN: 'SOLES',
+  USD: 'DÓLARES AMERICANOS',
+  EUR: 'EUROS'
+};
+
+module.exports = {
+  DOCUMENT_TYPE_CODES,
+  TAX_TYPES,
+  AFFECTATION_CODES,
+  IVAP_RATE,
+  TAX_TYPE_AFFECTATION,
+  IDENTITY_DOCUMENT_TYPES,
+  ISC_SYSTEMS,
+  ISC_SYSTEM_CODES,
+  CREDIT_NOTE_REASONS,
+  FULL_CREDIT_NOTE_REASONS,
+  DEBIT_NOTE_REASONS,
+  SUMMARY_VALUE_TYPES,
+  SUMMARY_CONDITIONS,
+  ADVANCE_DOCUMENT_TYPES,
+  PRICE_TYPES,
+  TRANSPORT_MODES,
+  TRANSFER_REASONS,
+  PERCEPTION_REGIMES,
+  RETENTION_REGIMES,
+  OPERATION_TYPES,
+  EXPORT_OPERATION_TYPES,
+  INCOTERMS,
+  LEGEND_CODES,
+  ALLOWANCE_CHARGE_CODES,
+  GLOBAL_ALLOWANCE_CHARGES,
+  DETRACTION_GOODS_SERVICES,
+  DETRACTION_THRESHOLD,
+  PAYMENT_MEANS_CODES,
+  PAYMENT_TERMS,
+  CURRENCY_NAMES
+};
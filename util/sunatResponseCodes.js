@@ -0,0 +1,180 @@
+'use strict'
+
+const CODIGOS_RETORNO = require('./codigosRetorno.json');
+
+/**
+ * Clasificación de los códigos de retorno de SUNAT (CodigosRetorno):
+ * 0 aceptado, 0100-1999 excepción (el comprobante no se recibió),
+ * 2000-3999 rechazo y 4000 en adelante aceptado con observaciones.
+ * Los códigos no incluidos en codigosRetorno.json se explican por su rango.
+ * El archivo se regenera desde la lista publicada por SUNAT con
+ * scripts/importCodigosRetorno.js.
+ */
+const RESPONSE_CLASSIFICATIONS = {
+  accepted: {
+    sunatStatus: 'accepted',
+    label: 'Aceptado',
+    explanation: 'El comprobante fue aceptado por SUNAT.',
+    fix: null
+  },
+  observed: {
+    sunatStatus: 'accepted',
+    label: 'Aceptado con observaciones',
+    explanation: 'El comprobante fue aceptado, pero SUNAT registró observaciones.',
+    fix: 'Corrija las observaciones en las siguientes emisiones.'
+  },
+  rejected: {
+    sunatStatus: 'rejected',
+    label: 'Rechazado',
+    explanation: 'SUNAT rechazó el comprobante; no tiene validez tributaria.',
+    fix: 'Corrija el motivo del rechazo y emita un nuevo comprobante con otro número.'
+  },
+  exception: {
+    sunatStatus: 'error',
+    label: 'Excepción',
+    explanation: 'SUNAT no recibió el comprobante por un error en el envío o en su formato.',
+    fix: 'Corrija el error indicado y vuelva a enviar el mismo comprobante.'
+  }
+};
+
+const classifyResponseCode = (code) => {
+  const numericCode = parseInt(code);
+  if (isNaN(numericCode)) return null;
+
+  if (numericCode === 0) return 'accepted';
+  if (numericCode >= 100 && numericCode < 2000) return 'exception';
+  if (numericCode >= 2000 && numericCode < 4000) return 'rejected';
+  if (numericCode >= 4000) return 'observed';
+
+  return null;
+};
+
+// Código en el formato de CodigosRetorno: '0' o cuatro dígitos
+const normalizeResponseCode = (code) => parseInt(code) === 0 ? '0' : String(parseInt(code)).padStart(4, '0');
+
+/**
+ * Describe un código de retorno: clasificación, explicación y solución sugerida.
+ * Devuelve null si no hay código o no pertenece al catálogo de retorno.
+ */
+const describeResponseCode = (code) => {
+  const classification = classifyResponseCode(code);
+  if (!classification) return null;
+
+  const normalizedCode = normalizeResponseCode(code);
+  const generic = RESPONSE_CLASSIFICATIONS[classification];
+  const entry = CODIGOS_RETORNO[normalizedCode];
+
+  // Los códigos importados de SUNAT sin solución redactada usan la de su rango
+  return {
+    code: normalizedCode,
+    classification,
+    label: generic.label,
+    explanation: entry ? entry.explanation : generic.explanation,
+    fix: entry && entry.fix ? entry.fix : generic.fix
+  };
+};
+
+// sunat_status que corresponde a un código de retorno; 'error' si no se puede clasificar
+const sunatStatusForCode = (code) => {
+  const classification = classifyResponseCode(code);
+  return classification ? RESPONSE_CLASSIFICATIONS[classification].sunatStatus : 'error';
+};
+
+// Fila que empieza con un código numérico, con o sin comillas, seguido del separador:
+// barra vertical, punto y coma, tabulación o coma
+const CODE_ROW_PATTERN = /^\s*"?\s*(\d{1,4})\s*"?\s*([|;\t,])/;
+
+// Separa una fila en celdas; el separador dentro de una celda entre comillas no la divide
+const splitRow = (row, delimiter) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < row.length; index++) {
+    const char = row[index];
+    if (char === '"') {
+      if (quoted && row[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+};
+
+/**
+ * Interpreta la lista CodigosRetorno publicada por SUNAT, exportada como CSV: una
+ * fila por código con el código y su descripción en las dos primeras columnas. El
+ * separador (barra vertical, punto y coma, tabulación o coma) se toma de la primera
+ * fila con código y se usa en todo el archivo. Las filas que no empiezan con un
+ * código (encabezados, títulos de sección) se omiten; las que empiezan con uno y no
+ * se pueden interpretar se informan como error.
+ * Devuelve { codes: { '0100': descripción }, errors: [{ line, message }] }.
+ */
+const parseCodigosRetornoCsv = (content) => {
+  const codes = {};
+  const errors = [];
+  const rows = String(content || '').split(/\r?\n/);
+
+  const firstCodeRow = rows.map(row => row.match(CODE_ROW_PATTERN)).find(Boolean);
+  if (!firstCodeRow) return { codes, errors };
+  const delimiter = firstCodeRow[2];
+
+  rows.forEach((row, index) => {
+    if (!/^\s*"?\s*\d/.test(row)) return;
+
+    const [codeValue = '', descriptionValue = ''] = splitRow(row, delimiter);
+    const description = descriptionValue.replace(/\s+/g, ' ').trim();
+    const line = index + 1;
+
+    if (!/^\d{1,4}$/.test(codeValue) || !classifyResponseCode(codeValue)) {
+      errors.push({ line, message: `Fila sin un código de retorno válido separado por "${delimiter === '\t' ? 'tabulación' : delimiter}"` });
+      return;
+    }
+
+    const code = normalizeResponseCode(codeValue);
+    if (!description) {
+      errors.push({ line, message: `El código ${code} no tiene descripción` });
+    } else if (codes[code] && codes[code] !== description) {
+      errors.push({ line, message: `El código ${code} está repetido con otra descripción` });
+    } else {
+      codes[code] = description;
+    }
+  });
+
+  return { codes, errors };
+};
+
+/**
+ * Combina la lista oficial con codigosRetorno.json: los códigos nuevos toman la
+ * descripción de SUNAT y los existentes conservan su explicación y solución.
+ * Devuelve las entradas [código, { explanation, fix }] ordenadas por código (un
+ * objeto pondría los códigos sin cero inicial antes que '0100').
+ */
+const mergeCodigosRetorno = (current, officialCodes) => {
+  const merged = { ...current };
+  for (const [code, description] of Object.entries(officialCodes)) {
+    if (!merged[code]) merged[code] = { explanation: description, fix: null };
+  }
+
+  return Object.entries(merged).sort(([a], [b]) => parseInt(a) - parseInt(b));
+};
+
+module.exports = {
+  RESPONSE_CLASSIFICATIONS,
+  classifyResponseCode,
+  normalizeResponseCode,
+  parseCodigosRetornoCsv,
+  mergeCodigosRetorno,
+  describeResponseCode,
+  sunatStatusForCode
+};
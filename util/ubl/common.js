@@ -0,0 +1,307 @@
+'use strict'
+
+const { escapeXml } = require('../xml');
+const XmlSigner = require('../XmlSigner');
+const NumberToLetter = require('../NumberToLetter');
+const { round } = require('../invoiceTotals');
+const {
+  DOCUMENT_TYPE_CODES,
+  TAX_TYPES,
+  AFFECTATION_CODES,
+  TAX_TYPE_AFFECTATION,
+  IDENTITY_DOCUMENT_TYPES,
+  LEGEND_CODES,
+  CURRENCY_NAMES,
+  ADVANCE_DOCUMENT_TYPES,
+  ALLOWANCE_CHARGE_CODES,
+  GLOBAL_ALLOWANCE_CHARGES
+} = require('../sunatCatalogs');
+
+const NAMESPACES = {
+  cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+  ext: 'urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2',
+  ds: 'http://www.w3.org/2000/09/xmldsig#',
+  sac: 'urn:sunat:names:specification:ubl:peru:schema:xsd:SunatAggregateComponents-1'
+};
+
+const CATALOG_URI = 'urn:pe:gob:sunat:cpe:see:gem:catalogos:catalogo';
+
+// Declaración de namespaces comunes para el elemento raíz
+const namespaceAttributes = () => Object.entries(NAMESPACES)
+  .map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`)
+  .join('\n         ');
+
+const amount = (value, decimals = 2) => round(value, decimals).toFixed(decimals);
+
+const amountTag = (tag, value, currency, decimals = 2) =>
+  `<cbc:${tag} currencyID="${currency}">${amount(value, decimals)}</cbc:${tag}>`;
+
+// Bloque donde XmlSigner inserta la firma digital
+const extensionsBlock = () => `
+  <ext:UBLExtensions>
+    <ext:UBLExtension>
+      <ext:ExtensionContent/>
+    </ext:UBLExtension>
+  </ext:UBLExtensions>`;
+
+const signatureBlock = (company) => `
+  <cac:Signature>
+    <cbc:ID>${XmlSigner.SIGNATURE_ID}</cbc:ID>
+    <cac:SignatoryParty>
+      <cac:PartyIdentification>
+        <cbc:ID>${escapeXml(company.ruc)}</cbc:ID>
+      </cac:PartyIdentification>
+      <cac:PartyName>
+        <cbc:Name>${escapeXml(company.business_name || company.name)}</cbc:Name>
+      </cac:PartyName>
+    </cac:SignatoryParty>
+    <cac:DigitalSignatureAttachment>
+      <cac:ExternalReference>
+        <cbc:URI>#${XmlSigner.SIGNATURE_ID}</cbc:URI>
+      </cac:ExternalReference>
+    </cac:DigitalSignatureAttachment>
+  </cac:Signature>`;
+
+const supplierParty = (company) => `
+  <cac:AccountingSupplierParty>
+    <cac:Party>
+      <cac:PartyIdentification>
+        <cbc:ID schemeID="6" schemeName="Documento de Identidad" schemeAgencyName="PE:SUNAT" schemeURI="${CATALOG_URI}06">${escapeXml(company.ruc)}</cbc:ID>
+      </cac:PartyIdentification>
+      <cac:PartyName>
+        <cbc:Name>${escapeXml(company.name)}</cbc:Name>
+      </cac:PartyName>
+      <cac:PartyLegalEntity>
+        <cbc:RegistrationName>${escapeXml(company.business_name || company.name)}</cbc:RegistrationName>
+        <cac:RegistrationAddress>${company.ubigeo ? `
+          <cbc:ID schemeName="Ubigeos" schemeAgencyName="PE:INEI">${escapeXml(company.ubigeo)}</cbc:ID>` : ''}
+          <cbc:AddressTypeCode listAgencyName="PE:SUNAT" listName="Establecimientos anexos">${escapeXml(company.establishment_code || '0000')}</cbc:AddressTypeCode>${company.province ? `
+          <cbc:CityName>${escapeXml(company.province)}</cbc:CityName>` : ''}${company.department ? `
+          <cbc:CountrySubentity>${escapeXml(company.department)}</cbc:CountrySubentity>` : ''}${company.district ? `
+          <cbc:District>${escapeXml(company.district)}</cbc:District>` : ''}${company.address ? `
+          <cac:AddressLine>
+            <cbc:Line>${escapeXml(company.address)}</cbc:Line>
+          </cac:AddressLine>` : ''}
+          <cac:Country>
+            <cbc:IdentificationCode listID="ISO 3166-1" listAgencyName="United Nations Economic Commission for Europe" listName="Country">PE</cbc:IdentificationCode>
+          </cac:Country>
+        </cac:RegistrationAddress>
+      </cac:PartyLegalEntity>
+    </cac:Party>
+  </cac:AccountingSupplierParty>`;
+
+// País (ISO 3166-1 alfa-2) de un cliente del exterior; los domiciliados no lo informan
+const foreignCountry = (customer) =>
+  /^[A-Z]{2}$/.test(customer.country || '') && customer.country !== 'PE' ? customer.country : null;
+
+const countryBlock = (countryCode, indent) => `
+${indent}<cac:Country>
+${indent}  <cbc:IdentificationCode listID="ISO 3166-1" listAgencyName="United Nations Economic Commission for Europe" listName="Country">${escapeXml(countryCode)}</cbc:IdentificationCode>
+${indent}</cac:Country>`;
+
+const customerParty = (customer) => {
+  const country = foreignCountry(customer);
+
+  return `
+  <cac:AccountingCustomerParty>
+    <cac:Party>
+      <cac:PartyIdentification>
+        <cbc:ID schemeID="${IDENTITY_DOCUMENT_TYPES[customer.document_type] || '0'}" schemeName="Documento de Identidad" schemeAgencyName="PE:SUNAT" schemeURI="${CATALOG_URI}06">${escapeXml(customer.document_number)}</cbc:ID>
+      </cac:PartyIdentification>
+      <cac:PartyLegalEntity>
+        <cbc:RegistrationName>${escapeXml(customer.business_name || customer.name)}</cbc:RegistrationName>${customer.address || country ? `
+        <cac:RegistrationAddress>${customer.address ? `
+          <cac:AddressLine>
+            <cbc:Line>${escapeXml(customer.address)}</cbc:Line>
+          </cac:AddressLine>` : ''}${country ? countryBlock(country, '          ') : ''}
+        </cac:RegistrationAddress>` : ''}
+      </cac:PartyLegalEntity>
+    </cac:Party>
+  </cac:AccountingCustomerParty>`;
+};
+
+// Afectación del IGV (catálogo 07) de la línea; las líneas sin código usan la del producto
+const getAffectationCode = (item) => item.affectation_code ||
+  TAX_TYPE_AFFECTATION[item.product && item.product.tax_type] || '10';
+
+const taxScheme = (tax, indent = '        ') => `
+${indent}<cac:TaxScheme>
+${indent}  <cbc:ID schemeName="Codigo de tributos" schemeAgencyName="PE:SUNAT" schemeURI="${CATALOG_URI}05">${tax.id}</cbc:ID>
+${indent}  <cbc:Name>${tax.name}</cbc:Name>
+${indent}  <cbc:TaxTypeCode>${tax.code}</cbc:TaxTypeCode>
+${indent}</cac:TaxScheme>`;
+
+// TaxSubtotal de una línea (incluye porcentaje y afectación del IGV)
+const lineTaxSubtotal = ({ taxableAmount, taxAmount, percent, affectationCode }, currency) => {
+  const affectation = AFFECTATION_CODES[affectationCode];
+  const tax = TAX_TYPES[affectation.tax];
+
+  return `
+      <cac:TaxSubtotal>
+        ${amountTag('TaxableAmount', taxableAmount, currency)}
+        ${amountTag('TaxAmount', taxAmount, currency)}
+        <cac:TaxCategory>
+          <cbc:ID schemeID="UN/ECE 5305" schemeName="Tax Category Identifier" schemeAgencyName="United Nations Economic Commission for Europe">${affectation.category}</cbc:ID>
+          <cbc:Percent>${amount(percent)}</cbc:Percent>
+          <cbc:TaxExemptionReasonCode listAgencyName="PE:SUNAT" listName="Afectacion del IGV" listURI="${CATALOG_URI}07">${affectationCode}</cbc:TaxExemptionReasonCode>${taxScheme(tax, '          ')}
+        </cac:TaxCategory>
+      </cac:TaxSubtotal>`;
+};
+
+// TaxSubtotal del ISC de una línea; TierRange indica el sistema de cálculo (catálogo 08)
+const iscTaxSubtotal = ({ taxableAmount, taxAmount, percent, system }, currency) => `
+      <cac:TaxSubtotal>
+        ${amountTag('TaxableAmount', taxableAmount, currency)}
+        ${amountTag('TaxAmount', taxAmount, currency)}
+        <cac:TaxCategory>
+          <cbc:ID schemeID="UN/ECE 5305" schemeName="Tax Category Identifier" schemeAgencyName="United Nations Economic Commission for Europe">S</cbc:ID>
+          <cbc:Percent>${amount(percent)}</cbc:Percent>
+          <cbc:TierRange>${system}</cbc:TierRange>${taxScheme(TAX_TYPES.ISC, '          ')}
+        </cac:TaxCategory>
+      </cac:TaxSubtotal>`;
+
+// TaxSubtotal del ICBPER de una línea: monto fijo por unidad sobre la cantidad de bolsas
+const icbperTaxSubtotal = ({ quantity, unitCode, unitAmount, taxAmount }, currency) => `
+      <cac:TaxSubtotal>
+        ${amountTag('TaxAmount', taxAmount, currency)}
+        <cbc:BaseUnitMeasure unitCode="${escapeXml(unitCode)}">${quantity}</cbc:BaseUnitMeasure>
+        <cac:TaxCategory>
+          ${amountTag('PerUnitAmount', unitAmount, currency)}${taxScheme(TAX_TYPES.ICBPER, '          ')}
+        </cac:TaxCategory>
+      </cac:TaxSubtotal>`;
+
+// TaxSubtotal a nivel de documento, agrupado por tributo (el ICBPER no tiene base imponible)
+const documentTaxSubtotal = ({ taxableAmount, taxAmount, tax }, currency) => `
+    <cac:TaxSubtotal>${taxableAmount === null ? '' : `
+      ${amountTag('TaxableAmount', taxableAmount, currency)}`}
+      ${amountTag('TaxAmount', taxAmount, currency)}
+      <cac:TaxCategory>${taxScheme(tax)}
+      </cac:TaxCategory>
+    </cac:TaxSubtotal>`;
+
+// Total de tributos del documento: IGV o IVAP, ISC e ICBPER
+const documentTaxAmount = (document) => round(
+  parseFloat(document.tax_amount) + parseFloat(document.isc_amount || 0) + parseFloat(document.icbper_amount || 0)
+);
+
+// Factor del descuento o cargo sobre su base; se omite si la base es cero
+const multiplierFactor = (value, baseAmount) => parseFloat(baseAmount) > 0 ? `
+    <cbc:MultiplierFactorNumeric>${round(parseFloat(value) / parseFloat(baseAmount), 5)}</cbc:MultiplierFactorNumeric>` : '';
+
+// Comprobantes de anticipo deducidos (catálogo 12); DocumentStatusCode enlaza con su PrepaidPayment
+const advanceReferences = (document) => (document.advances || []).map((advance, index) => `
+  <cac:AdditionalDocumentReference>
+    <cbc:ID>${escapeXml(advance.advanceInvoice.invoice_number)}</cbc:ID>
+    <cbc:DocumentTypeCode listAgencyName="PE:SUNAT" listName="Documento Relacionado" listURI="${CATALOG_URI}12">${ADVANCE_DOCUMENT_TYPES[advance.advanceInvoice.document_type]}</cbc:DocumentTypeCode>
+    <cbc:DocumentStatusCode listName="Anticipo" listAgencyName="PE:SUNAT">${index + 1}</cbc:DocumentStatusCode>
+    <cac:IssuerParty>
+      <cac:PartyIdentification>
+        <cbc:ID schemeID="6" schemeName="Documento de Identidad" schemeAgencyName="PE:SUNAT" schemeURI="${CATALOG_URI}06">${escapeXml(document.company.ruc)}</cbc:ID>
+      </cac:PartyIdentification>
+    </cac:IssuerParty>
+  </cac:AdditionalDocumentReference>`).join('');
+
+// Importe de cada anticipo deducido, con impuestos
+const prepaidPayments = (document) => (document.advances || []).map((advance, index) => `
+  <cac:PrepaidPayment>
+    <cbc:ID schemeName="Anticipo" schemeAgencyName="PE:SUNAT">${index + 1}</cbc:ID>
+    ${amountTag('PaidAmount', advance.amount, document.currency)}
+  </cac:PrepaidPayment>`).join('');
+
+// Valor de venta de las líneas onerosas gravadas con IGV, base de la deducción de anticipos
+const taxedLinesValue = (lines) => lines
+  .filter(line => !line.free && AFFECTATION_CODES[line.affectationCode].tax === 'IGV')
+  .reduce((acc, line) => acc + line.lineValue, 0);
+
+// Descuento global por anticipo gravado (catálogo 53, código 04): reduce la base imponible
+const advanceAllowances = (document, lines) => {
+  const baseAmount = taxedLinesValue(lines);
+
+  return (document.advances || []).map(advance => `
+  <cac:AllowanceCharge>
+    <cbc:ChargeIndicator>false</cbc:ChargeIndicator>
+    <cbc:AllowanceChargeReasonCode listAgencyName="PE:SUNAT" listName="Cargo/descuento" listURI="${CATALOG_URI}53">${ALLOWANCE_CHARGE_CODES.TAXED_ADVANCE}</cbc:AllowanceChargeReasonCode>${multiplierFactor(advance.taxable_amount, baseAmount)}
+    ${amountTag('Amount', advance.taxable_amount, document.currency)}
+    ${amountTag('BaseAmount', baseAmount, document.currency)}
+  </cac:AllowanceCharge>`).join('');
+};
+
+// Descuentos y cargos globales (catálogo 53) sobre el valor gravado o el importe total
+const globalAllowanceCharges = (document) => (document.allowanceCharges || []).map(entry => `
+  <cac:AllowanceCharge>
+    <cbc:ChargeIndicator>${GLOBAL_ALLOWANCE_CHARGES[entry.code].charge}</cbc:ChargeIndicator>
+    <cbc:AllowanceChargeReasonCode listAgencyName="PE:SUNAT" listName="Cargo/descuento" listURI="${CATALOG_URI}53">${entry.code}</cbc:AllowanceChargeReasonCode>${entry.description ? `
+    <cbc:AllowanceChargeReason>${escapeXml(entry.description)}</cbc:AllowanceChargeReason>` : ''}${multiplierFactor(entry.amount, entry.base_amount)}
+    ${amountTag('Amount', entry.amount, document.currency)}
+    ${amountTag('BaseAmount', entry.base_amount, document.currency)}
+  </cac:AllowanceCharge>`).join('');
+
+// Importe con impuestos antes de los descuentos y cargos globales que no afectan la base
+// imponible y de los anticipos deducidos, que se informan aparte en PrepaidAmount:
+// PayableAmount = TaxInclusiveAmount - AllowanceTotalAmount + ChargeTotalAmount - PrepaidAmount
+const taxInclusiveAmount = (document) => round(parseFloat(document.total_amount) +
+  parseFloat(document.prepaid_amount || 0) +
+  parseFloat(document.allowance_total_amount || 0) - parseFloat(document.charge_total_amount || 0));
+
+// Totales de descuentos y cargos globales de LegalMonetaryTotal, si los hay
+const allowanceChargeTotals = (document, currency) => `${parseFloat(document.allowance_total_amount) > 0 ? `
+    ${amountTag('AllowanceTotalAmount', document.allowance_total_amount, currency)}` : ''}${parseFloat(document.charge_total_amount) > 0 ? `
+    ${amountTag('ChargeTotalAmount', document.charge_total_amount, currency)}` : ''}`;
+
+// Leyenda con el importe en letras (catálogo 52, código 1000)
+const amountInWordsNote = (total, currency) =>
+  `<cbc:Note languageLocaleID="${LEGEND_CODES.AMOUNT_IN_WORDS}">${escapeXml(NumberToLetter.convertir(round(total), CURRENCY_NAMES[currency] || currency))}</cbc:Note>`;
+
+// Leyenda de transferencia gratuita (catálogo 52, código 1002) si alguna línea es gratuita
+const freeTransferNote = (lines) => lines.some(line => line.free) ? `
+  <cbc:Note languageLocaleID="${LEGEND_CODES.FREE_TRANSFER}">TRANSFERENCIA GRATUITA DE UN BIEN Y/O SERVICIO PRESTADO GRATUITAMENTE</cbc:Note>` : '';
+
+// Motivo de la nota (catálogo 09 o 10) y comprobante que modifica
+const discrepancyBlock = (note, { catalog, listName }) => {
+  const reference = note.referenceInvoice;
+
+  return `
+  <cac:DiscrepancyResponse>
+    <cbc:ReferenceID>${escapeXml(reference.invoice_number)}</cbc:ReferenceID>
+    <cbc:ResponseCode listAgencyName="PE:SUNAT" listName="${listName}" listURI="${CATALOG_URI}${catalog}">${escapeXml(note.note_reason_code)}</cbc:ResponseCode>
+    <cbc:Description>${escapeXml(note.note_reason_description)}</cbc:Description>
+  </cac:DiscrepancyResponse>
+  <cac:BillingReference>
+    <cac:InvoiceDocumentReference>
+      <cbc:ID>${escapeXml(reference.invoice_number)}</cbc:ID>
+      <cbc:DocumentTypeCode listAgencyName="PE:SUNAT" listName="Tipo de Documento" listURI="${CATALOG_URI}01">${DOCUMENT_TYPE_CODES[reference.document_type]}</cbc:DocumentTypeCode>
+    </cac:InvoiceDocumentReference>
+  </cac:BillingReference>`;
+};
+
+module.exports = {
+  NAMESPACES,
+  CATALOG_URI,
+  namespaceAttributes,
+  round,
+  amount,
+  amountTag,
+  extensionsBlock,
+  signatureBlock,
+  supplierParty,
+  countryBlock,
+  customerParty,
+  getAffectationCode,
+  taxScheme,
+  lineTaxSubtotal,
+  iscTaxSubtotal,
+  icbperTaxSubtotal,
+  documentTaxSubtotal,
+  documentTaxAmount,
+  multiplierFactor,
+  advanceReferences,
+  prepaidPayments,
+  advanceAllowances,
+  globalAllowanceCharges,
+  taxInclusiveAmount,
+  allowanceChargeTotals,
+  amountInWordsNote,
+  freeTransferNote,
+  discrepancyBlock
+};
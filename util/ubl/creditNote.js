@@ -0,0 +1,63 @@
+'use strict'
+
+const { escapeXml } = require('../xml');
+const {
+  CATALOG_URI,
+  namespaceAttributes,
+  amountTag,
+  extensionsBlock,
+  signatureBlock,
+  supplierParty,
+  customerParty,
+  documentTaxSubtotal,
+  documentTaxAmount,
+  advanceReferences,
+  prepaidPayments,
+  advanceAllowances,
+  globalAllowanceCharges,
+  taxInclusiveAmount,
+  allowanceChargeTotals,
+  amountInWordsNote,
+  freeTransferNote,
+  discrepancyBlock
+} = require('./common');
+const { buildLineData, buildTaxSubtotals, adjustIgvSubtotal, documentLine } = require('./lines');
+
+/**
+ * Genera el XML UBL 2.1 (CreditNote-2) de una nota de crédito, sin firmar.
+ * La nota debe incluir company, customer, referenceInvoice e items con su product;
+ * las anulaciones y devoluciones totales incluyen los allowanceCharges y advances
+ * (con su advanceInvoice) del comprobante.
+ */
+const buildCreditNoteXml = (note) => {
+  const currency = note.currency;
+  const lines = note.items.map(buildLineData);
+  const taxSubtotals = adjustIgvSubtotal(buildTaxSubtotals(lines), note);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<CreditNote xmlns="urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2"
+         ${namespaceAttributes()}>${extensionsBlock()}
+  <cbc:UBLVersionID>2.1</cbc:UBLVersionID>
+  <cbc:CustomizationID schemeAgencyName="PE:SUNAT">2.0</cbc:CustomizationID>
+  <cbc:ID>${escapeXml(note.invoice_number)}</cbc:ID>
+  <cbc:IssueDate>${note.issue_date}</cbc:IssueDate>
+  ${amountInWordsNote(note.total_amount, currency)}${freeTransferNote(lines)}
+  <cbc:DocumentCurrencyCode listID="ISO 4217 Alpha" listName="Currency" listAgencyName="United Nations Economic Commission for Europe">${currency}</cbc:DocumentCurrencyCode>${discrepancyBlock(note, { catalog: '09', listName: 'Tipo de nota de credito' })}${advanceReferences(note)}${signatureBlock(note.company)}${supplierParty(note.company)}${customerParty(note.customer)}${prepaidPayments(note)}${advanceAllowances(note, lines)}${globalAllowanceCharges(note)}
+  <cac:TaxTotal>
+    ${amountTag('TaxAmount', documentTaxAmount(note), currency)}${taxSubtotals.map(subtotal => documentTaxSubtotal(subtotal, currency)).join('')}
+  </cac:TaxTotal>
+  <cac:LegalMonetaryTotal>
+    ${amountTag('LineExtensionAmount', note.subtotal, currency)}
+    ${amountTag('TaxInclusiveAmount', taxInclusiveAmount(note), currency)}${allowanceChargeTotals(note, currency)}${parseFloat(note.prepaid_amount) > 0 ? `
+    ${amountTag('PrepaidAmount', note.prepaid_amount, currency)}` : ''}
+    ${amountTag('PayableAmount', note.total_amount, currency)}
+  </cac:LegalMonetaryTotal>${lines.map((line, index) => documentLine(line, index, currency, {
+    lineTag: 'CreditNoteLine',
+    quantityTag: 'CreditedQuantity'
+  })).join('')}
+</CreditNote>`;
+};
+
+module.exports = {
+  buildCreditNoteXml
+};
@@ -0,0 +1,53 @@
+'use strict'
+
+const { escapeXml } = require('../xml');
+const {
+  namespaceAttributes,
+  amountTag,
+  extensionsBlock,
+  signatureBlock,
+  supplierParty,
+  customerParty,
+  documentTaxSubtotal,
+  documentTaxAmount,
+  amountInWordsNote,
+  freeTransferNote,
+  discrepancyBlock
+} = require('./common');
+const { buildLineData, buildTaxSubtotals, documentLine } = require('./lines');
+
+/**
+ * Genera el XML UBL 2.1 (DebitNote-2) de una nota de débito, sin firmar.
+ * La nota debe incluir company, customer, referenceInvoice e items con su product.
+ */
+const buildDebitNoteXml = (note) => {
+  const currency = note.currency;
+  const lines = note.items.map(buildLineData);
+  const taxSubtotals = buildTaxSubtotals(lines);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<DebitNote xmlns="urn:oasis:names:specification:ubl:schema:xsd:DebitNote-2"
+         ${namespaceAttributes()}>${extensionsBlock()}
+  <cbc:UBLVersionID>2.1</cbc:UBLVersionID>
+  <cbc:CustomizationID schemeAgencyName="PE:SUNAT">2.0</cbc:CustomizationID>
+  <cbc:ID>${escapeXml(note.invoice_number)}</cbc:ID>
+  <cbc:IssueDate>${note.issue_date}</cbc:IssueDate>
+  ${amountInWordsNote(note.total_amount, currency)}${freeTransferNote(lines)}
+  <cbc:DocumentCurrencyCode listID="ISO 4217 Alpha" listName="Currency" listAgencyName="United Nations Economic Commission for Europe">${currency}</cbc:DocumentCurrencyCode>${discrepancyBlock(note, { catalog: '10', listName: 'Tipo de nota de debito' })}${signatureBlock(note.company)}${supplierParty(note.company)}${customerParty(note.customer)}
+  <cac:TaxTotal>
+    ${amountTag('TaxAmount', documentTaxAmount(note), currency)}${taxSubtotals.map(subtotal => documentTaxSubtotal(subtotal, currency)).join('')}
+  </cac:TaxTotal>
+  <cac:RequestedMonetaryTotal>
+    ${amountTag('LineExtensionAmount', note.subtotal, currency)}
+    ${amountTag('TaxInclusiveAmount', note.total_amount, currency)}
+    ${amountTag('PayableAmount', note.total_amount, currency)}
+  </cac:RequestedMonetaryTotal>${lines.map((line, index) => documentLine(line, index, currency, {
+    lineTag: 'DebitNoteLine',
+    quantityTag: 'DebitedQuantity'
+  })).join('')}
+</DebitNote>`;
+};
+
+module.exports = {
+  buildDebitNoteXml
+};
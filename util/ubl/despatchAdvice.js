@@ -0,0 +1,145 @@
+'use strict'
+
+const { escapeXml } = require('../xml');
+const {
+  DOCUMENT_TYPE_CODES,
+  IDENTITY_DOCUMENT_TYPES,
+  TRANSPORT_MODES,
+  TRANSFER_REASONS
+} = require('../sunatCatalogs');
+const {
+  CATALOG_URI,
+  namespaceAttributes,
+  extensionsBlock,
+  signatureBlock
+} = require('./common');
+
+const partyIdentification = (schemeID, id) => `
+      <cac:PartyIdentification>
+        <cbc:ID schemeID="${schemeID}" schemeName="Documento de Identidad" schemeAgencyName="PE:SUNAT" schemeURI="${CATALOG_URI}06">${escapeXml(id)}</cbc:ID>
+      </cac:PartyIdentification>`;
+
+// Comprobante relacionado al traslado (factura o boleta)
+const relatedInvoiceReference = (despatch) => {
+  if (!despatch.invoice) return '';
+
+  return `
+  <cac:AdditionalDocumentReference>
+    <cbc:ID>${escapeXml(despatch.invoice.invoice_number)}</cbc:ID>
+    <cbc:DocumentTypeCode listAgencyName="PE:SUNAT" listName="Documento relacionado al transporte" listURI="${CATALOG_URI}61">${DOCUMENT_TYPE_CODES[despatch.invoice.document_type]}</cbc:DocumentTypeCode>
+    <cac:IssuerParty>${partyIdentification('6', despatch.company.ruc)}
+    </cac:IssuerParty>
+  </cac:AdditionalDocumentReference>`;
+};
+
+// Transportista (transporte público) o conductor y vehículo (transporte privado)
+const carrierBlock = (despatch) => {
+  if (despatch.transport_mode === TRANSPORT_MODES.PUBLIC) {
+    return `
+      <cac:CarrierParty>${partyIdentification('6', despatch.carrier_ruc)}
+        <cac:PartyLegalEntity>
+          <cbc:RegistrationName>${escapeXml(despatch.carrier_name)}</cbc:RegistrationName>${despatch.carrier_mtc_registration ? `
+          <cbc:CompanyID>${escapeXml(despatch.carrier_mtc_registration)}</cbc:CompanyID>` : ''}
+        </cac:PartyLegalEntity>
+      </cac:CarrierParty>`;
+  }
+
+  return `
+      <cac:DriverPerson>
+        <cbc:ID schemeID="${IDENTITY_DOCUMENT_TYPES[despatch.driver_document_type] || '1'}" schemeName="Documento de Identidad" schemeAgencyName="PE:SUNAT" schemeURI="${CATALOG_URI}06">${escapeXml(despatch.driver_document_number)}</cbc:ID>
+        <cbc:FirstName>${escapeXml(despatch.driver_first_name)}</cbc:FirstName>
+        <cbc:FamilyName>${escapeXml(despatch.driver_last_name)}</cbc:FamilyName>
+        <cbc:JobTitle>Principal</cbc:JobTitle>
+        <cac:IdentityDocumentReference>
+          <cbc:ID>${escapeXml(despatch.driver_license)}</cbc:ID>
+        </cac:IdentityDocumentReference>
+      </cac:DriverPerson>`;
+};
+
+const addressBlock = (tag, ubigeo, address, indent = '      ') => `
+${indent}<cac:${tag}>
+${indent}  <cbc:ID schemeAgencyName="PE:INEI" schemeName="Ubigeos">${escapeXml(ubigeo)}</cbc:ID>
+${indent}  <cac:AddressLine>
+${indent}    <cbc:Line>${escapeXml(address)}</cbc:Line>
+${indent}  </cac:AddressLine>
+${indent}</cac:${tag}>`;
+
+const despatchLine = (item, index) => {
+  const product = item.product || {};
+
+  return `
+  <cac:DespatchLine>
+    <cbc:ID>${index + 1}</cbc:ID>
+    <cbc:DeliveredQuantity unitCode="${escapeXml(product.unit_type || 'NIU')}" unitCodeListID="UN/ECE rec 20" unitCodeListAgencyName="United Nations Economic Commission for Europe">${parseFloat(item.quantity)}</cbc:DeliveredQuantity>
+    <cac:OrderLineReference>
+      <cbc:LineID>${index + 1}</cbc:LineID>
+    </cac:OrderLineReference>
+    <cac:Item>
+      <cbc:Description>${escapeXml(product.name)}</cbc:Description>${product.code ? `
+      <cac:SellersItemIdentification>
+        <cbc:ID>${escapeXml(product.code)}</cbc:ID>
+      </cac:SellersItemIdentification>` : ''}
+    </cac:Item>
+  </cac:DespatchLine>`;
+};
+
+/**
+ * Genera el XML UBL 2.1 (DespatchAdvice-2) de una guía de remisión remitente, sin firmar.
+ * La guía debe incluir company, customer, items con su product e invoice si está relacionada.
+ */
+const buildDespatchAdviceXml = (despatch) => {
+  const company = despatch.company;
+  const customer = despatch.customer;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<DespatchAdvice xmlns="urn:oasis:names:specification:ubl:schema:xsd:DespatchAdvice-2"
+         ${namespaceAttributes()}>${extensionsBlock()}
+  <cbc:UBLVersionID>2.1</cbc:UBLVersionID>
+  <cbc:CustomizationID schemeAgencyName="PE:SUNAT">2.0</cbc:CustomizationID>
+  <cbc:ID>${escapeXml(despatch.document_number)}</cbc:ID>
+  <cbc:IssueDate>${despatch.issue_date}</cbc:IssueDate>
+  <cbc:IssueTime>${despatch.created_at ? new Date(despatch.created_at).toTimeString().slice(0, 8) : '00:00:00'}</cbc:IssueTime>
+  <cbc:DespatchAdviceTypeCode listAgencyName="PE:SUNAT" listName="Tipo de Documento" listURI="${CATALOG_URI}01">${DOCUMENT_TYPE_CODES.despatch_advice}</cbc:DespatchAdviceTypeCode>${despatch.notes ? `
+  <cbc:Note>${escapeXml(despatch.notes)}</cbc:Note>` : ''}${relatedInvoiceReference(despatch)}${signatureBlock(company)}
+  <cac:DespatchSupplierParty>
+    <cac:Party>${partyIdentification('6', company.ruc)}
+      <cac:PartyLegalEntity>
+        <cbc:RegistrationName>${escapeXml(company.business_name || company.name)}</cbc:RegistrationName>
+      </cac:PartyLegalEntity>
+    </cac:Party>
+  </cac:DespatchSupplierParty>
+  <cac:DeliveryCustomerParty>
+    <cac:Party>${partyIdentification(IDENTITY_DOCUMENT_TYPES[customer.document_type] || '0', customer.document_number)}
+      <cac:PartyLegalEntity>
+        <cbc:RegistrationName>${escapeXml(customer.business_name || customer.name)}</cbc:RegistrationName>
+      </cac:PartyLegalEntity>
+    </cac:Party>
+  </cac:DeliveryCustomerParty>
+  <cac:Shipment>
+    <cbc:ID>SUNAT_Envio</cbc:ID>
+    <cbc:HandlingCode listAgencyName="PE:SUNAT" listName="Motivo de traslado" listURI="${CATALOG_URI}20">${escapeXml(despatch.transfer_reason)}</cbc:HandlingCode>
+    <cbc:HandlingInstructions>${escapeXml(despatch.transfer_description || TRANSFER_REASONS[despatch.transfer_reason])}</cbc:HandlingInstructions>
+    <cbc:GrossWeightMeasure unitCode="${escapeXml(despatch.weight_unit || 'KGM')}">${parseFloat(despatch.gross_weight).toFixed(3)}</cbc:GrossWeightMeasure>${despatch.packages_count ? `
+    <cbc:TotalTransportHandlingUnitQuantity>${despatch.packages_count}</cbc:TotalTransportHandlingUnitQuantity>` : ''}
+    <cac:ShipmentStage>
+      <cbc:TransportModeCode listName="Modalidad de traslado" listAgencyName="PE:SUNAT" listURI="${CATALOG_URI}18">${escapeXml(despatch.transport_mode)}</cbc:TransportModeCode>
+      <cac:TransitPeriod>
+        <cbc:StartDate>${despatch.transfer_date}</cbc:StartDate>
+      </cac:TransitPeriod>${carrierBlock(despatch)}
+    </cac:ShipmentStage>
+    <cac:Delivery>${addressBlock('DeliveryAddress', despatch.destination_ubigeo, despatch.destination_address)}
+      <cac:Despatch>${addressBlock('DespatchAddress', despatch.origin_ubigeo, despatch.origin_address, '        ')}
+      </cac:Despatch>
+    </cac:Delivery>${despatch.vehicle_plate ? `
+    <cac:TransportHandlingUnit>
+      <cac:TransportEquipment>
+        <cbc:ID>${escapeXml(despatch.vehicle_plate)}</cbc:ID>
+      </cac:TransportEquipment>
+    </cac:TransportHandlingUnit>` : ''}
+  </cac:Shipment>${despatch.items.map(despatchLine).join('')}
+</DespatchAdvice>`;
+};
+
+module.exports = {
+  buildDespatchAdviceXml
+};
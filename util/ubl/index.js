@@ -0,0 +1,20 @@
+'use strict'
+
+const { buildInvoiceXml } = require('./invoice');
+const { buildCreditNoteXml } = require('./creditNote');
+const { buildDebitNoteXml } = require('./debitNote');
+const { buildSummaryXml, isDeclaredBySummary } = require('./summary');
+const { buildVoidedXml } = require('./voided');
+const { buildDespatchAdviceXml } = require('./despatchAdvice');
+const { buildRegimeDocumentXml } = require('./regimeDocument');
+
+module.exports = {
+  buildInvoiceXml,
+  buildCreditNoteXml,
+  buildDebitNoteXml,
+  buildSummaryXml,
+  buildVoidedXml,
+  buildDespatchAdviceXml,
+  buildRegimeDocumentXml,
+  isDeclaredBySummary
+};
@@ -0,0 +1,136 @@
+'use strict'
+
+const { escapeXml } = require('../xml');
+const {
+  DOCUMENT_TYPE_CODES,
+  OPERATION_TYPES,
+  LEGEND_CODES,
+  PAYMENT_MEANS_CODES,
+  PAYMENT_TERMS
+} = require('../sunatCatalogs');
+const { netPayable } = require('../invoiceTotals');
+const {
+  CATALOG_URI,
+  namespaceAttributes,
+  amount,
+  amountTag,
+  extensionsBlock,
+  signatureBlock,
+  supplierParty,
+  countryBlock,
+  customerParty,
+  documentTaxSubtotal,
+  documentTaxAmount,
+  amountInWordsNote,
+  freeTransferNote,
+  advanceReferences,
+  prepaidPayments,
+  advanceAllowances,
+  globalAllowanceCharges,
+  taxInclusiveAmount,
+  allowanceChargeTotals
+} = require('./common');
+const { buildLineData, buildTaxSubtotals, adjustIgvSubtotal, documentLine } = require('./lines');
+
+// Guías de remisión relacionadas a la factura
+const despatchReferences = (despatchAdvices = []) => despatchAdvices.map(despatch => `
+  <cac:DespatchDocumentReference>
+    <cbc:ID>${escapeXml(despatch.document_number)}</cbc:ID>
+    <cbc:DocumentTypeCode listAgencyName="PE:SUNAT" listName="Tipo de Documento" listURI="${CATALOG_URI}01">${DOCUMENT_TYPE_CODES.despatch_advice}</cbc:DocumentTypeCode>
+  </cac:DespatchDocumentReference>`).join('');
+
+// País de destino e Incoterm de una exportación
+const exportDelivery = (invoice) => `${invoice.destination_country ? `
+  <cac:Delivery>
+    <cac:DeliveryLocation>
+      <cac:Address>${countryBlock(invoice.destination_country, '        ')}
+      </cac:Address>
+    </cac:DeliveryLocation>
+  </cac:Delivery>` : ''}${invoice.incoterm ? `
+  <cac:DeliveryTerms>
+    <cbc:ID>${escapeXml(invoice.incoterm)}</cbc:ID>
+  </cac:DeliveryTerms>` : ''}`;
+
+// Leyenda de operación sujeta a detracción (catálogo 52, código 2006)
+const detractionNote = (invoice) => invoice.detraction_amount ? `
+  <cbc:Note languageLocaleID="${LEGEND_CODES.DETRACTION}">Operación sujeta al Sistema de Pago de Obligaciones Tributarias</cbc:Note>` : '';
+
+// Cuenta del Banco de la Nación, bien o servicio (catálogo 54), tasa e importe de la detracción
+const detractionPayment = (invoice) => invoice.detraction_amount ? `
+  <cac:PaymentMeans>
+    <cbc:ID>Detraccion</cbc:ID>
+    <cbc:PaymentMeansCode listName="Medio de pago" listAgencyName="PE:SUNAT" listURI="${CATALOG_URI}59">${PAYMENT_MEANS_CODES.ACCOUNT_DEPOSIT}</cbc:PaymentMeansCode>
+    <cac:PayeeFinancialAccount>
+      <cbc:ID>${escapeXml(invoice.company.detraction_account)}</cbc:ID>
+    </cac:PayeeFinancialAccount>
+  </cac:PaymentMeans>
+  <cac:PaymentTerms>
+    <cbc:ID>Detraccion</cbc:ID>
+    <cbc:PaymentMeansID schemeName="Codigo de detraccion" schemeAgencyName="PE:SUNAT" schemeURI="${CATALOG_URI}54">${escapeXml(invoice.detraction_code)}</cbc:PaymentMeansID>
+    <cbc:PaymentPercent>${amount(invoice.detraction_rate)}</cbc:PaymentPercent>
+    ${amountTag('Amount', invoice.detraction_amount, 'PEN')}
+  </cac:PaymentTerms>` : '';
+
+// Forma de pago: al contado, o al crédito con el importe neto pendiente y una entrada por cuota
+const paymentTerms = (invoice, currency) => {
+  if (invoice.payment_terms !== 'credit') return `
+  <cac:PaymentTerms>
+    <cbc:ID>FormaPago</cbc:ID>
+    <cbc:PaymentMeansID>${PAYMENT_TERMS.cash}</cbc:PaymentMeansID>
+  </cac:PaymentTerms>`;
+
+  const installments = [...(invoice.installments || [])].sort((a, b) => a.number - b.number);
+  return `
+  <cac:PaymentTerms>
+    <cbc:ID>FormaPago</cbc:ID>
+    <cbc:PaymentMeansID>${PAYMENT_TERMS.credit}</cbc:PaymentMeansID>
+    ${amountTag('Amount', netPayable(invoice), currency)}
+  </cac:PaymentTerms>${installments.map(installment => `
+  <cac:PaymentTerms>
+    <cbc:ID>FormaPago</cbc:ID>
+    <cbc:PaymentMeansID>Cuota${String(installment.number).padStart(3, '0')}</cbc:PaymentMeansID>
+    ${amountTag('Amount', installment.amount, currency)}
+    <cbc:PaymentDueDate>${installment.due_date}</cbc:PaymentDueDate>
+  </cac:PaymentTerms>`).join('')}`;
+};
+
+/**
+ * Genera el XML UBL 2.1 (Invoice-2) de una factura o boleta, sin firmar.
+ * La factura debe incluir company, customer e items con su product; despatchAdvices, advances,
+ * allowanceCharges e installments (cuotas de las ventas al crédito) son opcionales.
+ */
+const buildInvoiceXml = (invoice) => {
+  const currency = invoice.currency;
+  const typeCode = DOCUMENT_TYPE_CODES[invoice.document_type];
+  const operationType = invoice.operation_type || OPERATION_TYPES.INTERNAL_SALE;
+  const lines = invoice.items.map(buildLineData);
+  const taxSubtotals = adjustIgvSubtotal(buildTaxSubtotals(lines), invoice);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+         ${namespaceAttributes()}>${extensionsBlock()}
+  <cbc:UBLVersionID>2.1</cbc:UBLVersionID>
+  <cbc:CustomizationID schemeAgencyName="PE:SUNAT">2.0</cbc:CustomizationID>
+  <cbc:ProfileID schemeName="Tipo de Operacion" schemeAgencyName="PE:SUNAT" schemeURI="${CATALOG_URI}51">${operationType}</cbc:ProfileID>
+  <cbc:ID>${escapeXml(invoice.invoice_number)}</cbc:ID>
+  <cbc:IssueDate>${invoice.issue_date}</cbc:IssueDate>${invoice.due_date ? `
+  <cbc:DueDate>${invoice.due_date}</cbc:DueDate>` : ''}
+  <cbc:InvoiceTypeCode listAgencyName="PE:SUNAT" listName="Tipo de Documento" listURI="${CATALOG_URI}01" listID="${operationType}" name="Tipo de Operacion">${typeCode}</cbc:InvoiceTypeCode>
+  ${amountInWordsNote(invoice.total_amount, currency)}${freeTransferNote(lines)}${detractionNote(invoice)}
+  <cbc:DocumentCurrencyCode listID="ISO 4217 Alpha" listName="Currency" listAgencyName="United Nations Economic Commission for Europe">${currency}</cbc:DocumentCurrencyCode>
+  <cbc:LineCountNumeric>${lines.length}</cbc:LineCountNumeric>${despatchReferences(invoice.despatchAdvices)}${advanceReferences(invoice)}${signatureBlock(invoice.company)}${supplierParty(invoice.company)}${customerParty(invoice.customer)}${exportDelivery(invoice)}${detractionPayment(invoice)}${typeCode === DOCUMENT_TYPE_CODES.invoice ? paymentTerms(invoice, currency) : ''}${prepaidPayments(invoice)}${advanceAllowances(invoice, lines)}${globalAllowanceCharges(invoice)}
+  <cac:TaxTotal>
+    ${amountTag('TaxAmount', documentTaxAmount(invoice), currency)}${taxSubtotals.map(subtotal => documentTaxSubtotal(subtotal, currency)).join('')}
+  </cac:TaxTotal>
+  <cac:LegalMonetaryTotal>
+    ${amountTag('LineExtensionAmount', invoice.subtotal, currency)}
+    ${amountTag('TaxInclusiveAmount', taxInclusiveAmount(invoice), currency)}${allowanceChargeTotals(invoice, currency)}${parseFloat(invoice.prepaid_amount) > 0 ? `
+    ${amountTag('PrepaidAmount', invoice.prepaid_amount, currency)}` : ''}
+    ${amountTag('PayableAmount', invoice.total_amount, currency)}
+  </cac:LegalMonetaryTotal>${lines.map((line, index) => documentLine(line, index, currency)).join('')}
+</Invoice>`;
+};
+
+module.exports = {
+  buildInvoiceXml
+};
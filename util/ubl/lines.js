@@ -0,0 +1,190 @@
+'use strict'
+
+const { escapeXml } = require('../xml');
+const {
+  TAX_TYPES,
+  AFFECTATION_CODES,
+  PRICE_TYPES,
+  ISC_SYSTEM_CODES,
+  ALLOWANCE_CHARGE_CODES,
+  GLOBAL_ALLOWANCE_CHARGES
+} = require('../sunatCatalogs');
+const { allowanceChargeSign } = require('../invoiceTotals');
+const {
+  CATALOG_URI,
+  round,
+  amountTag,
+  getAffectationCode,
+  lineTaxSubtotal,
+  iscTaxSubtotal,
+  icbperTaxSubtotal
+} = require('./common');
+
+// Calcula los importes de una línea a partir del InvoiceItem almacenado
+const buildLineData = (item) => {
+  const quantity = parseFloat(item.quantity);
+  const unitValue = parseFloat(item.unit_price);
+  const lineValue = parseFloat(item.subtotal);
+  const taxAmount = parseFloat(item.tax_amount);
+  const iscAmount = parseFloat(item.isc_amount || 0);
+  const grossValue = round(quantity * unitValue);
+  const affectationCode = getAffectationCode(item);
+
+  return {
+    item,
+    affectationCode,
+    // Transferencia gratuita: unit_price es el valor referencial y el precio cobrado es cero
+    free: AFFECTATION_CODES[affectationCode].free,
+    quantity,
+    unitValue,
+    lineValue,
+    taxAmount,
+    iscAmount,
+    iscSystem: item.isc_system,
+    // En el sistema específico la tasa informada es la efectiva sobre el valor de venta
+    iscPercent: item.isc_system === ISC_SYSTEM_CODES.FIXED_AMOUNT
+      ? (lineValue ? iscAmount / lineValue * 100 : 0)
+      : parseFloat(item.isc_rate || 0),
+    icbperAmount: parseFloat(item.icbper_amount || 0),
+    icbperUnitAmount: parseFloat(item.icbper_unit_amount || 0),
+    grossValue,
+    discount: round(grossValue - lineValue),
+    // Precio de venta unitario (valor unitario más tributos) o valor referencial si es gratuita
+    unitPrice: quantity ? (lineValue + iscAmount + taxAmount) / quantity : 0,
+    percent: parseFloat(item.tax_rate || 0)
+  };
+};
+
+// Agrupa las líneas por tributo para el TaxTotal del documento
+const buildTaxSubtotals = (lines) => {
+  const groups = {};
+
+  for (const line of lines) {
+    const taxKey = AFFECTATION_CODES[line.affectationCode].tax;
+    if (!groups[taxKey]) {
+      groups[taxKey] = { tax: TAX_TYPES[taxKey], taxableAmount: 0, taxAmount: 0 };
+    }
+    groups[taxKey].taxableAmount += line.lineValue;
+    groups[taxKey].taxAmount += line.taxAmount;
+  }
+
+  // El ISC se informa como un tributo adicional sobre el valor de venta de las líneas
+  // onerosas afectas; el de las gratuitas no forma parte del total
+  const iscLines = lines.filter(line => line.iscAmount > 0 && !line.free);
+  if (iscLines.length > 0) {
+    groups.ISC = {
+      tax: TAX_TYPES.ISC,
+      taxableAmount: iscLines.reduce((acc, line) => acc + line.lineValue, 0),
+      taxAmount: round(iscLines.reduce((acc, line) => acc + line.iscAmount, 0))
+    };
+  }
+
+  // El ICBPER se informa como un tributo adicional, sin base imponible
+  const icbperAmount = round(lines.reduce((acc, line) => acc + line.icbperAmount, 0));
+  if (icbperAmount > 0) {
+    groups.ICBPER = { tax: TAX_TYPES.ICBPER, taxableAmount: null, taxAmount: icbperAmount };
+  }
+
+  return Object.values(groups);
+};
+
+/**
+ * Variación de la base imponible y del IGV del comprobante respecto a sus líneas:
+ * los descuentos y cargos globales que afectan la base (catálogo 53, códigos 02 y 49)
+ * y los anticipos deducidos (código 04).
+ */
+const igvAdjustment = (invoice) => {
+  const allowanceCharges = (invoice.allowanceCharges || [])
+    .filter(entry => GLOBAL_ALLOWANCE_CHARGES[entry.code].affectsBase);
+  const advances = invoice.advances || [];
+  const sum = (entries, field, sign) => entries.reduce((acc, entry) => acc + sign(entry) * parseFloat(entry[field] || 0), 0);
+
+  return {
+    taxableAmount: sum(allowanceCharges, 'amount', allowanceChargeSign) - sum(advances, 'taxable_amount', () => 1),
+    taxAmount: sum(allowanceCharges, 'tax_amount', allowanceChargeSign) - sum(advances, 'tax_amount', () => 1)
+  };
+};
+
+// Aplica igvAdjustment al subtotal del IGV agrupado con buildTaxSubtotals
+const adjustIgvSubtotal = (taxSubtotals, invoice) => {
+  const { taxableAmount, taxAmount } = igvAdjustment(invoice);
+  if (taxableAmount === 0 && taxAmount === 0) return taxSubtotals;
+
+  return taxSubtotals.map(subtotal => subtotal.tax === TAX_TYPES.IGV ? {
+    ...subtotal,
+    taxableAmount: subtotal.taxableAmount + taxableAmount,
+    taxAmount: subtotal.taxAmount + taxAmount
+  } : subtotal);
+};
+
+const lineAllowance = (line, currency) => {
+  if (line.discount <= 0) return '';
+
+  return `
+    <cac:AllowanceCharge>
+      <cbc:ChargeIndicator>false</cbc:ChargeIndicator>
+      <cbc:AllowanceChargeReasonCode listAgencyName="PE:SUNAT" listName="Cargo/descuento" listURI="${CATALOG_URI}53">${ALLOWANCE_CHARGE_CODES.LINE_DISCOUNT}</cbc:AllowanceChargeReasonCode>
+      <cbc:MultiplierFactorNumeric>${round(line.discount / line.grossValue, 5)}</cbc:MultiplierFactorNumeric>
+      ${amountTag('Amount', line.discount, currency)}
+      ${amountTag('BaseAmount', line.grossValue, currency)}
+    </cac:AllowanceCharge>`;
+};
+
+/**
+ * Línea del comprobante. El nombre del elemento y de la cantidad cambia
+ * según el tipo: InvoiceLine/InvoicedQuantity, CreditNoteLine/CreditedQuantity, etc.
+ */
+const documentLine = (line, index, currency, { lineTag = 'InvoiceLine', quantityTag = 'InvoicedQuantity' } = {}) => {
+  const product = line.item.product || {};
+  const unitCode = product.unit_type || 'NIU';
+
+  return `
+  <cac:${lineTag}>
+    <cbc:ID>${index + 1}</cbc:ID>
+    <cbc:${quantityTag} unitCode="${escapeXml(unitCode)}" unitCodeListID="UN/ECE rec 20" unitCodeListAgencyName="United Nations Economic Commission for Europe">${line.quantity}</cbc:${quantityTag}>
+    ${amountTag('LineExtensionAmount', line.lineValue, currency)}
+    <cac:PricingReference>
+      <cac:AlternativeConditionPrice>
+        ${amountTag('PriceAmount', line.free ? line.unitValue : line.unitPrice, currency)}
+        <cbc:PriceTypeCode listName="Tipo de Precio" listAgencyName="PE:SUNAT" listURI="${CATALOG_URI}16">${line.free ? PRICE_TYPES.REFERENTIAL : PRICE_TYPES.UNIT_PRICE}</cbc:PriceTypeCode>
+      </cac:AlternativeConditionPrice>
+    </cac:PricingReference>${lineAllowance(line, currency)}
+    <cac:TaxTotal>
+      ${amountTag('TaxAmount', round(line.iscAmount + line.taxAmount + line.icbperAmount), currency)}${line.iscAmount > 0 ? iscTaxSubtotal({
+        taxableAmount: line.lineValue,
+        taxAmount: line.iscAmount,
+        percent: line.iscPercent,
+        system: line.iscSystem
+      }, currency) : ''}${lineTaxSubtotal({
+        // El ISC forma parte de la base del IGV
+        taxableAmount: line.lineValue + line.iscAmount,
+        taxAmount: line.taxAmount,
+        percent: line.percent,
+        affectationCode: line.affectationCode
+      }, currency)}${line.icbperAmount > 0 ? icbperTaxSubtotal({
+        quantity: line.quantity,
+        unitCode,
+        unitAmount: line.icbperUnitAmount,
+        taxAmount: line.icbperAmount
+      }, currency) : ''}
+    </cac:TaxTotal>
+    <cac:Item>
+      <cbc:Description>${escapeXml(product.name || line.item.name)}</cbc:Description>${product.code ? `
+      <cac:SellersItemIdentification>
+        <cbc:ID>${escapeXml(product.code)}</cbc:ID>
+      </cac:SellersItemIdentification>` : ''}
+    </cac:Item>
+    <cac:Price>
+      ${amountTag('PriceAmount', line.free ? 0 : line.unitValue, currency)}
+    </cac:Price>
+  </cac:${lineTag}>`;
+};
+
+module.exports = {
+  buildLineData,
+  buildTaxSubtotals,
+  igvAdjustment,
+  adjustIgvSubtotal,
+  lineAllowance,
+  documentLine
+};
@@ -0,0 +1,127 @@
+'use strict'
+
+const { escapeXml } = require('../xml');
+const { IDENTITY_DOCUMENT_TYPES } = require('../sunatCatalogs');
+const {
+  CATALOG_URI,
+  namespaceAttributes,
+  amount,
+  amountTag,
+  extensionsBlock,
+  signatureBlock
+} = require('./common');
+
+// Nombres de los elementos SUNAT que cambian entre retención y percepción
+const REGIME_ELEMENTS = {
+  retention: {
+    root: 'Retention',
+    systemCode: 'SUNATRetentionSystemCode',
+    systemCatalog: '23',
+    percent: 'SUNATRetentionPercent',
+    totalPaid: 'SUNATTotalPaid',
+    reference: 'SUNATRetentionDocumentReference',
+    information: 'SUNATRetentionInformation',
+    amount: 'SUNATRetentionAmount',
+    date: 'SUNATRetentionDate',
+    netPaid: 'SUNATNetTotalPaid'
+  },
+  perception: {
+    root: 'Perception',
+    systemCode: 'SUNATPerceptionSystemCode',
+    systemCatalog: '22',
+    percent: 'SUNATPerceptionPercent',
+    totalPaid: 'SUNATTotalCashed',
+    reference: 'SUNATPerceptionDocumentReference',
+    information: 'SUNATPerceptionInformation',
+    amount: 'SUNATPerceptionAmount',
+    date: 'SUNATPerceptionDate',
+    netPaid: 'SUNATNetTotalCashed'
+  }
+};
+
+const postalAddress = (party) => {
+  if (!party.address) return '';
+
+  return `
+    <cac:PostalAddress>${party.ubigeo ? `
+      <cbc:ID>${escapeXml(party.ubigeo)}</cbc:ID>` : ''}
+      <cbc:StreetName>${escapeXml(party.address)}</cbc:StreetName>${party.province ? `
+      <cbc:CityName>${escapeXml(party.province)}</cbc:CityName>` : ''}${party.department ? `
+      <cbc:CountrySubentity>${escapeXml(party.department)}</cbc:CountrySubentity>` : ''}${party.district ? `
+      <cbc:District>${escapeXml(party.district)}</cbc:District>` : ''}
+      <cac:Country>
+        <cbc:IdentificationCode>PE</cbc:IdentificationCode>
+      </cac:Country>
+    </cac:PostalAddress>`;
+};
+
+// Agente (empresa emisora) o receptor (proveedor retenido / cliente percibido)
+const regimeParty = (tag, schemeID, party) => `
+  <cac:${tag}>
+    <cac:PartyIdentification>
+      <cbc:ID schemeID="${schemeID}">${escapeXml(party.ruc || party.document_number)}</cbc:ID>
+    </cac:PartyIdentification>
+    <cac:PartyName>
+      <cbc:Name>${escapeXml(party.name)}</cbc:Name>
+    </cac:PartyName>${postalAddress(party)}
+    <cac:PartyLegalEntity>
+      <cbc:RegistrationName>${escapeXml(party.business_name || party.name)}</cbc:RegistrationName>
+    </cac:PartyLegalEntity>
+  </cac:${tag}>`;
+
+// Tipo de cambio de la fecha de pago, solo para comprobantes en moneda extranjera
+const exchangeRateBlock = (line) => {
+  if (line.related_currency === 'PEN') return '';
+
+  return `
+      <cac:ExchangeRate>
+        <cbc:SourceCurrencyCode>${escapeXml(line.related_currency)}</cbc:SourceCurrencyCode>
+        <cbc:TargetCurrencyCode>PEN</cbc:TargetCurrencyCode>
+        <cbc:CalculationRate>${parseFloat(line.exchange_rate).toFixed(6)}</cbc:CalculationRate>
+        <cbc:Date>${line.exchange_rate_date || line.payment_date}</cbc:Date>
+      </cac:ExchangeRate>`;
+};
+
+const referenceLine = (line, elements, document) => `
+  <sac:${elements.reference}>
+    <cbc:ID schemeID="${line.related_document_type}">${escapeXml(line.related_document_number)}</cbc:ID>
+    <cbc:IssueDate>${line.related_issue_date}</cbc:IssueDate>
+    ${amountTag('TotalInvoiceAmount', line.related_total_amount, line.related_currency)}
+    <cac:Payment>
+      <cbc:ID>${line.payment_number}</cbc:ID>
+      ${amountTag('PaidAmount', line.paid_amount, line.related_currency)}
+      <cbc:PaidDate>${line.payment_date}</cbc:PaidDate>
+    </cac:Payment>
+    <sac:${elements.information}>
+      <sac:${elements.amount} currencyID="PEN">${amount(line.amount)}</sac:${elements.amount}>
+      <sac:${elements.date}>${document.issue_date}</sac:${elements.date}>
+      <sac:${elements.netPaid} currencyID="PEN">${amount(line.net_amount)}</sac:${elements.netPaid}>${exchangeRateBlock(line)}
+    </sac:${elements.information}>
+  </sac:${elements.reference}>`;
+
+/**
+ * Genera el XML del comprobante de retención (Retention-1) o de percepción
+ * (Perception-1), sin firmar. El documento debe incluir company, customer y lines.
+ */
+const buildRegimeDocumentXml = (document) => {
+  const elements = REGIME_ELEMENTS[document.document_type];
+  const customer = document.customer;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<${elements.root} xmlns="urn:sunat:names:specification:ubl:peru:schema:xsd:${elements.root}-1"
+         ${namespaceAttributes()}>${extensionsBlock()}
+  <cbc:UBLVersionID>2.0</cbc:UBLVersionID>
+  <cbc:CustomizationID>1.0</cbc:CustomizationID>${signatureBlock(document.company)}
+  <cbc:ID>${escapeXml(document.document_number)}</cbc:ID>
+  <cbc:IssueDate>${document.issue_date}</cbc:IssueDate>${regimeParty('AgentParty', '6', document.company)}${regimeParty('ReceiverParty', IDENTITY_DOCUMENT_TYPES[customer.document_type] || '0', customer)}
+  <sac:${elements.systemCode} listAgencyName="PE:SUNAT" listURI="${CATALOG_URI}${elements.systemCatalog}">${escapeXml(document.regime_code)}</sac:${elements.systemCode}>
+  <sac:${elements.percent}>${amount(document.rate)}</sac:${elements.percent}>${document.notes ? `
+  <cbc:Note>${escapeXml(document.notes)}</cbc:Note>` : ''}
+  ${amountTag('TotalInvoiceAmount', document.total_amount, 'PEN')}
+  <sac:${elements.totalPaid} currencyID="PEN">${amount(document.total_paid)}</sac:${elements.totalPaid}>${document.lines.map(line => referenceLine(line, elements, document)).join('')}
+</${elements.root}>`;
+};
+
+module.exports = {
+  buildRegimeDocumentXml
+};
@@ -0,0 +1,149 @@
+'use strict'
+
+const { escapeXml } = require('../xml');
+const {
+  DOCUMENT_TYPE_CODES,
+  TAX_TYPES,
+  AFFECTATION_CODES,
+  IDENTITY_DOCUMENT_TYPES,
+  SUMMARY_VALUE_TYPES
+} = require('../sunatCatalogs');
+const {
+  namespaceAttributes,
+  amount,
+  amountTag,
+  extensionsBlock,
+  signatureBlock
+} = require('./common');
+const { buildLineData, igvAdjustment } = require('./lines');
+
+// Las boletas y sus notas (series B) se declaran con resumen diario, no con sendBill
+const isDeclaredBySummary = (invoice) =>
+  invoice.document_type === 'receipt' ||
+  (['credit_note', 'debit_note'].includes(invoice.document_type) && invoice.series.startsWith('B'));
+
+// Emisor del resumen: solo RUC y razón social
+const summarySupplierParty = (company) => `
+  <cac:AccountingSupplierParty>
+    <cbc:CustomerAssignedAccountID>${escapeXml(company.ruc)}</cbc:CustomerAssignedAccountID>
+    <cbc:AdditionalAccountID>6</cbc:AdditionalAccountID>
+    <cac:Party>
+      <cac:PartyLegalEntity>
+        <cbc:RegistrationName>${escapeXml(company.business_name || company.name)}</cbc:RegistrationName>
+      </cac:PartyLegalEntity>
+    </cac:Party>
+  </cac:AccountingSupplierParty>`;
+
+// Importes del comprobante agrupados por tipo de valor de venta (catálogo 11); el de
+// las operaciones gravadas incluye los descuentos y cargos globales y los anticipos
+const billingPayments = (invoice) => {
+  const groups = {};
+
+  for (const line of invoice.items.map(buildLineData)) {
+    const valueType = SUMMARY_VALUE_TYPES[AFFECTATION_CODES[line.affectationCode].tax];
+    groups[valueType] = (groups[valueType] || 0) + line.lineValue;
+  }
+
+  const taxedValueType = SUMMARY_VALUE_TYPES.IGV;
+  if (groups[taxedValueType] !== undefined) {
+    groups[taxedValueType] += igvAdjustment(invoice).taxableAmount;
+  }
+
+  return Object.entries(groups)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([valueType, paidAmount]) => `
+    <sac:BillingPayment>
+      ${amountTag('PaidAmount', paidAmount, invoice.currency)}
+      <cbc:InstructionID>${valueType}</cbc:InstructionID>
+    </sac:BillingPayment>`)
+    .join('');
+};
+
+// Cargos globales que no afectan la base imponible (catálogo 53, código 50)
+const summaryCharges = (invoice) => parseFloat(invoice.charge_total_amount) > 0 ? `
+    <cac:AllowanceCharge>
+      <cbc:ChargeIndicator>true</cbc:ChargeIndicator>
+      ${amountTag('Amount', invoice.charge_total_amount, invoice.currency)}
+    </cac:AllowanceCharge>` : '';
+
+// ISC e ICBPER del comprobante: cada tributo se declara en su propio TaxTotal
+const additionalTaxTotal = (tax, taxAmount, currency) => {
+  if (!(parseFloat(taxAmount) > 0)) return '';
+
+  return `
+    <cac:TaxTotal>
+      ${amountTag('TaxAmount', taxAmount, currency)}
+      <cac:TaxSubtotal>
+        ${amountTag('TaxAmount', taxAmount, currency)}
+        <cac:TaxCategory>
+          <cac:TaxScheme>
+            <cbc:ID>${tax.id}</cbc:ID>
+            <cbc:Name>${tax.name}</cbc:Name>
+            <cbc:TaxTypeCode>${tax.code}</cbc:TaxTypeCode>
+          </cac:TaxScheme>
+        </cac:TaxCategory>
+      </cac:TaxSubtotal>
+    </cac:TaxTotal>`;
+};
+
+const summaryLine = (summaryLineRow, index) => {
+  const invoice = summaryLineRow.invoice;
+  const currency = invoice.currency;
+  const reference = invoice.referenceInvoice;
+  const igv = TAX_TYPES.IGV;
+
+  return `
+  <sac:SummaryDocumentsLine>
+    <cbc:LineID>${index + 1}</cbc:LineID>
+    <cbc:DocumentTypeCode>${DOCUMENT_TYPE_CODES[invoice.document_type]}</cbc:DocumentTypeCode>
+    <cbc:ID>${escapeXml(invoice.invoice_number)}</cbc:ID>
+    <cac:AccountingCustomerParty>
+      <cbc:CustomerAssignedAccountID>${escapeXml(invoice.customer.document_number)}</cbc:CustomerAssignedAccountID>
+      <cbc:AdditionalAccountID>${IDENTITY_DOCUMENT_TYPES[invoice.customer.document_type] || '0'}</cbc:AdditionalAccountID>
+    </cac:AccountingCustomerParty>${reference ? `
+    <cac:BillingReference>
+      <cac:InvoiceDocumentReference>
+        <cbc:ID>${escapeXml(reference.invoice_number)}</cbc:ID>
+        <cbc:DocumentTypeCode>${DOCUMENT_TYPE_CODES[reference.document_type]}</cbc:DocumentTypeCode>
+      </cac:InvoiceDocumentReference>
+    </cac:BillingReference>` : ''}
+    <cac:Status>
+      <cbc:ConditionCode>${summaryLineRow.condition_code}</cbc:ConditionCode>
+    </cac:Status>
+    <sac:TotalAmount currencyID="${currency}">${amount(invoice.total_amount)}</sac:TotalAmount>${billingPayments(invoice)}${summaryCharges(invoice)}
+    <cac:TaxTotal>
+      ${amountTag('TaxAmount', invoice.tax_amount, currency)}
+      <cac:TaxSubtotal>
+        ${amountTag('TaxAmount', invoice.tax_amount, currency)}
+        <cac:TaxCategory>
+          <cac:TaxScheme>
+            <cbc:ID>${igv.id}</cbc:ID>
+            <cbc:Name>${igv.name}</cbc:Name>
+            <cbc:TaxTypeCode>${igv.code}</cbc:TaxTypeCode>
+          </cac:TaxScheme>
+        </cac:TaxCategory>
+      </cac:TaxSubtotal>
+    </cac:TaxTotal>${additionalTaxTotal(TAX_TYPES.ISC, invoice.isc_amount, currency)}${additionalTaxTotal(TAX_TYPES.ICBPER, invoice.icbper_amount, currency)}
+  </sac:SummaryDocumentsLine>`;
+};
+
+/**
+ * Genera el XML del resumen diario de boletas (SummaryDocuments-1), sin firmar.
+ * El resumen debe incluir company y lines con su invoice (customer, items con
+ * product, referenceInvoice para las notas y, si los hay, allowanceCharges y advances).
+ */
+const buildSummaryXml = (summary) => `<?xml version="1.0" encoding="UTF-8"?>
+<SummaryDocuments xmlns="urn:sunat:names:specification:ubl:peru:schema:xsd:SummaryDocuments-1"
+         ${namespaceAttributes()}>${extensionsBlock()}
+  <cbc:UBLVersionID>2.0</cbc:UBLVersionID>
+  <cbc:CustomizationID>1.1</cbc:CustomizationID>
+  <cbc:ID>${escapeXml(summary.identifier)}</cbc:ID>
+  <cbc:ReferenceDate>${summary.reference_date}</cbc:ReferenceDate>
+  <cbc:IssueDate>${summary.issue_date}</cbc:IssueDate>${signatureBlock(summary.company)}${summarySupplierParty(summary.company)}${summary.lines.map(summaryLine).join('')}
+</SummaryDocuments>`;
+
+module.exports = {
+  buildSummaryXml,
+  isDeclaredBySummary,
+  summarySupplierParty
+};
@@ -0,0 +1,37 @@
+'use strict'
+
+const { escapeXml } = require('../xml');
+const { DOCUMENT_TYPE_CODES } = require('../sunatCatalogs');
+const { namespaceAttributes, extensionsBlock, signatureBlock } = require('./common');
+const { summarySupplierParty } = require('./summary');
+
+const voidedLine = (summaryLineRow, index) => {
+  const invoice = summaryLineRow.invoice;
+
+  return `
+  <sac:VoidedDocumentsLine>
+    <cbc:LineID>${index + 1}</cbc:LineID>
+    <cbc:DocumentTypeCode>${DOCUMENT_TYPE_CODES[invoice.document_type]}</cbc:DocumentTypeCode>
+    <sac:DocumentSerialID>${escapeXml(invoice.series)}</sac:DocumentSerialID>
+    <sac:DocumentNumberID>${invoice.correlative}</sac:DocumentNumberID>
+    <sac:VoidReasonDescription>${escapeXml(invoice.void_reason)}</sac:VoidReasonDescription>
+  </sac:VoidedDocumentsLine>`;
+};
+
+/**
+ * Genera el XML de la comunicación de baja (VoidedDocuments-1), sin firmar.
+ * Todos los comprobantes deben tener la misma fecha de emisión (reference_date).
+ */
+const buildVoidedXml = (summary) => `<?xml version="1.0" encoding="UTF-8"?>
+<VoidedDocuments xmlns="urn:sunat:names:specification:ubl:peru:schema:xsd:VoidedDocuments-1"
+         ${namespaceAttributes()}>${extensionsBlock()}
+  <cbc:UBLVersionID>2.0</cbc:UBLVersionID>
+  <cbc:CustomizationID>1.0</cbc:CustomizationID>
+  <cbc:ID>${escapeXml(summary.identifier)}</cbc:ID>
+  <cbc:ReferenceDate>${summary.reference_date}</cbc:ReferenceDate>
+  <cbc:IssueDate>${summary.issue_date}</cbc:IssueDate>${signatureBlock(summary.company)}${summarySupplierParty(summary.company)}${summary.lines.map(voidedLine).join('')}
+</VoidedDocuments>`;
+
+module.exports = {
+  buildVoidedXml
+};
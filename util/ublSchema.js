@@ -0,0 +1,168 @@
+'use strict'
+
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
+const { parseXml } = require('./xml');
+const { NAMESPACES } = require('./ubl/common');
+const logger = require('../config/logger');
+const sunatConfig = require('../config/sunat');
+
+// Esquemas oficiales de OASIS UBL 2.1 y SUNAT (scripts/vendorUblSchemas.js) y perfil propio
+const OFFICIAL_SCHEMA_DIR = path.join(__dirname, '..', 'schemas', 'oficial');
+const PROFILE_SCHEMA_DIR = path.join(__dirname, '..', 'schemas', 'perfil');
+
+// Documento principal oficial según el elemento raíz, relativo a schemas/oficial
+const ROOT_SCHEMAS = {
+  Invoice: 'maindoc/UBL-Invoice-2.1.xsd',
+  CreditNote: 'maindoc/UBL-CreditNote-2.1.xsd',
+  DebitNote: 'maindoc/UBL-DebitNote-2.1.xsd',
+  DespatchAdvice: 'maindoc/UBL-DespatchAdvice-2.1.xsd',
+  SummaryDocuments: 'maindoc/UBLPE-SummaryDocuments-1.0.xsd',
+  VoidedDocuments: 'maindoc/UBLPE-VoidedDocuments-1.0.xsd',
+  Retention: 'maindoc/UBLPE-Retention-1.0.xsd',
+  Perception: 'maindoc/UBLPE-Perception-1.0.xsd'
+};
+
+// Perfil escrito a mano con los elementos que genera la API: control adicional al oficial
+const PROFILE_SCHEMAS = {
+  Invoice: 'perfil-Invoice.xsd',
+  CreditNote: 'perfil-CreditNote.xsd',
+  DebitNote: 'perfil-DebitNote.xsd',
+  DespatchAdvice: 'perfil-DespatchAdvice.xsd',
+  SummaryDocuments: 'perfil-SummaryDocuments.xsd',
+  VoidedDocuments: 'perfil-VoidedDocuments.xsd',
+  Retention: 'perfil-Retention.xsd',
+  Perception: 'perfil-Perception.xsd'
+};
+
+const XML_FILE_NAME = 'documento.xml';
+
+// Prefijo usado en los mensajes para cada namespace ({urn:...}Elemento -> cbc:Elemento)
+const PREFIXES = Object.fromEntries(Object.entries(NAMESPACES).map(([prefix, uri]) => [uri, prefix]));
+
+const schemaSets = {};
+let missingOfficialWarned = false;
+
+// XSD de una carpeta y sus subcarpetas, con la ruta relativa que usan sus xsd:import
+const readSchemaDir = (dir, prefix = '') => {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fileName = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return readSchemaDir(path.join(dir, entry.name), fileName);
+    if (!entry.name.endsWith('.xsd')) return [];
+    return [{ fileName, contents: fs.readFileSync(path.join(dir, entry.name), 'utf8') }];
+  });
+};
+
+// Los XSD se leen una sola vez y se cargan en memoria en cada validación
+const loadSchemaFiles = (dir) => {
+  if (!schemaSets[dir]) schemaSets[dir] = readSchemaDir(dir);
+  return schemaSets[dir];
+};
+
+const shortenNames = (message) => message
+  .replace(/^Schemas validity error : /, '')
+  .replace(/\{([^}]+)\}(\w+)/g, (match, uri, localName) =>
+    PREFIXES[uri] ? `${PREFIXES[uri]}:${localName}` : localName);
+
+// XPath absoluto de un elemento, con posición cuando tiene hermanos del mismo nombre
+const xpathOf = (element) => {
+  const steps = [];
+
+  for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+    const siblings = Array.from(node.parentNode ? node.parentNode.childNodes : [])
+      .filter(sibling => sibling.nodeType === 1 && sibling.nodeName === node.nodeName);
+    const position = siblings.length > 1 ? `[${siblings.indexOf(node) + 1}]` : '';
+    steps.unshift(`${node.nodeName}${position}`);
+  }
+
+  return `/${steps.join('/')}`;
+};
+
+// Ubica el elemento reportado por xmllint usando su nombre y la línea del error
+const findErrorElement = (document, line, message) => {
+  const match = message.match(/Element '(?:\{([^}]+)\})?(\w+)'/);
+  if (!match) return null;
+
+  const [, namespace, localName] = match;
+  const candidates = Array.from(document.getElementsByTagNameNS(namespace || '*', localName));
+
+  return candidates.find(element => element.lineNumber === line) || null;
+};
+
+// Valida el XML contra un documento principal y los demás XSD de su carpeta
+const validateAgainst = async (xml, document, files, schemaFile) => {
+  const result = await validateXML({
+    xml: { fileName: XML_FILE_NAME, contents: xml },
+    schema: files.find(file => file.fileName === schemaFile),
+    preload: files.filter(file => file.fileName !== schemaFile)
+  });
+
+  return result.errors.map(error => {
+    const line = error.loc ? error.loc.lineNumber : null;
+    const element = line ? findErrorElement(document, line, error.message) : null;
+
+    return {
+      xpath: element ? xpathOf(element) : null,
+      line,
+      message: shortenNames(error.message)
+    };
+  });
+};
+
+/**
+ * Valida un XML contra los esquemas XSD oficiales de UBL 2.1 y SUNAT de schemas/oficial
+ * y, además, contra el perfil de schemas/perfil. Sin los esquemas oficiales instalados
+ * el XML no se da por válido en producción; en beta se valida solo con el perfil.
+ * Devuelve { valid, violations } con la lista de errores: { xpath, line, message }.
+ */
+const validateUblXml = async (xml) => {
+  const document = parseXml(xml);
+  const root = document.documentElement;
+  const rootName = root ? root.localName : null;
+
+  if (!ROOT_SCHEMAS[rootName]) {
+    return {
+      valid: false,
+      violations: [{
+        xpath: root ? `/${root.nodeName}` : '/',
+        line: null,
+        message: 'Tipo de documento sin esquema XSD'
+      }]
+    };
+  }
+
+  const violations = [];
+  const officialFiles = loadSchemaFiles(OFFICIAL_SCHEMA_DIR);
+
+  if (officialFiles.some(file => file.fileName === ROOT_SCHEMAS[rootName])) {
+    violations.push(...await validateAgainst(xml, document, officialFiles, ROOT_SCHEMAS[rootName]));
+  } else if (sunatConfig.environment === 'production') {
+    violations.push({
+      xpath: `/${root.nodeName}`,
+      line: null,
+      message: `No está instalado el esquema oficial ${ROOT_SCHEMAS[rootName]}; ejecute scripts/vendorUblSchemas.js`
+    });
+  } else if (!missingOfficialWarned) {
+    missingOfficialWarned = true;
+    logger.warn('Esquemas XSD oficiales no instalados en schemas/oficial: en beta se valida solo con el perfil');
+  }
+
+  violations.push(...await validateAgainst(xml, document, loadSchemaFiles(PROFILE_SCHEMA_DIR), PROFILE_SCHEMAS[rootName]));
+
+  return { valid: violations.length === 0, violations };
+};
+
+// Resumen de las violaciones en una línea, para mensajes y registros
+const summarizeViolations = (violations) => violations
+  .map(violation => `${violation.xpath || `línea ${violation.line}`}: ${violation.message}`)
+  .join('; ');
+
+module.exports = {
+  ROOT_SCHEMAS,
+  PROFILE_SCHEMAS,
+  validateUblXml,
+  summarizeViolations
+};
@@ -0,0 +1,36 @@
+'use strict'
+
+const { DOMParser } = require('@xmldom/xmldom');
+
+// Escapa los caracteres especiales de XML en textos y atributos
+const escapeXml = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const parseXml = (xml) => new DOMParser().parseFromString(xml, 'text/xml');
+
+// Busca elementos por nombre local, sin importar el prefijo de namespace
+const findAll = (node, localName) => {
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+};
+
+const findFirst = (node, localName) => findAll(node, localName)[0] || null;
+
+const textOf = (node, localName) => {
+  const element = findFirst(node, localName);
+  return element ? element.textContent.trim() : null;
+};
+
+module.exports = {
+  escapeXml,
+  parseXml,
+  findAll,
+  findFirst,
+  textOf
+};